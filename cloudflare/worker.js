@@ -1,96 +1,184 @@
-export default {
-  async fetch(request) {
+/**
+ * Origins allowed to use the proxy when ALLOWED_ORIGINS isn't set
+ * ALLOWED_ORIGINS is a comma-separated list of origins, or "*" for any
+ */
+const DEFAULT_ALLOWED_ORIGINS = [
+  "https://rheath.github.io",
+  "http://localhost:8080",
+];
+
+const AO3_HOST = "archiveofourown.org";
+
+// AO3 download files: work ID and format
+const DOWNLOAD_PATH = /^\/downloads\/(\d+)\/[^/]+\.(epub|pdf|mobi|azw3|html)$/;
+const DOWNLOAD_FORMATS = ["epub", "pdf", "mobi", "azw3", "html"];
+
+// The AO3 pages and files the app fetches; anything else is refused
+const ALLOWED_PATHS = [
+  /^\/works\/\d+(?:\/chapters\/\d+)?\/?$/,
+  /^\/series\/\d+\/?$/,
+  DOWNLOAD_PATH,
+  /^\/users\/[^/]+(?:\/pseuds\/[^/]+)?\/(?:bookmarks|readings)\/?$/,
+  /^\/collections\/[^/]+\/works\/?$/,
+  /^\/tags\/[^/]+\/works\/?$/,
+];
+
+// Parsed work metadata as JSON: GET /api/work/<id>
+const WORK_API_PATH = /^\/api\/work\/(\d+)\/?$/;
+
+// Download jobs: POST /jobs?url=<download URL>, GET /jobs/<id> and GET /jobs/<id>/result
+const JOBS_PATH = /^\/jobs(?:\/([0-9a-f-]{36})(\/result)?)?\/?$/;
+
+// Per-client limits; override with RATE_LIMIT_REQUESTS and RATE_LIMIT_WINDOW_SECONDS
+const DEFAULT_RATE_LIMIT_REQUESTS = 30;
+const DEFAULT_RATE_LIMIT_WINDOW_SECONDS = 60;
+
+// Size limits; override with MAX_URL_LENGTH and MAX_RESPONSE_BYTES
+const DEFAULT_MAX_URL_LENGTH = 2048;
+const DEFAULT_MAX_RESPONSE_BYTES = 50 * 1024 * 1024;
+
+// Global pace toward AO3 through the AO3 gate; override with AO3_MIN_INTERVAL_MS and AO3_MAX_QUEUE
+const DEFAULT_AO3_MIN_INTERVAL_MS = 1000;
+const DEFAULT_AO3_MAX_QUEUE = 30;
+
+// A 429 or server error seen by the gate holds back every caller's next slot, by
+// Retry-After or an exponential backoff, before the same request takes a new one
+const AO3_GATE_MAX_ATTEMPTS = 3;
+const AO3_GATE_INITIAL_BACKOFF_MS = 3000;
+const AO3_GATE_MAX_BACKOFF_MS = 30 * 1000;
+
+// Download cache; override with CACHE_TTL_SECONDS, CACHE_UNDATED_TTL_SECONDS and CACHE_MAX_STALE_SECONDS
+// Copies for a known updated_at stay fresh longer than ones fetched without it
+const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_CACHE_UNDATED_TTL_SECONDS = 10 * 60;
+const DEFAULT_CACHE_MAX_STALE_SECONDS = 7 * 24 * 60 * 60;
+
+// Download jobs (POST /jobs); override with JOB_TTL_SECONDS and JOB_TIMEOUT_SECONDS
+// Results are kept in KV, whose values are capped at 25 MB, the same as Gmail attachments
+const DEFAULT_JOB_TTL_SECONDS = 15 * 60;
+const DEFAULT_JOB_TIMEOUT_SECONDS = 2 * 60;
+const JOB_MAX_ATTEMPTS = 3;
+
+// How long clients are told to wait between job status checks, growing as a job takes longer
+const JOB_POLL_MIN_SECONDS = 2;
+const JOB_POLL_MAX_SECONDS = 15;
+const JOB_MAX_RESULT_BYTES = 25 * 1024 * 1024;
+
+// Requests per client in the current window, for this worker instance
+const rateLimits = new Map();
+
+const proxy = {
+  async fetch(request, env = {}, ctx = null) {
+    const url = new URL(request.url);
+
+    // Maintenance endpoint, called with a token rather than from the app
+    if (url.pathname === "/purge") {
+      return this.handlePurge(request, env);
+    }
+
+    const origin = request.headers.get("Origin");
+    const allowedOrigin = this.getAllowedOrigin(origin, env);
+
+    // curl, scripts and the CLI send no Origin. They may read the JSON API, which only
+    // fetches AO3 work pages and is rate limited like the rest, but the proxy itself is
+    // only for the app's own pages.
+    const isScriptRead = !origin && request.method === "GET" && WORK_API_PATH.test(url.pathname);
+    if (!allowedOrigin && !isScriptRead) {
+      return this.jsonResponse({ error: "Origin not allowed" }, 403, {});
+    }
+
+    // Set CORS headers for all responses to the app; other clients don't need them
+    const corsHeaders = allowedOrigin
+      ? {
+          "Access-Control-Allow-Origin": allowedOrigin,
+          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Expose-Headers": "Content-Length, Retry-After, X-Cache",
+          Vary: "Origin",
+        }
+      : {};
+
     // Handle CORS preflight requests
     if (request.method === "OPTIONS") {
       return new Response(null, {
         status: 200,
-        headers: {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type",
-          "Access-Control-Max-Age": "86400",
-        },
+        headers: { ...corsHeaders, "Access-Control-Max-Age": "86400" },
       });
     }
 
-    // Set CORS headers for all responses
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
-    };
+    // Starting a download job is the only POST
+    const jobMatch = url.pathname.match(JOBS_PATH);
+    const isJobStart = request.method === "POST" && jobMatch && !jobMatch[1];
+    if (request.method !== "GET" && !isJobStart) {
+      return this.jsonResponse({ error: "Method not allowed" }, 405, {
+        ...corsHeaders,
+        Allow: "GET, OPTIONS",
+      });
+    }
+
+    // The proxy only fetches; a request with a body is not from the app
+    const contentLength = parseInt(request.headers.get("content-length") || "0", 10);
+    if (contentLength > 0) {
+      return this.jsonResponse({ error: "Request body not allowed" }, 413, corsHeaders);
+    }
+
+    const maxUrlLength = this.getLimit(env.MAX_URL_LENGTH, DEFAULT_MAX_URL_LENGTH);
+    if (request.url.length > maxUrlLength) {
+      return this.jsonResponse({ error: "URL too long" }, 414, corsHeaders);
+    }
+
+    // Job status and results come from KV, never from AO3, and the app checks on a job
+    // until it's done, so reading them doesn't count toward the client's limit
+    const isJobRead = request.method === "GET" && jobMatch && jobMatch[1];
+    const rateLimit = isJobRead ? { allowed: true } : this.checkRateLimit(this.getClientId(request), env);
+    if (!rateLimit.allowed) {
+      return this.jsonResponse(
+        {
+          error: "Too many requests. Please wait a moment and try again.",
+          type: "rate_limit_error",
+          retryAfter: rateLimit.retryAfter,
+        },
+        429,
+        { ...corsHeaders, "Retry-After": String(rateLimit.retryAfter) }
+      );
+    }
+
+    const apiMatch = url.pathname.match(WORK_API_PATH);
+    if (apiMatch) {
+      return this.handleWorkApi(apiMatch[1], env, corsHeaders);
+    }
+
+    if (jobMatch) {
+      return this.handleJobs(request, jobMatch[1], Boolean(jobMatch[2]), env, corsHeaders);
+    }
 
-    const url = new URL(request.url);
     const targetUrl = url.searchParams.get("url");
 
     if (!targetUrl) {
-      return new Response(JSON.stringify({ error: "No URL provided" }), {
-        status: 400,
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      });
+      return this.jsonResponse({ error: "No URL provided" }, 400, corsHeaders);
     }
 
-    if (!targetUrl.includes("archiveofourown.org")) {
-      return new Response(
-        JSON.stringify({ error: "Invalid URL - must be AO3" }),
-        {
-          status: 400,
-          headers: { ...corsHeaders, "Content-Type": "application/json" },
-        }
+    if (!this.isAllowedTarget(targetUrl)) {
+      return this.jsonResponse(
+        { error: "Invalid URL - must be an AO3 work, series, download, bookmarks, collection or tag URL" },
+        400,
+        corsHeaders
       );
     }
 
     try {
-      // Use retry logic for AO3 requests with better headers to avoid detection
-      const userAgents = [
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0"
-      ];
-      const randomUA = userAgents[Math.floor(Math.random() * userAgents.length)];
-      
-      const response = await this.fetchWithRetry(
-        targetUrl,
-        {
-          headers: {
-            "User-Agent": randomUA,
-            Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
-            "Accept-Language": "en-US,en;q=0.9",
-            "Accept-Encoding": "gzip, deflate, br",
-            "DNT": "1",
-            "Connection": "keep-alive",
-            "Upgrade-Insecure-Requests": "1",
-            "Sec-Fetch-Dest": targetUrl.includes("/downloads/") ? "document" : "document",
-            "Sec-Fetch-Mode": "navigate",
-            "Sec-Fetch-Site": "same-origin",
-            "Cache-Control": "max-age=0",
-          },
-        },
-        2, // Reduced retries to avoid long waits
-        3000 // Longer initial delay
-      );
+      // Downloads may come from the cache; the rest goes through the AO3 gate when it's bound
+      const response = await this.fetchWithCache(targetUrl, env, ctx);
 
-      if (!response.ok) {
-        // Handle specific HTTP status codes
-        const errorMessage = await this.getErrorMessage(response);
-        return new Response(
-          JSON.stringify({
-            error: errorMessage,
-            status: response.status,
-            statusText: response.statusText,
-            retryAfter: response.headers.get("retry-after"),
-          }),
-          {
-            status: response.status === 429 ? 429 : 502, // Preserve 429, use 502 for other AO3 errors
-            headers: {
-              ...corsHeaders,
-              "Content-Type": "application/json",
-              ...(response.headers.get("retry-after") && {
-                "Retry-After": response.headers.get("retry-after"),
-              }),
-            },
-          }
-        );
+      const failure = await this.upstreamErrorResponse(response, corsHeaders);
+      if (failure) {
+        return failure;
+      }
+
+      const maxResponseBytes = this.getLimit(env.MAX_RESPONSE_BYTES, DEFAULT_MAX_RESPONSE_BYTES);
+      const responseLength = parseInt(response.headers.get("content-length") || "0", 10);
+      if (responseLength > maxResponseBytes) {
+        return this.jsonResponse({ error: "File too large to proxy" }, 413, corsHeaders);
       }
 
       // Handle different content types
@@ -101,6 +189,7 @@ export default {
         "Content-Length": response.headers.get("content-length"),
         "Last-Modified": response.headers.get("last-modified"),
         ETag: response.headers.get("etag"),
+        "X-Cache": response.headers.get("x-cache"),
       };
 
       // Remove null headers
@@ -128,37 +217,937 @@ export default {
         });
       }
     } catch (error) {
-      console.error("Worker error:", error);
+      return this.errorResponse(error, corsHeaders);
+    }
+  },
 
-      // Classify error types
-      const errorResponse = {
-        error: error.message,
-        type: "network_error",
-        timestamp: new Date().toISOString(),
-      };
+  /**
+   * Parsed work metadata as compact JSON, in the app's WorkMetadata schema plus chapterList
+   * The work page is parsed at the edge, so clients don't download it
+   */
+  async handleWorkApi(workId, env, corsHeaders) {
+    try {
+      const workUrl = `https://${AO3_HOST}/works/${workId}`;
+      const response = await this.fetchUpstream(`${workUrl}?view_adult=true`, env);
 
-      if (error.message.includes("timeout")) {
-        errorResponse.type = "timeout_error";
-      } else if (error.message.includes("429")) {
-        errorResponse.type = "rate_limit_error";
-      } else if (
-        error.message.includes("503") ||
-        error.message.includes("502")
-      ) {
-        errorResponse.type = "service_unavailable";
+      const failure = await this.upstreamErrorResponse(response, corsHeaders);
+      if (failure) {
+        return failure;
+      }
+
+      const metadata = await this.parseWorkMetadata(response, workId, workUrl);
+
+      // Restricted works send AO3's login page instead of the work
+      if (!metadata) {
+        return this.jsonResponse(
+          { error: "Could not read the work page. The work might be restricted or require login.", status: 403 },
+          502,
+          corsHeaders
+        );
+      }
+
+      return this.jsonResponse(metadata, 200, corsHeaders);
+    } catch (error) {
+      return this.errorResponse(error, corsHeaders);
+    }
+  },
+
+  /**
+   * Pull the work's metadata out of its page with HTMLRewriter
+   * Mirrors AO3Manager.parseWorkPage in the app
+   * @returns {Promise<Object|null>} - null if the page has no work title
+   */
+  async parseWorkMetadata(response, workId, workUrl) {
+    const meta = "dl.work.meta";
+    const found = { title: null, summary: null, status: null, statusLabel: null, downloadHref: null };
+    const authors = [];
+    const tags = { rating: [], warning: [], category: [], fandom: [], relationship: [], character: [], freeform: [] };
+    const stats = {};
+    const series = [];
+    const chapterList = [];
+
+    let rewriter = new HTMLRewriter();
+    const first = (key) => (text) => {
+      if (found[key] === null) {
+        found[key] = text;
+      }
+    };
+
+    rewriter = this.collectText(rewriter, "h2.title.heading", first("title"));
+    rewriter = this.collectText(rewriter, "h3.byline a[rel=\"author\"]", (text) => authors.push(text));
+    rewriter = this.collectText(rewriter, "div.summary blockquote", first("summary"));
+
+    for (const type of Object.keys(tags)) {
+      rewriter = this.collectText(rewriter, `${meta} dd.${type} a.tag`, (text) => tags[type].push(text));
+    }
+    rewriter = this.collectText(rewriter, `${meta} dd.language`, (text) => {
+      stats.language = text;
+    });
+
+    for (const type of ["published", "status", "words", "chapters", "kudos", "hits", "bookmarks", "comments"]) {
+      rewriter = this.collectText(rewriter, `${meta} dl.stats dd.${type}`, (text) => {
+        stats[type] = text;
+      });
+    }
+    rewriter = this.collectText(rewriter, `${meta} dl.stats dt.status`, first("statusLabel"));
+
+    // "Part 2 of <a href="/series/123">Series title</a>"; the link closes before its position
+    let seriesLink = null;
+    rewriter = this.collectText(rewriter, `${meta} dd.series span.position a[href*="/series/"]`, (text, attributes) => {
+      seriesLink = { href: attributes.href, title: text };
+    }, ["href"]);
+    rewriter = this.collectText(rewriter, `${meta} dd.series span.position`, (text) => {
+      const seriesMatch = seriesLink ? seriesLink.href.match(/\/series\/(\d+)/) : null;
+      const partMatch = text.match(/Part\s+(\d+)/i);
+      if (seriesMatch) {
+        series.push({
+          seriesId: seriesMatch[1],
+          title: seriesLink.title,
+          position: partMatch ? parseInt(partMatch[1], 10) : null,
+        });
       }
+      seriesLink = null;
+    });
 
-      return new Response(JSON.stringify(errorResponse), {
-        status: error.message.includes("429") ? 429 : 502,
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
+    // Multi-chapter works list their chapters as "1. Title" in the chapter index
+    rewriter = this.collectText(rewriter, "#chapter_index option", (text, attributes) => {
+      const match = text.match(/^(\d+)\.\s*(.*)$/);
+      chapterList.push({
+        id: attributes.value,
+        number: match ? parseInt(match[1], 10) : chapterList.length + 1,
+        title: match ? match[2] : text,
       });
+    }, ["value"]);
+
+    rewriter = rewriter.on("li.download a[href*=\"/downloads/\"]", {
+      element(element) {
+        if (found.downloadHref === null) {
+          found.downloadHref = element.getAttribute("href");
+        }
+      },
+    });
+
+    // Run the page through the rewriter; only the handlers' side effects are wanted
+    await rewriter.transform(response).arrayBuffer();
+
+    if (!found.title) {
+      return null;
+    }
+
+    const stamp = found.downloadHref
+      ? new URL(found.downloadHref, workUrl).searchParams.get("updated_at")
+      : null;
+    const updatedAt = stamp && /^\d+$/.test(stamp) ? stamp : null;
+
+    // The status stat reads "Updated" while in progress and "Completed" once finished
+    const status = stats.status || null;
+    const statusLabel = found.statusLabel || "";
+    const chapters = this.parseChapterStat(stats.chapters);
+
+    return {
+      workId,
+      title: found.title,
+      authors,
+      authorString: authors.join(", ") || "Unknown Author",
+      summary: found.summary || "",
+      rating: tags.rating[0] || null,
+      warnings: tags.warning,
+      categories: tags.category,
+      fandoms: tags.fandom,
+      relationships: tags.relationship,
+      characters: tags.character,
+      freeformTags: tags.freeform,
+      language: stats.language || null,
+      series,
+      published: stats.published || null,
+      updated: status && /updated/i.test(statusLabel) ? status : null,
+      completed: status && /completed/i.test(statusLabel) ? status : null,
+      isComplete: chapters.isComplete,
+      wordCount: stats.words || null,
+      words: this.parseStatNumber(stats.words),
+      chapters: stats.chapters || null,
+      chapterList,
+      stats: {
+        kudos: this.parseStatNumber(stats.kudos),
+        hits: this.parseStatNumber(stats.hits),
+        bookmarks: this.parseStatNumber(stats.bookmarks),
+        comments: this.parseStatNumber(stats.comments),
+      },
+      originalUrl: workUrl,
+      downloadUrls: Object.fromEntries(
+        ["mobi", "epub", "azw3", "pdf"].map((format) => {
+          const downloadUrl = new URL(`/downloads/${workId}/${workId}.${format}`, workUrl);
+          if (updatedAt) {
+            downloadUrl.searchParams.set("updated_at", updatedAt);
+          }
+          return [format, downloadUrl.toString()];
+        })
+      ),
+    };
+  },
+
+  /**
+   * Add a handler that gathers each matching element's text and hands it over when the element closes
+   * HTMLRewriter gives text in chunks, with entities still encoded
+   * @param {string[]} attributeNames - Attributes to read from the element and pass along
+   */
+  collectText(rewriter, selector, done, attributeNames = []) {
+    let chunks = null;
+
+    return rewriter.on(selector, {
+      element(element) {
+        chunks = [];
+        const attributes = {};
+        for (const name of attributeNames) {
+          attributes[name] = element.getAttribute(name);
+        }
+
+        element.onEndTag(() => {
+          const text = proxy.decodeHtml(chunks.join("")).replace(/\s+/g, " ").trim();
+          chunks = null;
+          done(text, attributes);
+        });
+      },
+      text(text) {
+        if (chunks) {
+          chunks.push(text.text);
+        }
+      },
+    });
+  },
+
+  /**
+   * Decode the HTML entities AO3 uses in text
+   */
+  decodeHtml(text) {
+    const named = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        const point = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  },
+
+  /**
+   * Parse AO3 numbers like "12,345"
+   * @returns {number|null}
+   */
+  parseStatNumber(text) {
+    const digits = String(text || "").replace(/[^\d]/g, "");
+    return digits ? parseInt(digits, 10) : null;
+  },
+
+  /**
+   * Parse the chapter stat, e.g. "3/?" or "12/12"
+   * @returns {Object} - { published, total (null if unknown), isComplete }
+   */
+  parseChapterStat(chapters) {
+    const match = String(chapters || "").replace(/,/g, "").match(/(\d+)\s*\/\s*(\d+|\?)/);
+    if (!match) {
+      return { published: 0, total: null, isComplete: false };
+    }
+
+    const published = parseInt(match[1], 10);
+    const total = match[2] === "?" ? null : parseInt(match[2], 10);
+    return { published, total, isComplete: total !== null && published >= total };
+  },
+
+  /**
+   * Download jobs, for files that take AO3 longer than one request can wait
+   * Jobs are kept in JOBS_KV and run from JOBS_QUEUE; both must be bound
+   */
+  async handleJobs(request, jobId, wantsResult, env, corsHeaders) {
+    if (!env.JOBS_QUEUE || !env.JOBS_KV) {
+      return this.jsonResponse({ error: "Download jobs are not enabled on this proxy" }, 404, corsHeaders);
+    }
+
+    if (!jobId) {
+      if (request.method !== "POST") {
+        return this.jsonResponse({ error: "Method not allowed" }, 405, { ...corsHeaders, Allow: "POST" });
+      }
+      return this.createJob(new URL(request.url).searchParams.get("url"), env, corsHeaders);
+    }
+
+    const job = await this.getJob(jobId, env);
+    if (!job) {
+      return this.jsonResponse(
+        { error: "Download job not found. Finished downloads are only kept for a few minutes.", type: "job_expired" },
+        404,
+        corsHeaders
+      );
+    }
+
+    if (!wantsResult) {
+      return this.jobResponse(job, 200, corsHeaders);
+    }
+
+    if (job.state !== "done") {
+      return this.jsonResponse({ error: "The download hasn't finished yet", state: job.state }, 409, corsHeaders);
+    }
+
+    const { value, metadata } = await env.JOBS_KV.getWithMetadata(`jobs/${job.id}/result`, "arrayBuffer");
+    if (!value) {
+      return this.jsonResponse(
+        { error: "The download has expired. Please try again.", type: "job_expired" },
+        404,
+        corsHeaders
+      );
+    }
+
+    return new Response(value, {
+      headers: {
+        ...corsHeaders,
+        "Content-Type": metadata.contentType,
+        "Content-Length": String(value.byteLength),
+      },
+    });
+  },
+
+  /**
+   * Record a new job and queue it
+   * @returns {Promise<Response>} - 202 with the job, as GET /jobs/<id> describes it
+   */
+  async createJob(targetUrl, env, corsHeaders) {
+    if (!targetUrl || !this.isAllowedTarget(targetUrl) || !DOWNLOAD_PATH.test(new URL(targetUrl).pathname)) {
+      return this.jsonResponse({ error: "Invalid URL - jobs are only for AO3 download URLs" }, 400, corsHeaders);
+    }
+
+    const now = Date.now();
+    const ttlSeconds = this.getLimit(env.JOB_TTL_SECONDS, DEFAULT_JOB_TTL_SECONDS);
+    const job = {
+      id: crypto.randomUUID(),
+      url: targetUrl,
+      state: "queued",
+      attempts: 0,
+      error: null,
+      retryAfter: null,
+      size: null,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + ttlSeconds * 1000,
+    };
+
+    await this.putJob(job, env);
+    await env.JOBS_QUEUE.send({ jobId: job.id });
+
+    return this.jobResponse(job, 202, { ...corsHeaders, Location: `/jobs/${job.id}` });
+  },
+
+  /**
+   * Queue consumer: run each job's download
+   */
+  async queue(batch, env, ctx) {
+    for (const message of batch.messages) {
+      await this.runJob(message, env, ctx);
+    }
+  },
+
+  /**
+   * Download a job's file into KV, with a longer timeout than a proxied request gets
+   * AO3 being busy or down puts the job back in the queue, up to JOB_MAX_ATTEMPTS tries
+   */
+  async runJob(message, env, ctx) {
+    const job = await this.getJob(message.body.jobId, env);
+
+    // Expired while it waited, or already finished by an earlier delivery
+    if (!job || job.state === "done" || job.state === "failed") {
+      message.ack();
+      return;
+    }
+
+    const update = (changes) => {
+      Object.assign(job, changes, { updatedAt: Date.now() });
+      return this.putJob(job, env);
+    };
+
+    await update({ state: "running", attempts: message.attempts, retryAfter: null });
+
+    let failure;
+    try {
+      const timeoutMs = this.getLimit(env.JOB_TIMEOUT_SECONDS, DEFAULT_JOB_TIMEOUT_SECONDS) * 1000;
+      const response = await this.fetchWithCache(job.url, env, ctx, timeoutMs);
+
+      if (response.ok) {
+        const body = await response.arrayBuffer();
+        if (body.byteLength > JOB_MAX_RESULT_BYTES) {
+          await update({ state: "failed", error: "File is too large. Gmail has a 25MB attachment limit." });
+          message.ack();
+          return;
+        }
+
+        const contentType = response.headers.get("content-type") || "application/octet-stream";
+        await env.JOBS_KV.put(`jobs/${job.id}/result`, body, {
+          expiration: this.jobExpiration(job),
+          metadata: { contentType },
+        });
+        await update({ state: "done", error: null, size: body.byteLength });
+        message.ack();
+        return;
+      }
+
+      // Reuse the proxy's wording, including the gate's queue-full answer
+      const errorResponse = await this.upstreamErrorResponse(response, {});
+      const { error, retryAfter } = await errorResponse.json();
+      failure = {
+        error,
+        retryAfter: parseInt(retryAfter, 10) || null,
+        retryable: response.status === 429 || response.status >= 500,
+      };
+    } catch (error) {
+      console.error("Download job failed:", error);
+      failure = { error: error.message, retryAfter: null, retryable: true };
+    }
+
+    if (failure.retryable && message.attempts < JOB_MAX_ATTEMPTS) {
+      const delaySeconds = failure.retryAfter || 30 * message.attempts;
+      await update({ state: "queued", error: failure.error, retryAfter: delaySeconds });
+      message.retry({ delaySeconds });
+    } else {
+      await update({ state: "failed", error: failure.error, retryAfter: null });
+      message.ack();
+    }
+  },
+
+  /**
+   * Read a job, treating one past its expiry as gone
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(jobId, env) {
+    const job = await env.JOBS_KV.get(`jobs/${jobId}`, "json");
+    return job && job.expiresAt > Date.now() ? job : null;
+  },
+
+  /**
+   * Save a job; it and its result are removed from KV once the job expires
+   */
+  putJob(job, env) {
+    return env.JOBS_KV.put(`jobs/${job.id}`, JSON.stringify(job), { expiration: this.jobExpiration(job) });
+  },
+
+  /**
+   * When KV should drop a job, in seconds since the epoch
+   * KV needs an expiry at least 60 seconds ahead; reads still honour the job's own expiresAt
+   */
+  jobExpiration(job) {
+    return Math.max(Math.ceil(job.expiresAt / 1000), Math.ceil(Date.now() / 1000) + 60);
+  },
+
+  /**
+   * A job as GET /jobs/<id> reports it
+   * state is "queued", "running", "done" or "failed"; resultUrl is set once it's done.
+   * pollAfter is how many seconds to wait before checking again, until the job finishes.
+   */
+  describeJob(job) {
+    const finished = job.state === "done" || job.state === "failed";
+
+    return {
+      ...job,
+      statusUrl: `/jobs/${job.id}`,
+      resultUrl: job.state === "done" ? `/jobs/${job.id}/result` : null,
+      pollAfter: finished ? null : this.getJobPollAfter(job),
+    };
+  },
+
+  /**
+   * Seconds until a running job is worth checking again
+   * A job waiting out AO3's Retry-After won't change before then; otherwise the
+   * wait grows with the job's age, since slow downloads tend to stay slow
+   */
+  getJobPollAfter(job) {
+    const now = Date.now();
+    if (job.retryAfter) {
+      return Math.max(JOB_POLL_MIN_SECONDS, Math.ceil((job.updatedAt + job.retryAfter * 1000 - now) / 1000));
     }
+
+    const ageSeconds = (now - job.createdAt) / 1000;
+    return Math.min(JOB_POLL_MAX_SECONDS, Math.max(JOB_POLL_MIN_SECONDS, Math.ceil(ageSeconds / 10)));
+  },
+
+  /**
+   * Answer with a job, and a Retry-After saying when to check on it again
+   */
+  jobResponse(job, status, headers) {
+    const described = this.describeJob(job);
+    return this.jsonResponse(
+      described,
+      status,
+      described.pollAfter ? { ...headers, "Retry-After": String(described.pollAfter) } : headers
+    );
+  },
+
+  /**
+   * Turn a failed upstream response into the JSON error the app expects
+   * @returns {Promise<Response|null>} - null if the response is fine to pass on
+   */
+  async upstreamErrorResponse(response, corsHeaders) {
+    // The gate's queue is full: tell the caller where they'd be and when to come back
+    if (response.headers.get("X-AO3-Gate") === "queue-full") {
+      const { position, retryAfter } = await response.json();
+      return this.jsonResponse(
+        {
+          error: `AO3 is busy with other readers' requests. Please try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}.`,
+          type: "rate_limit_error",
+          position,
+          retryAfter,
+        },
+        429,
+        { ...corsHeaders, "Retry-After": String(retryAfter) }
+      );
+    }
+
+    if (!response.ok) {
+      // Handle specific HTTP status codes
+      const errorMessage = await this.getErrorMessage(response);
+      return new Response(
+        JSON.stringify({
+          error: errorMessage,
+          status: response.status,
+          statusText: response.statusText,
+          retryAfter: response.headers.get("retry-after"),
+        }),
+        {
+          status: response.status === 429 ? 429 : 502, // Preserve 429, use 502 for other AO3 errors
+          headers: {
+            ...corsHeaders,
+            "Content-Type": "application/json",
+            ...(response.headers.get("retry-after") && {
+              "Retry-After": response.headers.get("retry-after"),
+            }),
+          },
+        }
+      );
+    }
+
+    return null;
+  },
+
+  /**
+   * Report a failed fetch (timeout, network error, redirect off AO3) as JSON
+   */
+  errorResponse(error, corsHeaders) {
+    console.error("Worker error:", error);
+
+    // Classify error types
+    const errorResponse = {
+      error: error.message,
+      type: "network_error",
+      timestamp: new Date().toISOString(),
+    };
+
+    if (error.message.includes("timeout")) {
+      errorResponse.type = "timeout_error";
+    } else if (error.message.includes("429")) {
+      errorResponse.type = "rate_limit_error";
+    } else if (
+      error.message.includes("503") ||
+      error.message.includes("502")
+    ) {
+      errorResponse.type = "service_unavailable";
+    }
+
+    return new Response(JSON.stringify(errorResponse), {
+      status: error.message.includes("429") ? 429 : 502,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  },
+
+  /**
+   * Fetch a target from AO3, or through the AO3 gate when the worker has one bound
+   * Gate errors are rethrown so they're reported like direct fetch errors
+   */
+  async fetchUpstream(targetUrl, env, conditionalHeaders = {}, timeoutMs = null) {
+    if (!env.AO3_GATE) {
+      return this.fetchFromAO3(targetUrl, conditionalHeaders, timeoutMs);
+    }
+
+    const gate = env.AO3_GATE.get(env.AO3_GATE.idFromName("global"));
+    const timeout = timeoutMs ? `&timeout=${timeoutMs}` : "";
+    const response = await gate.fetch(`https://ao3-gate/?url=${encodeURIComponent(targetUrl)}${timeout}`, {
+      headers: conditionalHeaders,
+    });
+
+    if (response.headers.get("X-AO3-Gate") === "error") {
+      const { error } = await response.json();
+      throw new Error(error);
+    }
+
+    return response;
+  },
+
+  /**
+   * Fetch a target straight from AO3, with retries and browser-like headers
+   * @param {Object} conditionalHeaders - If-None-Match / If-Modified-Since when revalidating a cached copy
+   * @param {number|null} timeoutMs - Per-attempt timeout, instead of fetchWithRetry's default
+   * @param {number} maxAttempts - 1 when the AO3 gate does the retrying, in turn with everyone else
+   */
+  async fetchFromAO3(targetUrl, conditionalHeaders = {}, timeoutMs = null, maxAttempts = 2) {
+    // Use retry logic for AO3 requests with better headers to avoid detection
+    const userAgents = [
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0"
+    ];
+    const randomUA = userAgents[Math.floor(Math.random() * userAgents.length)];
+    
+    const response = await this.fetchWithRetry(
+      targetUrl,
+      {
+        headers: {
+          "User-Agent": randomUA,
+          Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8",
+          "Accept-Language": "en-US,en;q=0.9",
+          "Accept-Encoding": "gzip, deflate, br",
+          "DNT": "1",
+          "Connection": "keep-alive",
+          "Upgrade-Insecure-Requests": "1",
+          "Sec-Fetch-Dest": targetUrl.includes("/downloads/") ? "document" : "document",
+          "Sec-Fetch-Mode": "navigate",
+          "Sec-Fetch-Site": "same-origin",
+          "Cache-Control": "max-age=0",
+          ...conditionalHeaders,
+        },
+      },
+      maxAttempts, // Reduced retries to avoid long waits
+      3000, // Longer initial delay
+      timeoutMs
+    );
+
+    // Redirects are followed, but must stay on AO3
+    if (response.url && new URL(response.url).hostname !== AO3_HOST) {
+      throw new Error("AO3 redirected somewhere else");
+    }
+
+    return response;
+  },
+
+  /**
+   * Fetch a target, answering downloads from the cache where possible
+   * Downloads are keyed by work ID and format; the stored copy remembers the
+   * updated_at it was fetched for, so a changed work is fetched again.
+   * Stale copies are revalidated with a conditional request, and served as they
+   * are if AO3 is down or busy.
+   * @param {number|null} timeoutMs - Per-attempt timeout toward AO3, for download jobs
+   */
+  async fetchWithCache(targetUrl, env, ctx, timeoutMs = null) {
+    const target = new URL(targetUrl);
+    const match = target.pathname.match(DOWNLOAD_PATH);
+    if (!match) {
+      return this.fetchUpstream(targetUrl, env, {}, timeoutMs);
+    }
+
+    const key = `downloads/${match[1]}/${match[2]}`;
+    const updatedAt = target.searchParams.get("updated_at");
+    const store = this.getCacheStore(env);
+    const maxStaleSeconds = this.getLimit(env.CACHE_MAX_STALE_SECONDS, DEFAULT_CACHE_MAX_STALE_SECONDS);
+
+    let cached = null;
+    try {
+      cached = await store.get(key);
+    } catch (error) {
+      console.error("Cache read failed:", error);
+    }
+
+    const ageSeconds = cached ? (Date.now() - cached.meta.storedAt) / 1000 : Infinity;
+    if (ageSeconds > maxStaleSeconds) {
+      this.discardCached(cached);
+      cached = null;
+    }
+
+    // A copy of a different version can only stand in while AO3 is unreachable
+    const sameVersion = cached && (!updatedAt || cached.meta.updatedAt === updatedAt);
+    const ttlSeconds = updatedAt
+      ? this.getLimit(env.CACHE_TTL_SECONDS, DEFAULT_CACHE_TTL_SECONDS)
+      : this.getLimit(env.CACHE_UNDATED_TTL_SECONDS, DEFAULT_CACHE_UNDATED_TTL_SECONDS);
+
+    if (sameVersion && ageSeconds < ttlSeconds) {
+      return this.cachedResponse(cached, "HIT");
+    }
+
+    const conditionalHeaders = {};
+    if (sameVersion && cached.meta.etag) {
+      conditionalHeaders["If-None-Match"] = cached.meta.etag;
+    }
+    if (sameVersion && cached.meta.lastModified) {
+      conditionalHeaders["If-Modified-Since"] = cached.meta.lastModified;
+    }
+
+    let response;
+    try {
+      response = await this.fetchUpstream(targetUrl, env, conditionalHeaders, timeoutMs);
+    } catch (error) {
+      if (cached) {
+        console.warn("AO3 unreachable, serving a stale copy:", error.message);
+        return this.cachedResponse(cached, "STALE");
+      }
+      throw error;
+    }
+
+    if (response.status === 304 && sameVersion) {
+      const meta = { ...cached.meta, storedAt: Date.now() };
+      const [clientBody, cacheBody] = cached.body.tee();
+      this.storeInBackground(ctx, store.put(key, cacheBody, meta, maxStaleSeconds));
+      return this.cachedResponse({ body: clientBody, meta }, "REVALIDATED");
+    }
+
+    const isUnavailable = response.status === 429 || response.status >= 500;
+    if (isUnavailable && cached) {
+      console.warn(`AO3 answered ${response.status}, serving a stale copy`);
+      return this.cachedResponse(cached, "STALE");
+    }
+    this.discardCached(cached);
+
+    const maxResponseBytes = this.getLimit(env.MAX_RESPONSE_BYTES, DEFAULT_MAX_RESPONSE_BYTES);
+    const responseLength = parseInt(response.headers.get("content-length") || "0", 10);
+    if (response.status !== 200 || responseLength > maxResponseBytes) {
+      return response;
+    }
+
+    const encoding = response.headers.get("content-encoding");
+    const meta = {
+      storedAt: Date.now(),
+      updatedAt,
+      etag: response.headers.get("etag"),
+      lastModified: response.headers.get("last-modified"),
+      contentType: response.headers.get("content-type") || "application/octet-stream",
+      // A compressed response's Content-Length is not the length of the decoded body
+      size: !encoding || encoding === "identity" ? responseLength || null : null,
+    };
+
+    // The client gets one branch as it arrives; the other is written to the cache alongside it
+    const [clientBody, cacheBody] = response.body.tee();
+    this.storeInBackground(ctx, store.put(key, cacheBody, meta, maxStaleSeconds));
+
+    return this.cachedResponse({ body: clientBody, meta }, "MISS");
+  },
+
+  /**
+   * Build a response from a cached body stream and its metadata
+   */
+  cachedResponse({ body, meta }, state) {
+    const headers = {
+      "Content-Type": meta.contentType,
+      "X-Cache": state,
+    };
+    if (meta.size) headers["Content-Length"] = String(meta.size);
+    if (meta.etag) headers.ETag = meta.etag;
+    if (meta.lastModified) headers["Last-Modified"] = meta.lastModified;
+
+    return new Response(body, { status: 200, headers });
+  },
+
+  /**
+   * Let go of a cached copy that won't be served
+   */
+  discardCached(cached) {
+    if (cached && cached.body) {
+      cached.body.cancel().catch(() => {});
+    }
+  },
+
+  /**
+   * Write to the cache after the response has gone out, where the runtime allows it
+   */
+  storeInBackground(ctx, promise) {
+    const logged = promise.catch((error) => console.error("Cache write failed:", error));
+    if (ctx && ctx.waitUntil) {
+      ctx.waitUntil(logged);
+    }
+    return logged;
+  },
+
+  /**
+   * Pick where downloads are cached
+   * R2 (CACHE_BUCKET) or KV (CACHE_KV) are shared by every Cloudflare location;
+   * without either, each location keeps its own copies in the Cache API
+   * Bodies are streamed both ways: get resolves to { body, meta } with body a ReadableStream,
+   * and meta.size its length when known
+   * @returns {Object} - { get(key), put(key, body, meta, maxAgeSeconds), delete(key) }
+   */
+  getCacheStore(env) {
+    if (env.CACHE_BUCKET) {
+      return {
+        get: async (key) => {
+          const object = await env.CACHE_BUCKET.get(key);
+          return object
+            ? { body: object.body, meta: { ...JSON.parse(object.customMetadata.meta), size: object.size } }
+            : null;
+        },
+        // R2 has no per-object expiry; old copies are ignored when read, and a lifecycle rule can clear them
+        // It only takes streams of a known length, so a body without one is read in full first
+        put: async (key, body, meta) =>
+          env.CACHE_BUCKET.put(
+            key,
+            meta.size ? body.pipeThrough(new FixedLengthStream(meta.size)) : await new Response(body).arrayBuffer(),
+            { customMetadata: { meta: JSON.stringify(meta) } }
+          ),
+        delete: (key) => env.CACHE_BUCKET.delete(key),
+      };
+    }
+
+    if (env.CACHE_KV) {
+      return {
+        get: async (key) => {
+          const { value, metadata } = await env.CACHE_KV.getWithMetadata(key, "stream");
+          return value ? { body: value, meta: metadata } : null;
+        },
+        put: (key, body, meta, maxAgeSeconds) =>
+          env.CACHE_KV.put(key, body, { metadata: meta, expirationTtl: maxAgeSeconds }),
+        delete: (key) => env.CACHE_KV.delete(key),
+      };
+    }
+
+    const cacheUrl = (key) => `https://ao3-cache.internal/${key}`;
+    return {
+      get: async (key) => {
+        const response = await caches.default.match(cacheUrl(key));
+        return response
+          ? { body: response.body, meta: JSON.parse(response.headers.get("X-Cache-Meta")) }
+          : null;
+      },
+      put: (key, body, meta, maxAgeSeconds) =>
+        caches.default.put(
+          cacheUrl(key),
+          new Response(body, {
+            headers: {
+              "Cache-Control": `max-age=${maxAgeSeconds}`,
+              "X-Cache-Meta": JSON.stringify(meta),
+            },
+          })
+        ),
+      delete: (key) => caches.default.delete(cacheUrl(key)),
+    };
+  },
+
+  /**
+   * Remove a work's cached downloads: POST /purge?work=<id>, with
+   * "Authorization: Bearer <PURGE_TOKEN>". Disabled unless PURGE_TOKEN is set.
+   * With the Cache API, only the copies at the Cloudflare location that answers are removed.
+   */
+  async handlePurge(request, env) {
+    if (!env.PURGE_TOKEN) {
+      return this.jsonResponse({ error: "Not found" }, 404, {});
+    }
+
+    if (request.method !== "POST") {
+      return this.jsonResponse({ error: "Method not allowed" }, 405, { Allow: "POST" });
+    }
+
+    if (request.headers.get("Authorization") !== `Bearer ${env.PURGE_TOKEN}`) {
+      return this.jsonResponse({ error: "Unauthorized" }, 401, {});
+    }
+
+    const workId = new URL(request.url).searchParams.get("work");
+    if (!workId || !/^\d+$/.test(workId)) {
+      return this.jsonResponse({ error: "Give the work ID to purge, e.g. /purge?work=12345" }, 400, {});
+    }
+
+    const store = this.getCacheStore(env);
+    const keys = DOWNLOAD_FORMATS.map((format) => `downloads/${workId}/${format}`);
+    await Promise.all(keys.map((key) => store.delete(key)));
+
+    return this.jsonResponse({ purged: workId, keys }, 200, {});
+  },
+
+  /**
+   * Echo the request's origin if it may use the proxy, or return null
+   */
+  getAllowedOrigin(origin, env) {
+    if (!origin) {
+      return null;
+    }
+
+    const allowed = env.ALLOWED_ORIGINS
+      ? env.ALLOWED_ORIGINS.split(",").map((entry) => entry.trim()).filter(Boolean)
+      : DEFAULT_ALLOWED_ORIGINS;
+
+    if (allowed.includes("*")) {
+      return "*";
+    }
+
+    return allowed.includes(origin) ? origin : null;
+  },
+
+  /**
+   * Check that a target is an https AO3 URL on one of the paths the app uses
+   */
+  isAllowedTarget(targetUrl) {
+    let target;
+    try {
+      target = new URL(targetUrl);
+    } catch {
+      return false;
+    }
+
+    return (
+      target.protocol === "https:" &&
+      target.hostname === AO3_HOST &&
+      !target.port &&
+      !target.username &&
+      !target.password &&
+      ALLOWED_PATHS.some((pattern) => pattern.test(target.pathname))
+    );
+  },
+
+  /**
+   * Identify the client for rate limiting
+   */
+  getClientId(request) {
+    return request.headers.get("CF-Connecting-IP") || "unknown";
+  },
+
+  /**
+   * Count a request against the client's fixed window
+   * Counts are kept per worker instance, so the limit is per client per instance
+   * @returns {Object} - { allowed, retryAfter (seconds) }
+   */
+  checkRateLimit(clientId, env) {
+    const maxRequests = this.getLimit(env.RATE_LIMIT_REQUESTS, DEFAULT_RATE_LIMIT_REQUESTS);
+    const windowMs = this.getLimit(env.RATE_LIMIT_WINDOW_SECONDS, DEFAULT_RATE_LIMIT_WINDOW_SECONDS) * 1000;
+    const now = Date.now();
+
+    // Drop finished windows so the map doesn't grow with every client seen
+    for (const [id, entry] of rateLimits) {
+      if (entry.resetAt <= now) {
+        rateLimits.delete(id);
+      }
+    }
+
+    const entry = rateLimits.get(clientId) || { count: 0, resetAt: now + windowMs };
+    entry.count++;
+    rateLimits.set(clientId, entry);
+
+    if (entry.count > maxRequests) {
+      return { allowed: false, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+    }
+
+    return { allowed: true, retryAfter: 0 };
+  },
+
+  /**
+   * Read a numeric setting, falling back to the default
+   */
+  getLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : fallback;
+  },
+
+  /**
+   * Build a JSON response
+   */
+  jsonResponse(body, status, headers) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { ...headers, "Content-Type": "application/json" },
+    });
   },
 
   /**
    * Fetch with intelligent retry logic optimized for AO3 rate limiting
    */
-  async fetchWithRetry(url, options, maxRetries = 3, initialDelay = 2000) {
+  async fetchWithRetry(url, options, maxRetries = 3, initialDelay = 2000, timeoutMs = null) {
     let lastError;
     const isDownload = url.includes("/downloads/");
 
@@ -167,9 +1156,9 @@ export default {
         console.log(`Attempt ${attempt}/${maxRetries} for ${url}`);
 
         // Longer timeout for better success rate
-        const timeoutMs = isDownload ? 15000 : 8000; // 15s for downloads, 8s for pages
+        const attemptTimeoutMs = timeoutMs || (isDownload ? 15000 : 8000); // 15s for downloads, 8s for pages
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        const timeoutId = setTimeout(() => controller.abort(), attemptTimeoutMs);
 
         // Add delay before each request (except first) to avoid rate limiting
         if (attempt > 1) {
@@ -275,3 +1264,233 @@ export default {
     return new Promise((resolve) => setTimeout(resolve, ms));
   },
 };
+
+/**
+ * AO3 gate: one Durable Object ("global") that every proxied AO3 request passes through
+ * It starts upstream requests no closer together than AO3_MIN_INTERVAL_MS, across all
+ * clients, retries AO3's 429s and server errors in that same line, and gives concurrent
+ * callers for the same URL one shared upstream response, streamed to each of them.
+ * Bind it as AO3_GATE; without the binding the worker fetches from AO3 directly.
+ */
+export class AO3Gate {
+  constructor(state, env = {}) {
+    this.state = state;
+    this.env = env;
+
+    // Upstream fetches in progress, by target URL and validators, shared by every caller asking for it
+    this.inFlight = new Map();
+
+    // When the next upstream request may start
+    this.nextSlotAt = 0;
+  }
+
+  /**
+   * Handle GET /?url=<target>[&timeout=<ms>] from the worker
+   * Responds with AO3's response, or with X-AO3-Gate "queue-full" ({ position, retryAfter })
+   * or "error" ({ error })
+   */
+  async fetch(request) {
+    const gateUrl = new URL(request.url);
+    const targetUrl = gateUrl.searchParams.get("url");
+    const timeoutMs = parseInt(gateUrl.searchParams.get("timeout"), 10) || null;
+
+    // Revalidations of a cached download carry their validators through to AO3
+    const conditionalHeaders = {};
+    for (const name of ["If-None-Match", "If-Modified-Since"]) {
+      const value = request.headers.get(name);
+      if (value) {
+        conditionalHeaders[name] = value;
+      }
+    }
+
+    // Only callers asking the same question can share an answer
+    const key = [targetUrl, conditionalHeaders["If-None-Match"], conditionalHeaders["If-Modified-Since"]].join(" ");
+
+    // Callers join a fetch until AO3's headers arrive; after that its body is already being read
+    let shared = this.inFlight.get(key);
+    if (!shared) {
+      const intervalMs = proxy.getLimit(this.env.AO3_MIN_INTERVAL_MS, DEFAULT_AO3_MIN_INTERVAL_MS);
+      const maxQueue = proxy.getLimit(this.env.AO3_MAX_QUEUE, DEFAULT_AO3_MAX_QUEUE);
+      const waitMs = Math.max(0, this.nextSlotAt - Date.now());
+      const position = Math.ceil(waitMs / intervalMs) + 1;
+
+      if (position > maxQueue) {
+        return this.gateResponse("queue-full", { position, retryAfter: Math.ceil(waitMs / 1000) });
+      }
+
+      const entry = { callers: 0 };
+      entry.ready = this.fetchInTurn(targetUrl, intervalMs, conditionalHeaders, timeoutMs)
+        .finally(() => this.inFlight.delete(key))
+        .then((response) => ({ response, callers: this.splitBody(response.body, entry.callers) }));
+      shared = entry;
+      this.inFlight.set(key, shared);
+    }
+    shared.callers++;
+
+    try {
+      const { response, callers } = await shared.ready;
+      const caller = callers.pop();
+
+      // A caller that goes away stops sharing, so the rest of the body isn't held for it
+      request.signal?.addEventListener("abort", () => caller.leave());
+
+      return new Response(caller.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    } catch (error) {
+      return this.gateResponse("error", { error: error.message });
+    }
+  }
+
+  /**
+   * Wait for the next free slot, then fetch from AO3
+   * A 429, server error or network failure backs off every caller's slots, then the
+   * request waits for a new slot, up to AO3_GATE_MAX_ATTEMPTS tries. The body is
+   * streamed, not read here.
+   */
+  async fetchInTurn(targetUrl, intervalMs, conditionalHeaders = {}, timeoutMs = null) {
+    for (let attempt = 1; ; attempt++) {
+      const now = Date.now();
+      const slotAt = Math.max(now, this.nextSlotAt);
+      this.nextSlotAt = slotAt + intervalMs;
+
+      await proxy.sleep(slotAt - now);
+
+      let response;
+      try {
+        response = await proxy.fetchFromAO3(targetUrl, conditionalHeaders, timeoutMs, 1);
+      } catch (error) {
+        if (attempt >= AO3_GATE_MAX_ATTEMPTS) {
+          throw error;
+        }
+        this.backOff(this.getBackoffMs(attempt));
+        continue;
+      }
+
+      if (response.status === 429 || response.status >= 500) {
+        const retryAfter = parseInt(response.headers.get("retry-after"), 10);
+        const backoffMs = retryAfter >= 0 ? retryAfter * 1000 : this.getBackoffMs(attempt);
+        this.backOff(backoffMs);
+
+        // Pass it on when out of tries, or when AO3 asks for a longer wait than a caller should sit through
+        if (attempt < AO3_GATE_MAX_ATTEMPTS && backoffMs <= AO3_GATE_MAX_BACKOFF_MS) {
+          await response.body?.cancel();
+          continue;
+        }
+      }
+
+      const maxResponseBytes = proxy.getLimit(this.env.MAX_RESPONSE_BYTES, DEFAULT_MAX_RESPONSE_BYTES);
+      const responseLength = parseInt(response.headers.get("content-length") || "0", 10);
+
+      // Too large to pass on: the headers are enough for the worker to refuse it
+      if (responseLength > maxResponseBytes) {
+        await response.body?.cancel();
+        return new Response(null, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+        });
+      }
+
+      return response;
+    }
+  }
+
+  /**
+   * Exponential backoff for a failed attempt, when AO3 didn't say how long to wait
+   */
+  getBackoffMs(attempt) {
+    return Math.min(AO3_GATE_INITIAL_BACKOFF_MS * Math.pow(2, attempt - 1), AO3_GATE_MAX_BACKOFF_MS);
+  }
+
+  /**
+   * Keep every caller off AO3 for backoffMs from now
+   */
+  backOff(backoffMs) {
+    console.log(`AO3 gate backing off for ${backoffMs}ms`);
+    this.nextSlotAt = Math.max(this.nextSlotAt, Date.now() + backoffMs);
+  }
+
+  /**
+   * Split a body into one stream per caller sharing the response
+   * One reader feeds every caller still there. A caller that leaves (its request is
+   * aborted or its stream cancelled) is dropped rather than buffered for, and AO3's
+   * body is cancelled once nobody is left to read it.
+   * @returns {Object[]} - { body, leave() } for each caller
+   */
+  splitBody(body, count) {
+    if (!body) {
+      return Array.from({ length: count }, () => ({ body: null, leave() {} }));
+    }
+
+    const reader = body.getReader();
+    const readers = new Set();
+    let reading = null;
+
+    const drop = (caller) => {
+      if (readers.delete(caller) && readers.size === 0) {
+        reader.cancel().catch(() => {});
+      }
+    };
+
+    // The first caller ready for more reads the next chunk for everyone
+    const readNext = async () => {
+      try {
+        const { done, value } = await reader.read();
+        for (const caller of readers) {
+          if (done) {
+            caller.controller.close();
+          } else {
+            caller.controller.enqueue(value);
+          }
+        }
+        if (done) {
+          readers.clear();
+        }
+      } catch (error) {
+        readers.forEach((caller) => caller.controller.error(error));
+        readers.clear();
+      } finally {
+        reading = null;
+      }
+    };
+
+    return Array.from({ length: count }, () => {
+      const caller = {};
+      caller.body = new ReadableStream({
+        start(controller) {
+          caller.controller = controller;
+          readers.add(caller);
+        },
+        pull() {
+          reading ??= readNext();
+          return reading;
+        },
+        cancel() {
+          drop(caller);
+        },
+      });
+      caller.leave = () => {
+        if (readers.has(caller)) {
+          caller.controller.error(new Error("The request was aborted"));
+          drop(caller);
+        }
+      };
+      return caller;
+    });
+  }
+
+  /**
+   * Build a response the worker reads as a message from the gate rather than from AO3
+   */
+  gateResponse(kind, body) {
+    return new Response(JSON.stringify(body), {
+      status: kind === "queue-full" ? 429 : 502,
+      headers: { "Content-Type": "application/json", "X-AO3-Gate": kind },
+    });
+  }
+}
+
+export default proxy;
@@ -0,0 +1,75 @@
+/* =================================================================
+   AO3 to Kindle - Extension Background
+   Gmail tokens from chrome.identity for the content script, which
+   can't call it itself
+   ================================================================= */
+
+// Google's tokens last an hour; chrome.identity doesn't say how much of that is left
+const TOKEN_LIFETIME_SECONDS = 45 * 60;
+
+/* =================================================================
+   Tokens
+   ================================================================= */
+
+/**
+ * Get a Gmail token, from Chrome's cache when it has one
+ * @param {boolean} interactive - Whether Chrome may show the sign-in and consent window
+ * @returns {Promise<string>}
+ */
+function getAuthToken(interactive) {
+  return new Promise((resolve, reject) => {
+    chrome.identity.getAuthToken({ interactive }, result => {
+      if (chrome.runtime.lastError || !result) {
+        reject(new Error((chrome.runtime.lastError && chrome.runtime.lastError.message) || 'Sign-in was cancelled.'));
+        return;
+      }
+
+      // Newer versions of Chrome pass { token, grantedScopes } instead of the token
+      resolve(typeof result === 'string' ? result : result.token);
+    });
+  });
+}
+
+/**
+ * Drop a token Gmail rejected, so the next request gets a fresh one
+ */
+function removeCachedAuthToken(token) {
+  return new Promise(resolve => {
+    chrome.identity.removeCachedAuthToken({ token }, () => resolve());
+  });
+}
+
+/* =================================================================
+   Messages
+   ================================================================= */
+
+/**
+ * Answer the content script
+ * Messages: { type: 'getAuthToken', interactive }, { type: 'removeCachedAuthToken', token }, { type: 'openOptions' }
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'getAuthToken') {
+    getAuthToken(!!message.interactive)
+      .then(token => sendResponse({ token, expiresIn: TOKEN_LIFETIME_SECONDS }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'removeCachedAuthToken') {
+    removeCachedAuthToken(message.token).then(() => sendResponse({}));
+    return true;
+  }
+
+  if (message.type === 'openOptions') {
+    chrome.runtime.openOptionsPage();
+  }
+
+  return false;
+});
+
+/**
+ * The toolbar button opens the settings
+ */
+chrome.action.onClicked.addListener(() => {
+  chrome.runtime.openOptionsPage();
+});
@@ -0,0 +1,250 @@
+/* =================================================================
+   AO3 to Kindle - Extension Content Script
+   Adds a "Send to Kindle" button to AO3 work pages, using the web
+   app's modules from shared/
+   ================================================================= */
+
+class SendButtonManager {
+  constructor() {
+    this.workId = window.ao3Manager.extractWorkId(window.location.href);
+    this.device = null;
+    this.abortController = null;
+
+    this.button = null;
+    this.statusElement = null;
+
+    this.handleProgress = this.handleProgress.bind(this);
+  }
+
+  /* =================================================================
+     Initialization
+     ================================================================= */
+
+  /**
+   * Add the button if this is a work page
+   */
+  async init() {
+    // /works/search, /works/new and the like have no work to send
+    if (!this.workId) return;
+
+    // Content scripts run at document_idle, after DOMContentLoaded, so the shared managers' own init hooks never fire
+    window.utilsManager.init();
+    window.ao3Manager.init();
+
+    // Tokens come from chrome.identity through the background worker
+    window.authManager.useTokenProvider(options => this.requestToken(options));
+    window.progressManager.onProgress(this.handleProgress);
+
+    this.renderButton();
+
+    this.device = await this.loadDevice();
+    this.updateButtonLabel();
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes.defaultDevice) {
+        this.device = changes.defaultDevice.newValue || null;
+        this.updateButtonLabel();
+      }
+    });
+  }
+
+  /**
+   * Add the button to the work's action bar, next to AO3's own Download button
+   */
+  renderButton() {
+    const item = document.createElement('li');
+    item.className = 'ao3-kindle-send';
+
+    this.button = document.createElement('a');
+    this.button.href = '#';
+    this.button.setAttribute('role', 'button');
+    this.button.textContent = 'Send to Kindle';
+    this.button.addEventListener('click', event => {
+      event.preventDefault();
+      this.handleClick();
+    });
+    item.appendChild(this.button);
+
+    this.statusElement = document.createElement('p');
+    this.statusElement.className = 'ao3-kindle-status';
+    this.statusElement.setAttribute('role', 'status');
+    this.statusElement.setAttribute('aria-live', 'polite');
+    this.statusElement.hidden = true;
+
+    const actions = document.querySelector('ul.work.navigation.actions');
+    if (actions) {
+      actions.appendChild(item);
+      actions.insertAdjacentElement('afterend', this.statusElement);
+    } else {
+      const main = document.getElementById('main') || document.body;
+      const list = document.createElement('ul');
+      list.className = 'ao3-kindle-actions';
+      list.appendChild(item);
+      main.prepend(list, this.statusElement);
+    }
+  }
+
+  /**
+   * Name the default device on the button
+   */
+  updateButtonLabel() {
+    if (this.abortController) return;
+
+    this.button.textContent = this.device ? `Send to ${this.device.name}` : 'Send to Kindle';
+  }
+
+  /* =================================================================
+     Settings
+     ================================================================= */
+
+  /**
+   * Load the default device chosen on the options page
+   * @returns {Promise<Object|null>} - { id, name, email, type, format, isFree }
+   */
+  async loadDevice() {
+    try {
+      const { defaultDevice } = await chrome.storage.sync.get('defaultDevice');
+      return defaultDevice || null;
+    } catch (error) {
+      console.warn('Failed to load the default device:', error);
+      return null;
+    }
+  }
+
+  /* =================================================================
+     Sending
+     ================================================================= */
+
+  /**
+   * Send the work, or cancel a send in progress
+   */
+  async handleClick() {
+    if (this.abortController) {
+      this.abortController.abort();
+      return;
+    }
+
+    if (!this.device) {
+      this.showStatus('Choose the device to send to in the extension settings, then try again.', 'warning');
+      chrome.runtime.sendMessage({ type: 'openOptions' });
+      return;
+    }
+
+    this.abortController = new AbortController();
+    this.button.textContent = 'Cancel sending';
+
+    try {
+      await this.sendWork(this.abortController.signal);
+    } catch (error) {
+      if (window.utilsManager.isAbortError(error)) {
+        this.showStatus('Cancelled. Nothing was sent.', 'info');
+        return;
+      }
+
+      console.error('Send to Kindle failed:', error);
+
+      // A token Gmail rejected stays in Chrome's cache until it is removed
+      if (error.message.includes('Authentication expired')) {
+        await this.discardToken();
+      }
+
+      this.showStatus(`${error.message} Nothing was sent.`, 'error');
+    } finally {
+      this.abortController = null;
+      this.updateButtonLabel();
+    }
+  }
+
+  /**
+   * Fetch this work straight from AO3 and send it to the default device
+   */
+  async sendWork(signal) {
+    const destination = window.deviceManager.toDestination(this.device);
+    const { format } = window.formatManager.resolveFormat(this.device.format, [destination]);
+
+    if (!window.authManager.isAuthenticated()) {
+      this.showStatus('Signing in to Gmail...', 'info');
+      await window.authManager.signInWithTokenProvider(true);
+    }
+
+    this.showStatus('Fetching the work from AO3...', 'info');
+    const workData = await window.ao3Manager.fetchWork(
+      `https://archiveofourown.org/works/${this.workId}`,
+      format,
+      { signal }
+    );
+
+    this.showStatus(`Sending "${workData.metadata.title}" to ${this.device.name}...`, 'info');
+    await window.destinationManager.deliver(workData, destination, { signal });
+
+    const fallbackNote = workData.metadata.builtFallback
+      ? ' AO3\'s download failed, so an EPUB was built from the work page instead.'
+      : '';
+    this.showStatus(
+      `"${workData.metadata.title}" has been sent to ${this.device.name}. It should appear shortly.${fallbackNote}`,
+      'success'
+    );
+  }
+
+  /**
+   * Show download and upload progress while sending
+   */
+  handleProgress(event) {
+    if (!this.abortController || event.state !== 'progress' || event.percent === null) return;
+
+    const action = event.phase === 'download' ? 'Downloading' : 'Uploading';
+    this.showStatus(`${action} "${event.label}"... ${event.percent}%`, 'info');
+  }
+
+  /* =================================================================
+     Tokens
+     ================================================================= */
+
+  /**
+   * Token provider for AuthManager
+   * @returns {Promise<Object>} - { access_token, expires_in }
+   */
+  async requestToken({ interactive }) {
+    const response = await chrome.runtime.sendMessage({ type: 'getAuthToken', interactive });
+
+    if (!response || response.error) {
+      throw new Error((response && response.error) || 'Could not sign in to Gmail.');
+    }
+
+    return { access_token: response.token, expires_in: response.expiresIn };
+  }
+
+  /**
+   * Forget the current token so the next send signs in again
+   */
+  async discardToken() {
+    const token = window.authManager.accessToken;
+    window.authManager.clearAuthData();
+
+    if (token) {
+      await chrome.runtime.sendMessage({ type: 'removeCachedAuthToken', token });
+    }
+  }
+
+  /* =================================================================
+     Status
+     ================================================================= */
+
+  /**
+   * Show a status message under the button
+   * @param {string} type - 'info', 'success', 'warning' or 'error'
+   */
+  showStatus(message, type = 'info') {
+    this.statusElement.textContent = message;
+    this.statusElement.className = `ao3-kindle-status ao3-kindle-status-${type}`;
+    this.statusElement.hidden = false;
+  }
+}
+
+/* =================================================================
+   Global Send Button Manager Instance & Initialization
+   ================================================================= */
+
+// Create global send button manager instance
+window.sendButtonManager = new SendButtonManager();
+window.sendButtonManager.init();
@@ -0,0 +1,79 @@
+/* =================================================================
+   AO3 to Kindle - Extension Settings
+   Choose the device the Send to Kindle button sends to
+   ================================================================= */
+
+class OptionsManager {
+  constructor() {
+    this.form = document.getElementById('device-form');
+    this.errorElement = document.getElementById('device-form-error');
+    this.statusElement = document.getElementById('status-message');
+  }
+
+  /* =================================================================
+     Initialization
+     ================================================================= */
+
+  /**
+   * Fill the form with the saved device and listen for saves
+   */
+  async init() {
+    const { defaultDevice } = await chrome.storage.sync.get('defaultDevice');
+
+    if (defaultDevice) {
+      document.getElementById('device-name').value = defaultDevice.name;
+      document.getElementById('device-email').value = defaultDevice.email;
+      document.getElementById('device-format').value = defaultDevice.format;
+      document.getElementById('device-free').checked = defaultDevice.isFree;
+    }
+
+    this.form.addEventListener('submit', event => {
+      event.preventDefault();
+      this.saveDevice();
+    });
+  }
+
+  /* =================================================================
+     Saving
+     ================================================================= */
+
+  /**
+   * Check the device the same way the web app's device book does, then save it
+   */
+  async saveDevice() {
+    const formData = new FormData(this.form);
+    this.errorElement.textContent = '';
+
+    let device;
+    try {
+      device = window.deviceManager.validateDevice({
+        id: 'extension-default',
+        name: formData.get('deviceName'),
+        email: formData.get('deviceEmail'),
+        format: formData.get('deviceFormat'),
+        // Unticked leaves it to the address, so an @free.kindle.com one stays free
+        isFree: formData.get('deviceFree') === 'on' || null
+      });
+    } catch (error) {
+      this.errorElement.textContent = error.message;
+      return;
+    }
+
+    await chrome.storage.sync.set({ defaultDevice: device });
+
+    // A Kindle saved with MOBI is switched to EPUB, and its address to the free/paid domain; show what was actually saved
+    document.getElementById('device-email').value = device.email;
+    document.getElementById('device-format').value = device.format;
+    document.getElementById('device-free').checked = device.isFree;
+    this.statusElement.textContent = `Saved. AO3 work pages will send to ${device.name} (${window.deviceManager.getDeliveryEmail(device)}).`;
+    this.statusElement.className = 'status-message status-success';
+  }
+}
+
+/* =================================================================
+   Global Options Manager Instance & Initialization
+   ================================================================= */
+
+// Create global options manager instance
+window.optionsManager = new OptionsManager();
+window.optionsManager.init();
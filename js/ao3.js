@@ -3,12 +3,66 @@
    Handle fetching and processing AO3 content
    ================================================================= */
 
+/**
+ * Metadata parsed from a work page by AO3Manager.parseWorkPage
+ * @typedef {Object} WorkMetadata
+ * @property {string} workId - AO3 work ID
+ * @property {string} title - Work title
+ * @property {string[]} authors - Author pseuds
+ * @property {string} authorString - Authors joined with commas
+ * @property {string} summary - Summary as plain text
+ * @property {string|null} rating - e.g. "Teen And Up Audiences"
+ * @property {string[]} warnings - Archive warnings
+ * @property {string[]} categories - e.g. "F/M", "Gen"
+ * @property {string[]} fandoms - Fandom tags
+ * @property {string[]} relationships - Relationship tags
+ * @property {string[]} characters - Character tags
+ * @property {string[]} freeformTags - Additional tags
+ * @property {string|null} language - Language name as shown on AO3, e.g. "English"
+ * @property {SeriesMembership[]} series - Series the work is part of
+ * @property {string|null} published - Date first posted (YYYY-MM-DD)
+ * @property {string|null} updated - Date of the latest chapter, if still in progress
+ * @property {string|null} completed - Date completed, for finished multi-chapter works
+ * @property {boolean} isComplete - Whether every planned chapter is posted
+ * @property {string|null} wordCount - Word count as shown, e.g. "12,345"
+ * @property {number|null} words - Word count as a number
+ * @property {string|null} chapters - Chapter stat, e.g. "3/?"
+ * @property {WorkStats} stats - Reader counts
+ * @property {string} originalUrl - URL the work was fetched from
+ * @property {Object} downloadUrls - Download URL per format
+ * @property {ChapterEntry[]} [chapterList] - Chapters of a multi-chapter work, from the worker's metadata API only
+ */
+
+/**
+ * @typedef {Object} ChapterEntry
+ * @property {string} id - AO3 chapter ID
+ * @property {number} number - Chapter number
+ * @property {string} title - Chapter title without its number
+ */
+
+/**
+ * @typedef {Object} SeriesMembership
+ * @property {string} seriesId - AO3 series ID
+ * @property {string} title - Series title
+ * @property {number|null} position - This work's part number in the series
+ */
+
+/**
+ * @typedef {Object} WorkStats
+ * @property {number|null} kudos
+ * @property {number|null} hits
+ * @property {number|null} bookmarks
+ * @property {number|null} comments
+ */
+
 class AO3Manager {
   constructor() {
     this.isInitialized = false;
     this.corsProxyUrl = CONFIG.CORS_PROXY_URL;
     this.lastRequestTime = 0;
     this.minimumDelay = 3000; // 3 seconds between requests
+    this.jobPollInterval = 3000; // 3 seconds between download job status checks, unless the worker says otherwise
+    this.jobPollLimit = 10 * 60 * 1000; // Give up on a download job after 10 minutes
     this.requestQueue = [];
     this.isProcessingQueue = false;
   }
@@ -56,8 +110,10 @@ class AO3Manager {
 
   /**
    * Build download URL for specific format
+   * @param {string|null} updatedAt - AO3's updated_at stamp, so a changed work gets a new URL
+   *   (and misses the proxy's cached copy of the old one)
    */
-  buildDownloadUrl(workId, format = 'mobi') {
+  buildDownloadUrl(workId, format = 'mobi', updatedAt = null) {
     const formatMap = {
       'mobi': 'mobi',
       'epub': 'epub', 
@@ -66,7 +122,8 @@ class AO3Manager {
     };
     
     const ao3Format = formatMap[format.toLowerCase()] || 'mobi';
-    return `https://archiveofourown.org/downloads/${workId}/${workId}.${ao3Format}`;
+    const query = updatedAt ? `?updated_at=${encodeURIComponent(updatedAt)}` : '';
+    return `https://archiveofourown.org/downloads/${workId}/${workId}.${ao3Format}${query}`;
   }
 
   /* =================================================================
@@ -75,15 +132,34 @@ class AO3Manager {
 
   /**
    * Add request to queue with intelligent spacing
+   * @param {AbortSignal} signal - Aborting removes a waiting request from the queue
    */
-  async queueRequest(requestFunction, description = 'request') {
+  async queueRequest(requestFunction, description = 'request', signal = null) {
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({
+      if (signal && signal.aborted) {
+        reject(window.utilsManager.createAbortError());
+        return;
+      }
+      
+      const entry = {
         fn: requestFunction,
         description,
+        signal,
         resolve,
         reject
-      });
+      };
+      this.requestQueue.push(entry);
+      
+      // A request that hasn't started yet just leaves the queue
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const index = this.requestQueue.indexOf(entry);
+          if (index > -1) {
+            this.requestQueue.splice(index, 1);
+            reject(window.utilsManager.createAbortError());
+          }
+        }, { once: true });
+      }
       
       // Show queued status if there are multiple requests
       if (this.requestQueue.length > 1 && window.app && window.app.showStatus) {
@@ -108,7 +184,7 @@ class AO3Manager {
     this.isProcessingQueue = true;
 
     while (this.requestQueue.length > 0) {
-      const { fn, description, resolve, reject } = this.requestQueue.shift();
+      const { fn, description, signal, resolve, reject } = this.requestQueue.shift();
       
       try {
         // Ensure minimum delay between requests
@@ -129,7 +205,8 @@ class AO3Manager {
             );
           }
           
-          await new Promise(resolve => setTimeout(resolve, waitTime));
+          // Cancelling during the wait rejects straight away
+          await window.utilsManager.delay(waitTime, signal);
         }
 
         console.log(`Processing ${description}...`);
@@ -151,79 +228,200 @@ class AO3Manager {
   }
 
   /**
-   * Fetch AO3 work page to extract metadata and download links
+   * URL to fetch an AO3 page or file from
+   * Running on AO3 itself (the browser extension) needs no proxy, and sends the reader's AO3 login
+   */
+  getFetchUrl(url) {
+    if (this.isOnAO3()) {
+      return url;
+    }
+    
+    if (!this.corsProxyUrl) {
+      throw new Error('CORS proxy not configured');
+    }
+    
+    return `${this.corsProxyUrl}?url=${encodeURIComponent(url)}`;
+  }
+
+  /**
+   * Check whether this script is running on an AO3 page
+   */
+  isOnAO3() {
+    return typeof location !== 'undefined' && location.origin === 'https://archiveofourown.org';
+  }
+
+  /**
+   * Fetch a page through the CORS proxy (or straight from AO3 when on AO3) and return its HTML
+   */
+  async fetchHtml(url, signal = null) {
+    const fetchUrl = this.getFetchUrl(url);
+    
+    const response = await window.utilsManager.withTimeout(
+      fetch(fetchUrl, { signal }),
+      20000 // Increased to 20 second timeout
+    );
+    
+    if (!response.ok) {
+      throw await this.buildResponseError(response, `Failed to fetch work page: ${response.statusText}`);
+    }
+    
+    return response.text();
+  }
+
+  /**
+   * Build an error for a failed worker response, keeping its status and JSON error body
+   */
+  async buildResponseError(response, fallbackMessage) {
+    // Try to parse JSON error response from Worker
+    let errorMessage = fallbackMessage;
+    let errorResponse = null;
+    
+    try {
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('application/json')) {
+        errorResponse = await response.json();
+        errorMessage = errorResponse.error || errorMessage;
+      }
+    } catch (e) {
+      // Fallback to status text if JSON parsing fails
+    }
+    
+    const error = new Error(errorMessage);
+    error.status = response.status;
+    error.response = errorResponse;
+    return error;
+  }
+
+  /**
+   * Queue a proxied page fetch and parse the result
+   * Parsing happens after the queue so parse errors are not retried
+   * @param {AbortSignal} signal - Cancels the request, whether queued, waiting or in flight
    */
-  async fetchWorkPage(url) {
+  async fetchPage(url, parse, description = 'page fetch', signal = null) {
     const fetchFunction = async () => {
-      console.log('Fetching AO3 work page:', url);
-      
-      if (!this.corsProxyUrl) {
-        throw new Error('CORS proxy not configured');
+      console.log(`Fetching AO3 ${description}:`, url);
+      return this.fetchHtml(url, signal);
+    };
+
+    // Queue the request with intelligent spacing
+    const html = await this.queueRequest(async () => {
+      try {
+        return await window.utilsManager.retryRequest(fetchFunction, {
+          maxRetries: 1, // Reduce retries since worker now handles this
+          baseDelay: 3000, // Start with 3 seconds
+          maxDelay: 10000,  // Cap at 10 seconds
+          signal
+        });
+      } catch (error) {
+        if (window.utilsManager.isAbortError(error)) {
+          throw error;
+        }
+        
+        console.error(`Error during ${description}:`, error);
+        const classified = window.utilsManager.classifyError(error);
+        throw new Error(classified.userMessage);
       }
-      
-      // Use CORS proxy to fetch the work page
-      const proxyUrl = `${this.corsProxyUrl}?url=${encodeURIComponent(url)}`;
-      
+    }, description, signal);
+    
+    return parse(html);
+  }
+
+  /**
+   * Fetch AO3 work page to extract metadata and download links
+   * Through the proxy, the worker parses the page and sends only the metadata
+   */
+  async fetchWorkPage(url, signal = null) {
+    if (!this.isOnAO3() && this.corsProxyUrl) {
+      try {
+        return await this.fetchWorkMetadata(url, signal);
+      } catch (error) {
+        // Workers deployed before the metadata API refuse the route; parse the page instead
+        if (error.status !== 400 && error.status !== 404) {
+          throw error;
+        }
+        console.warn('Work metadata API unavailable, fetching the page instead:', error.message);
+      }
+    }
+    
+    return this.fetchPage(url, html => this.parseWorkPage(html, url), 'work page fetch', signal);
+  }
+
+  /**
+   * Fetch a work's metadata already parsed by the worker's /api/work/:id route
+   * @returns {Promise<WorkMetadata>}
+   */
+  async fetchWorkMetadata(url, signal = null) {
+    const validation = this.validateAO3Url(url);
+    if (!validation.valid || !validation.workId) {
+      throw new Error('Could not extract work ID from URL');
+    }
+    
+    const apiUrl = new URL(`/api/work/${validation.workId}`, this.corsProxyUrl).toString();
+    const fetchFunction = async () => {
+      console.log('Fetching AO3 work metadata:', apiUrl);
       const response = await window.utilsManager.withTimeout(
-        fetch(proxyUrl),
-        20000 // Increased to 20 second timeout
+        fetch(apiUrl, { signal }),
+        20000
       );
       
       if (!response.ok) {
-        // Try to parse JSON error response from Worker
-        let errorMessage = `Failed to fetch work page: ${response.statusText}`;
-        let errorResponse = null;
-        
-        try {
-          const contentType = response.headers.get('content-type') || '';
-          if (contentType.includes('application/json')) {
-            errorResponse = await response.json();
-            errorMessage = errorResponse.error || errorMessage;
-          }
-        } catch (e) {
-          // Fallback to status text if JSON parsing fails
-        }
-        
-        const error = new Error(errorMessage);
-        error.status = response.status;
-        error.response = errorResponse;
-        throw error;
+        throw await this.buildResponseError(response, `Failed to fetch work metadata: ${response.statusText}`);
       }
       
-      const html = await response.text();
-      return this.parseWorkPage(html, url);
+      return response.json();
     };
-
-    // Queue the request with intelligent spacing
-    return this.queueRequest(async () => {
+    
+    const metadata = await this.queueRequest(async () => {
       try {
         return await window.utilsManager.retryRequest(fetchFunction, {
-          maxRetries: 1, // Reduce retries since worker now handles this
-          baseDelay: 3000, // Start with 3 seconds
-          maxDelay: 10000   // Cap at 10 seconds
+          maxRetries: 1,
+          baseDelay: 3000,
+          maxDelay: 10000,
+          signal
         });
       } catch (error) {
-        console.error('Error fetching work page:', error);
+        if (window.utilsManager.isAbortError(error)) {
+          throw error;
+        }
+        
+        // Keep the status so fetchWorkPage can tell a missing route from a failed fetch
+        console.error('Error during work metadata fetch:', error);
         const classified = window.utilsManager.classifyError(error);
-        throw new Error(classified.userMessage);
+        const friendly = new Error(classified.userMessage);
+        friendly.status = error.status;
+        throw friendly;
       }
-    }, 'work page fetch');
+    }, 'work metadata fetch', signal);
+    
+    // Keep the URL the user gave, e.g. a chapter URL
+    return { ...metadata, originalUrl: url };
   }
 
   /**
    * Parse AO3 work page HTML to extract metadata
+   * @param {string|Document} html - Work page HTML, or an already parsed document
+   * @param {string} originalUrl - URL the page was fetched from
+   * @returns {WorkMetadata}
    */
   parseWorkPage(html, originalUrl) {
     try {
-      // Create a DOM parser
+      // Accept an already parsed document to avoid parsing large pages twice
       const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
+      const doc = typeof html === 'string' ? parser.parseFromString(html, 'text/html') : html;
       
       // Extract metadata
       const titleElement = doc.querySelector('.title.heading');
       const authorElements = doc.querySelectorAll('.byline a[rel="author"]');
       const summaryElement = doc.querySelector('.summary blockquote');
-      const statsElements = doc.querySelectorAll('.stats .stat');
+      const meta = doc.querySelector('dl.work.meta') || doc;
+      const tagsOf = type => Array.from(meta.querySelectorAll(`dd.${type} a.tag`)).map(el => el.textContent.trim());
+      const statOf = type => {
+        const element = meta.querySelector(`dl.stats dd.${type}`);
+        return element ? element.textContent.trim() : null;
+      };
+      const languageElement = meta.querySelector('dd.language');
+      const statusLabel = meta.querySelector('dl.stats dt.status');
+      const status = statOf('status');
       
       // Extract work ID from URL
       const validation = this.validateAO3Url(originalUrl);
@@ -240,23 +438,33 @@ class AO3Manager {
         authors: Array.from(authorElements).map(el => el.textContent.trim()),
         authorString: Array.from(authorElements).map(el => el.textContent.trim()).join(', ') || 'Unknown Author',
         summary: summaryElement ? summaryElement.textContent.trim() : '',
+        rating: tagsOf('rating')[0] || null,
+        warnings: tagsOf('warning'),
+        categories: tagsOf('category'),
+        fandoms: tagsOf('fandom'),
+        relationships: tagsOf('relationship'),
+        characters: tagsOf('character'),
+        freeformTags: tagsOf('freeform'),
+        language: languageElement ? languageElement.textContent.trim() : null,
+        series: this.parseSeriesMembership(meta),
+        published: statOf('published'),
+        // The status stat reads "Updated" while in progress and "Completed" once finished
+        updated: status && statusLabel && /updated/i.test(statusLabel.textContent) ? status : null,
+        completed: status && statusLabel && /completed/i.test(statusLabel.textContent) ? status : null,
+        wordCount: statOf('words'),
+        words: window.utilsManager.parseStatNumber(statOf('words')),
+        chapters: statOf('chapters'),
+        stats: {
+          kudos: window.utilsManager.parseStatNumber(statOf('kudos')),
+          hits: window.utilsManager.parseStatNumber(statOf('hits')),
+          bookmarks: window.utilsManager.parseStatNumber(statOf('bookmarks')),
+          comments: window.utilsManager.parseStatNumber(statOf('comments'))
+        },
         originalUrl: originalUrl,
-        downloadUrls: this.buildDownloadUrls(workId)
+        downloadUrls: this.buildDownloadUrls(workId, this.parseDownloadStamp(doc))
       };
       
-      // Extract stats if available
-      statsElements.forEach(stat => {
-        const label = stat.querySelector('dt')?.textContent?.toLowerCase();
-        const value = stat.querySelector('dd')?.textContent?.trim();
-        
-        if (label && value) {
-          if (label.includes('word')) {
-            metadata.wordCount = value;
-          } else if (label.includes('chapter')) {
-            metadata.chapters = value;
-          }
-        }
-      });
+      metadata.isComplete = window.utilsManager.parseChapterCount(metadata.chapters).isComplete;
       
       console.log('Extracted metadata:', metadata);
       return metadata;
@@ -267,99 +475,601 @@ class AO3Manager {
     }
   }
 
+  /**
+   * Read the updated_at stamp from the work page's own download links
+   * @returns {string|null}
+   */
+  parseDownloadStamp(doc) {
+    const link = doc.querySelector('li.download a[href*="/downloads/"]');
+    if (!link) return null;
+    
+    const stamp = new URL(link.getAttribute('href'), 'https://archiveofourown.org').searchParams.get('updated_at');
+    return stamp && /^\d+$/.test(stamp) ? stamp : null;
+  }
+
+  /**
+   * Read the series a work belongs to from its meta block
+   * @returns {SeriesMembership[]}
+   */
+  parseSeriesMembership(meta) {
+    return Array.from(meta.querySelectorAll('dd.series .position')).map(position => {
+      const link = position.querySelector('a[href*="/series/"]');
+      const seriesMatch = link ? link.getAttribute('href').match(/\/series\/(\d+)/) : null;
+      const partMatch = position.textContent.match(/Part\s+(\d+)/i);
+      
+      return seriesMatch ? {
+        seriesId: seriesMatch[1],
+        title: link.textContent.trim(),
+        position: partMatch ? parseInt(partMatch[1], 10) : null
+      } : null;
+    }).filter(Boolean);
+  }
+
   /**
    * Build download URLs for all supported formats
    */
-  buildDownloadUrls(workId) {
+  buildDownloadUrls(workId, updatedAt = null) {
+    return {
+      mobi: this.buildDownloadUrl(workId, 'mobi', updatedAt),
+      epub: this.buildDownloadUrl(workId, 'epub', updatedAt),
+      azw3: this.buildDownloadUrl(workId, 'azw3', updatedAt),
+      pdf: this.buildDownloadUrl(workId, 'pdf', updatedAt)
+    };
+  }
+
+  /* =================================================================
+     Series
+     ================================================================= */
+
+  /**
+   * Fetch an AO3 series and list its works in series order
+   * Follows pagination so long series are returned in full
+   */
+  async fetchSeries(url, signal = null) {
+    const validation = this.validateAO3Url(url);
+    if (!validation.valid || validation.type !== 'series') {
+      throw new Error('URL must be an AO3 series URL (e.g., https://archiveofourown.org/series/12345)');
+    }
+    
+    let pageUrl = validation.cleanUrl;
+    let series = null;
+    const maxPages = 20;
+    
+    for (let page = 1; pageUrl && page <= maxPages; page++) {
+      const result = await this.fetchPage(
+        pageUrl,
+        html => this.parseSeriesPage(html, validation.seriesId),
+        `series page ${page} fetch`,
+        signal
+      );
+      
+      if (!series) {
+        series = result;
+      } else {
+        series.works.push(...result.works);
+      }
+      
+      pageUrl = result.nextPageUrl;
+    }
+    
+    delete series.nextPageUrl;
+    series.works.forEach((work, index) => {
+      work.position = index + 1;
+    });
+    
+    console.log(`Series "${series.title}" has ${series.works.length} works`);
+    return series;
+  }
+
+  /**
+   * Parse AO3 series page HTML
+   */
+  parseSeriesPage(html, seriesId) {
+    try {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(html, 'text/html');
+      
+      const titleElement = doc.querySelector('h2.heading');
+      const authorElements = doc.querySelectorAll('.series.meta a[rel="author"]');
+      const descriptionElement = doc.querySelector('.series.meta blockquote.userstuff');
+      const workElements = doc.querySelectorAll('ul.series.work li.work.blurb');
+      const nextLink = doc.querySelector('ol.pagination a[rel="next"]');
+      
+      const authors = Array.from(authorElements).map(el => el.textContent.trim());
+      
+      const works = Array.from(workElements)
+        .map(workElement => this.parseWorkBlurb(workElement))
+        .filter(Boolean);
+      
+      return {
+        seriesId,
+        title: titleElement ? titleElement.textContent.trim() : 'Unknown Series',
+        authors,
+        authorString: authors.join(', ') || 'Unknown Author',
+        description: descriptionElement ? descriptionElement.textContent.trim() : '',
+        url: `https://archiveofourown.org/series/${seriesId}`,
+        works,
+        nextPageUrl: nextLink ? new URL(nextLink.getAttribute('href'), 'https://archiveofourown.org').href : null
+      };
+      
+    } catch (error) {
+      console.error('Error parsing series page:', error);
+      throw new Error(`Failed to parse AO3 series page: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build one combined EPUB from every work in a series
+   * @param {Object} series - Result of fetchSeries
+   * @param {Function} onProgress - Called with (completed, total, work) after each part
+   * @param {AbortSignal} signal - Stops fetching the remaining parts
+   * @returns {Object} - Same shape as fetchWork: { metadata, file }; metadata.skippedParts
+   *   lists the titles of works left out because their page had no chapter text
+   */
+  async fetchSeriesBook(series, onProgress = null, signal = null) {
+    const parts = [];
+    const skippedParts = [];
+
+    for (const [index, work] of series.works.entries()) {
+      const fullWork = await this.fetchFullWork(work.url, signal);
+
+      // Restricted or deleted works come back without chapters; leave them out rather than add an empty part
+      if (fullWork.chapters.length === 0) {
+        console.warn(`Skipping "${work.title}": no chapter text on its AO3 page`);
+        skippedParts.push(work.title);
+      } else {
+        parts.push({
+          title: fullWork.metadata.title,
+          authorString: fullWork.metadata.authorString,
+          summary: fullWork.metadata.summary,
+          summaryHtml: fullWork.summaryHtml,
+          endNotesHtml: fullWork.endNotesHtml,
+          chapters: fullWork.chapters
+        });
+      }
+
+      if (onProgress) {
+        onProgress(index + 1, series.works.length, work);
+      }
+    }
+
+    if (parts.length === 0) {
+      throw new Error('Could not find any chapter text in this series. Its works might be restricted or require login.');
+    }
+
+    const bytes = window.epubBuilder.buildEpub({
+      identifier: series.url,
+      title: series.title,
+      authors: series.authors,
+      description: series.description,
+      parts
+    });
+
     return {
-      mobi: this.buildDownloadUrl(workId, 'mobi'),
-      epub: this.buildDownloadUrl(workId, 'epub'),
-      azw3: this.buildDownloadUrl(workId, 'azw3'),
-      pdf: this.buildDownloadUrl(workId, 'pdf')
+      metadata: {
+        seriesId: series.seriesId,
+        title: series.title,
+        authors: series.authors,
+        authorString: series.authorString,
+        summary: series.description,
+        fandoms: [...new Set(series.works.flatMap(work => work.fandoms))],
+        originalUrl: series.url,
+        skippedParts
+      },
+      file: this.createEpubFile(bytes, series.title, series.authorString)
+    };
+  }
+
+  /**
+   * Parse a work blurb from a series or listing page
+   * Returns null for blurbs that don't link to a work (series or external bookmarks)
+   */
+  parseWorkBlurb(blurbElement) {
+    const link = blurbElement.querySelector('.heading a[href^="/works/"]');
+    const match = link ? link.getAttribute('href').match(/^\/works\/(\d+)/) : null;
+    
+    if (!match) {
+      return null;
+    }
+    
+    const workAuthors = blurbElement.querySelectorAll('.heading a[rel="author"]');
+    const fandoms = blurbElement.querySelectorAll('.fandoms a.tag');
+    const summary = blurbElement.querySelector('blockquote.summary');
+    const words = blurbElement.querySelector('dd.words');
+    const chapters = blurbElement.querySelector('dd.chapters');
+    
+    return {
+      workId: match[1],
+      title: link.textContent.trim(),
+      authorString: Array.from(workAuthors).map(el => el.textContent.trim()).join(', ') || 'Anonymous',
+      fandoms: Array.from(fandoms).map(el => el.textContent.trim()),
+      summary: summary ? summary.textContent.trim() : '',
+      url: `https://archiveofourown.org/works/${match[1]}`,
+      wordCount: words ? words.textContent.trim() : null,
+      chapters: chapters ? chapters.textContent.trim() : null
     };
   }
 
+  /* =================================================================
+     Listing Pages (bookmarks, Marked for Later, collections, tags)
+     ================================================================= */
+
+  /**
+   * Fetch one page of an AO3 listing
+   * @param {string} url - Listing URL (validated as type 'listing')
+   * @param {number} page - 1-based page number
+   */
+  async fetchListingPage(url, page = 1, signal = null) {
+    const validation = this.validateAO3Url(url);
+    if (!validation.valid || validation.type !== 'listing') {
+      throw new Error('URL must be an AO3 bookmarks, Marked for Later, collection or tag works URL');
+    }
+    
+    const pageUrl = new URL(validation.cleanUrl);
+    if (page > 1) {
+      pageUrl.searchParams.set('page', page);
+    }
+    
+    const listing = await this.fetchPage(
+      pageUrl.href,
+      html => this.parseListingPage(html, page),
+      `${validation.listingType} page ${page} fetch`,
+      signal
+    );
+    
+    return {
+      ...listing,
+      listingType: validation.listingType,
+      label: validation.label,
+      url: validation.cleanUrl
+    };
+  }
+
+  /**
+   * Parse an AO3 listing page into work blurbs and pagination info
+   */
+  parseListingPage(html, page = 1) {
+    try {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(html, 'text/html');
+      
+      // Private lists (like Marked for Later) redirect to the login form
+      if (doc.querySelector('#new_user_session_small, form#new_user') && !doc.querySelector('li.blurb')) {
+        throw new Error('This list is private on AO3 and can only be viewed while logged in. Copy the work URLs into batch mode instead.');
+      }
+      
+      const headingElement = doc.querySelector('h2.heading');
+      const blurbElements = doc.querySelectorAll('ol.index li.blurb');
+      const paginationLinks = doc.querySelectorAll('ol.pagination li a');
+      const nextLink = doc.querySelector('ol.pagination a[rel="next"]');
+      
+      const works = Array.from(blurbElements)
+        .map(blurb => this.parseWorkBlurb(blurb))
+        .filter(Boolean);
+      
+      // The highest numbered pagination link is the last page
+      const pageNumbers = Array.from(paginationLinks)
+        .map(link => parseInt(link.textContent.trim(), 10))
+        .filter(number => !isNaN(number));
+      const totalPages = Math.max(page, ...pageNumbers);
+      
+      return {
+        heading: headingElement ? headingElement.textContent.replace(/\s+/g, ' ').trim() : '',
+        works,
+        page,
+        totalPages,
+        hasNext: !!nextLink,
+        hasPrevious: page > 1
+      };
+      
+    } catch (error) {
+      console.error('Error parsing listing page:', error);
+      throw new Error(error.message.includes('private') ? error.message : `Failed to parse AO3 listing page: ${error.message}`);
+    }
+  }
+
+  /* =================================================================
+     Full Work Content
+     ================================================================= */
+
+  /**
+   * Build the full-work URL (all chapters on one page)
+   */
+  buildFullWorkUrl(workId) {
+    return `https://archiveofourown.org/works/${workId}?view_full_work=true&view_adult=true`;
+  }
+
+  /**
+   * Fetch a work with all chapters, returning metadata and chapter XHTML
+   */
+  async fetchFullWork(url, signal = null) {
+    const workId = this.extractWorkId(url);
+    if (!workId) {
+      throw new Error('URL must be a valid AO3 work URL (e.g., https://archiveofourown.org/works/12345)');
+    }
+    
+    return this.fetchPage(this.buildFullWorkUrl(workId), html => this.parseFullWork(html, url), 'full work fetch', signal);
+  }
+
+  /**
+   * Parse a full-work page into metadata, tags, work notes and chapters
+   * Takes plain HTML so it can be run against saved pages offline
+   */
+  parseFullWork(html, url) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const preface = doc.querySelector('#workskin > .preface');
+    const summary = preface ? preface.querySelector('.summary blockquote.userstuff') : null;
+    const notes = preface ? preface.querySelector('.notes blockquote.userstuff') : null;
+    const endNotes = doc.querySelector('#work_endnotes blockquote.userstuff');
+    
+    return {
+      metadata: this.parseWorkPage(doc, url),
+      tags: this.parseWorkTags(doc),
+      summaryHtml: summary ? this.serializeContent(summary) : null,
+      notesHtml: notes ? this.serializeContent(notes) : null,
+      endNotesHtml: endNotes ? this.serializeContent(endNotes) : null,
+      chapters: this.parseChapters(doc)
+    };
+  }
+
+  /**
+   * Read the tag block (rating, warnings, fandoms, ...) as label/value lists
+   */
+  parseWorkTags(doc) {
+    const labels = doc.querySelectorAll('dl.work.meta > dt');
+    
+    return Array.from(labels).map(dt => {
+      const dd = dt.nextElementSibling;
+      if (!dd || dd.tagName !== 'DD' || dd.classList.contains('stats') || dd.classList.contains('series')) {
+        return null;
+      }
+      
+      const tagLinks = dd.querySelectorAll('a.tag');
+      const values = tagLinks.length > 0
+        ? Array.from(tagLinks).map(link => link.textContent.trim())
+        : [dd.textContent.replace(/\s+/g, ' ').trim()];
+      
+      return {
+        label: dt.textContent.replace(/:\s*$/, '').trim(),
+        values: values.filter(Boolean)
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Build a complete EPUB from the work's own HTML instead of AO3's download
+   * Used on purpose, or as a fallback when the download endpoint fails
+   */
+  async buildWorkEpub(url, signal = null) {
+    const workId = this.extractWorkId(url);
+    if (!workId) {
+      throw new Error('URL must be a valid AO3 work URL (e.g., https://archiveofourown.org/works/12345)');
+    }
+    
+    return this.fetchPage(this.buildFullWorkUrl(workId), html => this.buildEpubFromHtml(html, url), 'full work fetch', signal);
+  }
+
+  /**
+   * Build an EPUB from full-work HTML
+   * @param {string} html - Page HTML from /works/<id>?view_full_work=true
+   * @param {string} url - Original work URL
+   * @returns {Object} - Same shape as fetchWork: { metadata, file }
+   */
+  buildEpubFromHtml(html, url) {
+    const fullWork = this.parseFullWork(html, url);
+    const { metadata } = fullWork;
+    
+    if (fullWork.chapters.length === 0) {
+      throw new Error('Could not find any chapter text on the AO3 work page.');
+    }
+    
+    const bytes = window.epubBuilder.buildEpub({
+      identifier: metadata.originalUrl,
+      title: metadata.title,
+      authors: metadata.authors,
+      language: this.getLanguageCode(metadata.language),
+      description: metadata.summary,
+      tags: fullWork.tags,
+      summaryHtml: fullWork.summaryHtml,
+      notesHtml: fullWork.notesHtml,
+      endNotesHtml: fullWork.endNotesHtml,
+      parts: [{
+        title: metadata.title,
+        authorString: metadata.authorString,
+        chapters: fullWork.chapters
+      }]
+    });
+    
+    return {
+      metadata: { ...metadata, builtInBrowser: true },
+      file: this.createEpubFile(bytes, metadata.title, metadata.authorString)
+    };
+  }
+
+  /**
+   * Map AO3's language name to a BCP 47 code for the EPUB
+   */
+  getLanguageCode(languageName) {
+    const codes = {
+      'English': 'en',
+      'Español': 'es',
+      'Français': 'fr',
+      'Deutsch': 'de',
+      'Italiano': 'it',
+      'Português brasileiro': 'pt-BR',
+      'Português europeu': 'pt-PT',
+      'Русский': 'ru',
+      '中文-普通话 國語': 'zh',
+      '日本語': 'ja',
+      '한국어': 'ko',
+      'Polski': 'pl',
+      'Nederlands': 'nl'
+    };
+    
+    return codes[languageName] || 'en';
+  }
+
+  /**
+   * Build a small EPUB containing only some chapters of a work
+   * @param {string} url - AO3 work URL
+   * @param {number} fromChapter - First chapter to include (1-based)
+   * @param {number|null} toChapter - Last chapter to include, or null for the latest
+   * @param {AbortSignal} signal - Cancels the page fetch
+   * @returns {Object} - Same shape as fetchWork: { metadata, file }
+   */
+  async fetchChapterUpdate(url, fromChapter, toChapter = null, signal = null) {
+    const { metadata, chapters } = await this.fetchFullWork(url, signal);
+    const lastChapter = chapters.length;
+    const from = Math.max(1, fromChapter);
+    const to = Math.min(toChapter || lastChapter, lastChapter);
+    
+    if (from > to) {
+      throw new Error(`Chapter range is outside this work (it has ${lastChapter} chapter${lastChapter > 1 ? 's' : ''}).`);
+    }
+    
+    const rangeLabel = from === to ? `Ch. ${from}` : `Ch. ${from}–${to}`;
+    const title = `${metadata.title} — ${rangeLabel}`;
+    
+    const bytes = window.epubBuilder.buildEpub({
+      identifier: `${metadata.originalUrl}#chapters-${from}-${to}`,
+      title,
+      authors: metadata.authors,
+      description: metadata.summary,
+      parts: [{
+        title,
+        authorString: metadata.authorString,
+        chapters: chapters.slice(from - 1, to)
+      }]
+    });
+    
+    return {
+      metadata: {
+        ...metadata,
+        title,
+        workTitle: metadata.title,
+        chapterRange: { from, to }
+      },
+      file: this.createEpubFile(bytes, title, metadata.authorString)
+    };
+  }
+
+  /**
+   * Wrap built EPUB bytes in the file object the send pipeline expects
+   */
+  createEpubFile(bytes, title, authorString) {
+    return {
+      data: this.arrayBufferToBase64(bytes.buffer),
+      size: bytes.byteLength,
+      format: 'epub',
+      mimeType: this.getMimeType('epub'),
+      fileName: this.buildFileName(title, authorString, 'epub')
+    };
+  }
+
+  /**
+   * Extract chapters from a full-work page
+   * One-shots have no chapter wrappers, just a single userstuff block
+   */
+  parseChapters(doc) {
+    const chapterElements = doc.querySelectorAll('#chapters > .chapter');
+    
+    if (chapterElements.length === 0) {
+      const content = doc.querySelector('#chapters .userstuff');
+      const title = doc.querySelector('.title.heading');
+      return content ? [{
+        number: 1,
+        title: title ? title.textContent.trim() : 'Chapter 1',
+        html: this.serializeContent(content),
+        summaryHtml: null,
+        notesHtml: null,
+        endNotesHtml: null
+      }] : [];
+    }
+    
+    return Array.from(chapterElements).map((chapterElement, index) => {
+      const titleElement = chapterElement.querySelector('.chapter.preface h3.title');
+      const content = chapterElement.querySelector(':scope > .userstuff');
+      const summary = chapterElement.querySelector('.summary blockquote.userstuff');
+      const notes = chapterElement.querySelector('.notes:not(.end) blockquote.userstuff');
+      const endNotes = chapterElement.querySelector('.end.notes blockquote.userstuff');
+      
+      return {
+        number: index + 1,
+        title: titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : `Chapter ${index + 1}`,
+        html: content ? this.serializeContent(content) : '',
+        summaryHtml: summary ? this.serializeContent(summary) : null,
+        notesHtml: notes ? this.serializeContent(notes) : null,
+        endNotesHtml: endNotes ? this.serializeContent(endNotes) : null
+      };
+    });
+  }
+
+  /**
+   * Serialize an element's children as XHTML, dropping AO3's screen-reader landmarks
+   */
+  serializeContent(element) {
+    const serializer = new XMLSerializer();
+    const clone = element.cloneNode(true);
+    
+    clone.querySelectorAll('.landmark').forEach(landmark => landmark.remove());
+    
+    return Array.from(clone.childNodes)
+      .map(node => serializer.serializeToString(node))
+      .join('')
+      .replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '');
+  }
+
   /* =================================================================
      File Downloading
      ================================================================= */
 
   /**
    * Download file from AO3 and convert to base64
+   * Progress is reported through ProgressManager as the body arrives
+   * @param {string} label - What is being downloaded, for progress events
+   * @param {AbortSignal} signal - Cancels the download, whether queued, waiting or in flight
    */
-  async downloadFile(downloadUrl, format = 'mobi') {
+  async downloadFile(downloadUrl, format = 'mobi', label = null, signal = null) {
     const downloadFunction = async () => {
       console.log('Downloading file:', downloadUrl);
       
-      // Use CORS proxy to download the file
-      const proxyUrl = `${this.corsProxyUrl}?url=${encodeURIComponent(downloadUrl)}`;
+      const fetchUrl = this.getFetchUrl(downloadUrl);
       
       const response = await window.utilsManager.withTimeout(
-        fetch(proxyUrl),
+        fetch(fetchUrl, { signal }),
         25000 // Increased to 25 second timeout for file downloads
       );
       
       if (!response.ok) {
-        // Try to parse JSON error response from Worker
-        let errorMessage = `Download failed: ${response.statusText}`;
-        let errorResponse = null;
-        
-        try {
-          const contentType = response.headers.get('content-type') || '';
-          if (contentType.includes('application/json')) {
-            errorResponse = await response.json();
-            errorMessage = errorResponse.error || errorMessage;
-          }
-        } catch (e) {
-          // Fallback to status text if JSON parsing fails
-        }
-        
-        const error = new Error(errorMessage);
-        error.status = response.status;
-        error.response = errorResponse;
-        throw error;
+        throw await this.buildResponseError(response, `Download failed: ${response.statusText}`);
       }
       
-      // Get content length to check file size before downloading
+      // Get content length (forwarded by the worker) to check file size before downloading
       const contentLength = response.headers.get('content-length');
-      if (contentLength) {
-        const fileSize = parseInt(contentLength, 10);
-        if (!window.utilsManager.isFileSizeValid(fileSize, 25)) {
-          const formattedSize = window.utilsManager.formatFileSize(fileSize);
-          throw new Error(`File is too large (${formattedSize}). Gmail has a 25MB attachment limit. Try a different format like EPUB which is usually smaller.`);
-        }
-      }
-      
-      // Get the file as array buffer
-      const arrayBuffer = await response.arrayBuffer();
-      
-      // Double-check file size after download
-      if (!window.utilsManager.isFileSizeValid(arrayBuffer.byteLength, 25)) {
-        const formattedSize = window.utilsManager.formatFileSize(arrayBuffer.byteLength);
+      const fileSize = contentLength ? parseInt(contentLength, 10) : null;
+      if (fileSize && !window.utilsManager.isFileSizeValid(fileSize, 25)) {
+        const formattedSize = window.utilsManager.formatFileSize(fileSize);
         throw new Error(`File is too large (${formattedSize}). Gmail has a 25MB attachment limit. Try a different format like EPUB which is usually smaller.`);
       }
       
-      // Convert to base64
-      const base64String = this.arrayBufferToBase64(arrayBuffer);
-      
-      console.log(`File downloaded successfully (${arrayBuffer.byteLength} bytes)`);
-      
-      return {
-        data: base64String,
-        size: arrayBuffer.byteLength,
-        format: format,
-        mimeType: this.getMimeType(format)
-      };
+      const bytes = await this.readWithProgress(response, fileSize, label || `${format.toUpperCase()} file`);
+      return this.buildFileData(bytes, format);
     };
 
     // Queue the download request
-    return this.queueRequest(async () => {
+    const download = () => this.queueRequest(async () => {
       try {
         return await window.utilsManager.retryRequest(downloadFunction, {
           maxRetries: 1, // Worker handles retries
           baseDelay: 4000, // 4 seconds for file downloads
-          maxDelay: 8000   // Cap at 8 seconds
+          maxDelay: 8000,  // Cap at 8 seconds
+          signal
         });
       } catch (finalError) {
+        if (window.utilsManager.isAbortError(finalError)) {
+          throw finalError;
+        }
+        
         console.error('Error downloading file:', finalError);
         
         // Provide more helpful error message
@@ -376,36 +1086,177 @@ class AO3Manager {
         const classified = window.utilsManager.classifyError(finalError);
         throw new Error(classified.userMessage);
       }
-    }, 'file download');
+    }, 'file download', signal);
+    
+    // Through the proxy, the worker waits for AO3 in a download job and the app checks on it,
+    // so the browser never holds a long request open. Proxies without jobs get the request itself.
+    if (!this.isOnAO3() && this.corsProxyUrl) {
+      const fileData = await this.downloadWithJob(downloadUrl, format, label, signal);
+      if (fileData) {
+        return fileData;
+      }
+    }
+    
+    return download();
   }
 
   /**
-   * Convert ArrayBuffer to base64 string
+   * Download a file through a worker download job, for files AO3 is slow to produce
+   * @returns {Promise<Object|null>} - Same as downloadFile, or null if the proxy has no download jobs
    */
-  arrayBufferToBase64(buffer) {
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    const len = bytes.byteLength;
+  async downloadWithJob(downloadUrl, format, label = null, signal = null) {
+    const jobsUrl = new URL('/jobs', this.corsProxyUrl);
+    jobsUrl.searchParams.set('url', downloadUrl);
     
-    for (let i = 0; i < len; i++) {
-      binary += String.fromCharCode(bytes[i]);
+    const created = await fetch(jobsUrl.toString(), { method: 'POST', signal });
+    if (!created.ok) {
+      // Workers without jobs bound, or deployed before them, refuse the route
+      if (created.status === 404 || created.status === 405) {
+        return null;
+      }
+      throw await this.buildResponseError(created, `Download failed: ${created.statusText}`);
+    }
+    
+    let job = await created.json();
+    const deadline = Date.now() + this.jobPollLimit;
+    
+    while (job.state !== 'done') {
+      if (job.state === 'failed') {
+        throw new Error(job.error || 'Download failed. Please try again.');
+      }
+      if (Date.now() > deadline) {
+        throw new Error('AO3 is still preparing this download. Please try again in a few minutes.');
+      }
+      
+      // The worker's pollAfter grows as the job takes longer, and covers a wait for AO3's Retry-After
+      await window.utilsManager.delay(job.pollAfter ? job.pollAfter * 1000 : this.jobPollInterval, signal);
+      const previousState = job.state;
+      job = await window.utilsManager.retryRequest(
+        () => this.fetchJob(new URL(job.statusUrl, this.corsProxyUrl).toString(), signal),
+        { maxRetries: 2, baseDelay: 2000, maxDelay: 8000, signal }
+      );
+      if (job.state !== previousState) {
+        console.log(`Download job ${job.id}: ${job.state}`);
+      }
     }
     
-    return btoa(binary);
+    const response = await fetch(new URL(job.resultUrl, this.corsProxyUrl).toString(), { signal });
+    if (!response.ok) {
+      throw await this.buildResponseError(response, `Download failed: ${response.statusText}`);
+    }
+    
+    const bytes = await this.readWithProgress(response, job.size, label || `${format.toUpperCase()} file`);
+    return this.buildFileData(bytes, format);
   }
 
   /**
-   * Get MIME type for format
+   * Read a download job's status from the worker
    */
-  getMimeType(format) {
-    const mimeTypes = {
-      'mobi': 'application/x-mobipocket-ebook',
-      'epub': 'application/epub+zip',
-      'azw3': 'application/vnd.amazon.ebook',
-      'pdf': 'application/pdf'
+  async fetchJob(statusUrl, signal = null) {
+    const response = await fetch(statusUrl, { signal });
+    if (!response.ok) {
+      throw await this.buildResponseError(response, `Download failed: ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Package downloaded bytes the way the senders expect
+   * @returns {Object} - { data (base64), size, format, mimeType }
+   */
+  buildFileData(bytes, format) {
+    // Convert to base64
+    const base64String = this.arrayBufferToBase64(bytes);
+    
+    console.log(`File downloaded successfully (${bytes.length} bytes)`);
+    
+    return {
+      data: base64String,
+      size: bytes.length,
+      format: format,
+      mimeType: this.getMimeType(format)
     };
+  }
+
+  /**
+   * Read a response body chunk by chunk, reporting download progress
+   * Stops early once the file is over Gmail's 25MB limit
+   * @param {number|null} total - Content-Length, if the response had one
+   * @returns {Promise<Uint8Array>}
+   */
+  async readWithProgress(response, total, label) {
+    const transfer = window.progressManager.startTransfer('download', label, total);
+    const tooLarge = size => new Error(
+      `File is too large (${window.utilsManager.formatFileSize(size)}). Gmail has a 25MB attachment limit. ` +
+      'Try a different format like EPUB which is usually smaller.'
+    );
     
-    return mimeTypes[format.toLowerCase()] || 'application/octet-stream';
+    try {
+      // Browsers without streaming bodies still get a start and an end
+      if (!response.body || !response.body.getReader) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (!window.utilsManager.isFileSizeValid(bytes.length, 25)) {
+          throw tooLarge(bytes.length);
+        }
+        transfer.update(bytes.length, total || bytes.length);
+        transfer.finish();
+        return bytes;
+      }
+      
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        chunks.push(value);
+        loaded += value.length;
+        
+        if (!window.utilsManager.isFileSizeValid(loaded, 25)) {
+          reader.cancel();
+          throw tooLarge(loaded);
+        }
+        
+        transfer.update(loaded, total);
+      }
+      
+      const bytes = new Uint8Array(loaded);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      });
+      
+      transfer.finish();
+      return bytes;
+      
+    } catch (error) {
+      transfer.fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert base64 string to bytes
+   */
+  base64ToBytes(base64) {
+    return window.utilsManager.base64ToBytes(base64);
+  }
+
+  /**
+   * Convert ArrayBuffer to base64 string
+   */
+  arrayBufferToBase64(buffer) {
+    return window.utilsManager.bytesToBase64(buffer);
+  }
+
+  /**
+   * Get MIME type for format
+   */
+  getMimeType(format) {
+    return window.formatManager.getMimeType(format);
   }
 
   /* =================================================================
@@ -414,10 +1265,16 @@ class AO3Manager {
 
   /**
    * Fetch AO3 work and prepare for sending
+   * @param {string} url - AO3 work URL
+   * @param {string} format - File format to download
+   * @param {Object} options - { buildEpub: build in the browser instead of downloading,
+   *   allowFallback: build in the browser if AO3's download fails, signal: AbortSignal to cancel }
    */
-  async fetchWork(url, format = 'mobi') {
+  async fetchWork(url, format = 'mobi', options = {}) {
+    const { buildEpub = false, allowFallback = true, signal = null } = options;
+    
     try {
-      console.log('Starting AO3 work fetch process:', { url, format });
+      console.log('Starting AO3 work fetch process:', { url, format, buildEpub });
       
       // Validate URL
       const validation = this.validateAO3Url(url);
@@ -425,8 +1282,16 @@ class AO3Manager {
         throw new Error(validation.error);
       }
       
+      if (validation.type !== 'work') {
+        throw new Error('URL must be a valid AO3 work URL (e.g., https://archiveofourown.org/works/12345)');
+      }
+      
+      if (buildEpub) {
+        return await this.buildWorkEpub(url, signal);
+      }
+      
       // Fetch work page and extract metadata
-      const metadata = await this.fetchWorkPage(url);
+      const metadata = await this.fetchWorkPage(url, signal);
       
       // Download the file in requested format
       const downloadUrl = metadata.downloadUrls[format.toLowerCase()];
@@ -434,18 +1299,27 @@ class AO3Manager {
         throw new Error(`Format ${format} not supported`);
       }
       
-      const fileData = await this.downloadFile(downloadUrl, format);
-      
-      // Create filename
-      const sanitizedTitle = this.sanitizeFilename(metadata.title);
-      const sanitizedAuthor = this.sanitizeFilename(metadata.authorString);
-      const fileName = `${sanitizedTitle} - ${sanitizedAuthor}.${format.toLowerCase()}`;
+      let fileData;
+      try {
+        fileData = await this.downloadFile(downloadUrl, format, metadata.title, signal);
+      } catch (downloadError) {
+        // A file that is too large would be too large when built here as well
+        if (!allowFallback || downloadError.message.includes('too large') ||
+            window.utilsManager.isAbortError(downloadError)) {
+          throw downloadError;
+        }
+        
+        console.warn('AO3 download failed, building EPUB in the browser instead:', downloadError);
+        const builtWork = await this.buildWorkEpub(url, signal);
+        builtWork.metadata.builtFallback = true;
+        return builtWork;
+      }
       
       return {
         metadata: metadata,
         file: {
           ...fileData,
-          fileName: fileName
+          fileName: this.buildFileName(metadata.title, metadata.authorString, format)
         }
       };
       
@@ -459,6 +1333,13 @@ class AO3Manager {
      Utilities
      ================================================================= */
 
+  /**
+   * Build the attachment file name, e.g. "Title - Author.epub"
+   */
+  buildFileName(title, authorString, format) {
+    return `${this.sanitizeFilename(title)} - ${this.sanitizeFilename(authorString)}.${format.toLowerCase()}`;
+  }
+
   /**
    * Sanitize filename by removing invalid characters
    */
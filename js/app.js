@@ -3,6 +3,13 @@
    Handles UI updates and application state
    ================================================================= */
 
+// Progress bar bands, in percent, for the steps of a send
+// Fetching covers the AO3 page and file download; sending covers the upload
+const PROGRESS_STEPS = {
+  fetch: [25, 50],
+  send: [75, 100]
+};
+
 class App {
   constructor() {
     this.authSection = null;
@@ -11,8 +18,28 @@ class App {
     this.signoutBtn = null;
     this.sendForm = null;
     this.statusSection = null;
+    this.batchSection = null;
+    this.batchList = null;
+    this.workPreview = null;
+    this.pendingSend = null;
+    this.seriesSection = null;
+    this.currentSeries = null;
+    this.listingSection = null;
+    this.currentListing = null;
+    this.followSection = null;
+    this.historySection = null;
+    this.historySearchTimer = null;
+    this.deviceSection = null;
+    this.updateBanner = null;
+    this.sharedLinks = null;
     
     this.isInitialized = false;
+    this.isBusy = false;
+    
+    // Furthest the progress bar has got in this send; it never moves back
+    this.progressPercent = 0;
+    this.abortController = null;
+    this.wasBatchRunning = false;
     this.preferences = this.loadPreferences();
   }
 
@@ -33,6 +60,18 @@ class App {
     this.signoutBtn = document.getElementById('signout-btn');
     this.sendForm = document.getElementById('send-form');
     this.statusSection = document.getElementById('status-section');
+    this.batchSection = document.getElementById('batch-section');
+    this.batchList = document.getElementById('batch-list');
+    this.workPreview = document.getElementById('work-preview');
+    this.seriesSection = document.getElementById('series-section');
+    this.listingSection = document.getElementById('listing-section');
+    this.followSection = document.getElementById('follow-section');
+    this.historySection = document.getElementById('history-section');
+    this.deviceSection = document.getElementById('device-section');
+    this.updateBanner = document.getElementById('update-banner');
+    
+    // Links shared into the app are handled once the user is signed in
+    this.sharedLinks = this.readSharedLinks();
     
     // Set up event listeners
     this.setupEventListeners();
@@ -42,6 +81,36 @@ class App {
       window.authManager.onAuthStateChange(this.handleAuthStateChange.bind(this));
     }
     
+    // Listen for batch progress
+    if (window.batchManager) {
+      window.batchManager.onChange(this.renderBatch.bind(this));
+    }
+    
+    // Listen for followed work changes
+    if (window.followManager) {
+      window.followManager.onChange(this.renderFollows.bind(this));
+    }
+    
+    // Listen for send history changes
+    if (window.historyManager) {
+      window.historyManager.onChange(this.renderHistory.bind(this));
+    }
+    
+    // Listen for download and upload progress
+    if (window.progressManager) {
+      window.progressManager.onProgress(this.handleTransferProgress.bind(this));
+    }
+    
+    // Listen for device book changes
+    if (window.deviceManager) {
+      window.deviceManager.onChange(this.renderDevices.bind(this));
+    }
+    
+    // Listen for a new version of the app being ready
+    if (window.pwaManager) {
+      window.pwaManager.onUpdateAvailable(this.showUpdatePrompt.bind(this));
+    }
+    
     this.isInitialized = true;
     console.log('App initialized successfully');
   }
@@ -60,6 +129,100 @@ class App {
       this.sendForm.addEventListener('submit', this.handleSendForm.bind(this));
     }
     
+    // Cancel whatever the form is fetching or sending
+    const cancelBtn = document.getElementById('cancel-btn');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', this.cancelCurrent.bind(this));
+    }
+    
+    // Batch mode toggle
+    const batchModeToggle = document.getElementById('batch-mode');
+    if (batchModeToggle) {
+      batchModeToggle.addEventListener('change', this.handleBatchModeToggle.bind(this));
+    }
+    
+    // Batch list actions (retry, clear)
+    if (this.batchSection) {
+      this.batchSection.addEventListener('click', this.handleBatchAction.bind(this));
+    }
+    
+    // Preview actions (send, cancel) and keeping generated fields in step with edits
+    if (this.workPreview) {
+      this.workPreview.addEventListener('click', this.handleWorkPreviewAction.bind(this));
+      this.workPreview.addEventListener('input', this.handleWorkPreviewInput.bind(this));
+    }
+    
+    // Series actions (send separately, combine, cancel)
+    if (this.seriesSection) {
+      this.seriesSection.addEventListener('click', this.handleSeriesAction.bind(this));
+    }
+    
+    // Listing actions (paging, selection, send)
+    if (this.listingSection) {
+      this.listingSection.addEventListener('click', this.handleListingAction.bind(this));
+      this.listingSection.addEventListener('change', this.handleListingSelection.bind(this));
+    }
+    
+    // Followed works actions (check now, unfollow, send updated)
+    if (this.followSection) {
+      this.followSection.addEventListener('click', this.handleFollowAction.bind(this));
+    }
+    
+    // Send history actions (search, resend, export, import)
+    if (this.historySection) {
+      this.historySection.addEventListener('click', this.handleHistoryAction.bind(this));
+      this.historySection.addEventListener('input', this.handleHistorySearch.bind(this));
+      this.historySection.addEventListener('change', this.handleHistoryImport.bind(this));
+    }
+    
+    // Device picker and device book (add, remove, free/paid)
+    const deviceSelect = document.getElementById('device-select');
+    if (deviceSelect) {
+      deviceSelect.addEventListener('change', this.handleDeviceSelect.bind(this));
+    }
+    
+    const deviceEmailInput = document.getElementById('kindle-email');
+    if (deviceEmailInput) {
+      deviceEmailInput.addEventListener('input', () => {
+        this.updateDeviceEmailWarning();
+        this.updateFormatOptions();
+      });
+    }
+    
+    // Keep the format list to what the chosen destinations accept
+    const deviceMulti = document.getElementById('device-multi');
+    if (deviceMulti) {
+      deviceMulti.addEventListener('change', this.updateFormatOptions.bind(this));
+    }
+    
+    const formatSelect = document.getElementById('format-select');
+    if (formatSelect) {
+      formatSelect.addEventListener('change', this.updateFormatOptions.bind(this));
+    }
+    
+    // Saved as soon as it changes, since a share can arrive before the next send
+    const shareAutoSend = document.getElementById('share-auto-send');
+    if (shareAutoSend) {
+      shareAutoSend.addEventListener('change', () => {
+        this.preferences.autoSendShared = shareAutoSend.checked;
+        this.savePreferences();
+      });
+    }
+    
+    const deviceForm = document.getElementById('device-form');
+    if (deviceForm) {
+      deviceForm.addEventListener('submit', this.handleDeviceForm.bind(this));
+    }
+    
+    if (this.deviceSection) {
+      this.deviceSection.addEventListener('click', this.handleDeviceAction.bind(this));
+    }
+    
+    // New version prompt
+    if (this.updateBanner) {
+      this.updateBanner.addEventListener('click', this.handleUpdateAction.bind(this));
+    }
+    
     // Auth error listener
     document.addEventListener('authError', this.handleAuthError.bind(this));
     
@@ -164,9 +327,26 @@ class App {
     // Clear any error messages
     this.clearStatus();
     
-    // Load user preferences into the form
+    // Fill the device picker, then load user preferences into the form
+    this.renderDevices(window.deviceManager.devices);
     this.loadFormPreferences();
     
+    // Show followed works and check them for new chapters if due
+    this.renderFollows(window.followManager.follows, window.followManager.isChecking);
+    this.renderHistory();
+    if (window.followManager.isCheckDue()) {
+      this.checkFollowedWorks();
+    }
+    
+    // Carry on with batch items left from the last visit
+    window.batchManager.resume();
+    
+    // Handle links shared into the app from another app
+    if (this.sharedLinks) {
+      this.handleSharedLinks(this.sharedLinks).catch(error => this.showStatus(this.getErrorMessage(error), 'error'));
+      this.sharedLinks = null;
+    }
+    
     console.log('UI updated to authenticated state');
   }
 
@@ -191,6 +371,11 @@ class App {
       this.userNameElement.textContent = '';
     }
     
+    // Google sign-in can't load without a connection
+    if (navigator.onLine === false) {
+      this.showStatus('You\'re offline. Sign in once you\'re back online; queued works will be sent then.', 'warning');
+    }
+    
     console.log('UI updated to unauthenticated state');
   }
 
@@ -219,26 +404,63 @@ class App {
   async handleSendForm(event) {
     event.preventDefault();
     
+    if (this.isBatchMode()) {
+      await this.handleBatchSend().catch(error => this.showStatus(this.getErrorMessage(error), 'error'));
+      return;
+    }
+    
     try {
       // Get form data
       const formData = new FormData(this.sendForm);
       const ao3Url = formData.get('ao3Url')?.trim();
-      const kindleEmail = formData.get('kindleEmail')?.trim();
-      const format = formData.get('format') || 'mobi';
+      const destinations = this.getDestinations();
+      const followWork = formData.get('followWork') === 'on';
+      const { buildEpub, cover } = this.getSendOptions();
+      const chapterRangeText = formData.get('chapterRange')?.trim() || '';
       
       // Validate inputs
-      if (!this.validateForm(ao3Url, kindleEmail)) {
+      if (!this.validateForm(ao3Url, destinations, chapterRangeText)) {
         return; // Validation messages already shown
       }
       
+      // Fetch in a format every destination accepts
+      const { format, warning: formatWarning } = window.formatManager.resolveFormat(
+        formData.get('format') || 'epub',
+        destinations
+      );
+      
+      const chapterRange = chapterRangeText
+        ? window.utilsManager.parseChapterRange(chapterRangeText)
+        : null;
+      
+      // Series and listing URLs get their own flows
+      const urlType = window.ao3Manager.validateAO3Url(ao3Url).type;
+      
+      // Offline there's nothing to preview, so the work waits in the batch queue
+      if (urlType === 'work' && window.batchManager.isPaused) {
+        await this.queueOfflineSend(ao3Url, destinations, format, chapterRange);
+        return;
+      }
+      if (urlType === 'series') {
+        await this.handleSeriesFetch(ao3Url, destinations, format);
+        return;
+      }
+      
+      if (urlType === 'listing') {
+        this.currentListing = { url: ao3Url, destinations, format, selected: new Map(), page: null };
+        await this.loadListingPage(1);
+        return;
+      }
+      
       // Show loading state
       this.setFormLoading(true);
-      this.showStatus('Processing your request...', 'info');
+      this.hideWorkPreview();
+      this.showStatus('Fetching the work from AO3...', 'info');
       
-      console.log('Form submission:', { ao3Url, kindleEmail, format });
+      console.log('Form submission:', { ao3Url, destinations, format });
       
       // Step 1: Fetch AO3 work with rate limiting awareness
-      this.updateProgress('Fetching story from AO3...', 25);
+      this.startProgress('Fetching story from AO3...');
       
       // Show rate limiting message if this is a repeat request
       if (window.ao3Manager.lastRequestTime && 
@@ -246,108 +468,218 @@ class App {
         this.showStatus('⏳ Waiting a moment to avoid rate limiting... AO3 requests are spaced out for better reliability.', 'info');
       }
       
-      const workData = await window.ao3Manager.fetchWork(ao3Url, format);
+      // Chapter ranges are built into a small EPUB instead of downloading the whole work
+      const { signal } = this.abortController;
+      const fetchedWork = chapterRange
+        ? await window.ao3Manager.fetchChapterUpdate(ao3Url, chapterRange.from, chapterRange.to, signal)
+        : await window.ao3Manager.fetchWork(ao3Url, format, { buildEpub, signal });
+      
+      const workData = await window.coverGenerator.applyCover(fetchedWork, cover);
+      
+      // Step 2: Check the format and size against the chosen destinations
+      window.destinationManager.checkFileForAny(workData.file, destinations);
+      
+      // Step 3: Wait for the user to check the details and confirm
+      this.pendingSend = { workData, destinations, followWork, chapterRange };
+      this.renderWorkPreview(workData.metadata, workData.file);
+      this.updateStepProgress('fetch', 'Fetched. Check the details below before sending.', 1);
       
-      // Step 2: Validate file size
-      if (!window.ao3Manager.isFileSizeValid(workData.file.size)) {
-        const fileSize = window.ao3Manager.formatFileSize(workData.file.size);
-        throw new Error(`File is too large (${fileSize}). Gmail has a 25MB limit. Try a different format.`);
+      const fallbackNote = workData.metadata.builtFallback
+        ? ' AO3\'s download failed, so an EPUB was built in your browser instead.'
+        : '';
+      const formatNote = formatWarning && !chapterRange && !buildEpub ? ` ${formatWarning}` : '';
+      this.showStatus(
+        `Check the title, file name and subject below, then press Send.${fallbackNote}${formatNote}`,
+        'info'
+      );
+      
+    } catch (error) {
+      if (window.utilsManager.isAbortError(error)) {
+        this.showCancelled('Cancelled. Nothing was sent.');
+        return;
       }
       
-      // Step 3: Send to Kindle via Gmail
-      this.updateProgress(`Sending "${workData.metadata.title}" to your Kindle...`, 75);
+      console.error('Send form error:', error);
+      this.hideProgress();
+      this.showStatus(this.getErrorMessage(error), 'error');
+    } finally {
+      this.setFormLoading(false);
+    }
+  }
+
+  /**
+   * Send the fetched work using the details from the preview card
+   */
+  async sendPendingWork() {
+    if (!this.pendingSend) return;
+    
+    const { destinations, followWork, chapterRange } = this.pendingSend;
+    const edits = this.readPreviewEdits();
+    
+    if (!edits.title || !edits.fileName) {
+      this.showStatus('The title and file name can\'t be empty.', 'warning');
+      return;
+    }
+    
+    this.setFormLoading(true, 'Sending...');
+    this.setPreviewLoading(true);
+    
+    try {
+      const workData = await this.applyPreviewEdits(this.pendingSend.workData, edits);
+      const names = window.deviceManager.describeDestinations(destinations);
+      
+      this.updateStepProgress('send', `Sending "${edits.title}" to ${names}...`, 0);
       
-      const result = await window.gmailManager.sendToKindle(
-        kindleEmail,
-        workData.metadata.title,
-        workData.metadata.authorString,
-        workData.file.data,
-        workData.file.fileName,
-        format
+      // Records one history entry per device
+      const { sent, failed } = await window.deviceManager.sendToDestinations(
+        workData,
+        destinations,
+        { subject: edits.subject, signal: this.abortController.signal }
       );
       
-      // Step 4: Success!
-      this.updateProgress('Success! Story sent to your Kindle.', 100);
+      if (sent.length === 0) {
+        throw failed[0].error;
+      }
       
       // Save user preferences for next time
       this.saveFormPreferences();
       
+      // Follow the work, or keep an existing follow in sync
+      if (followWork) {
+        window.followManager.follow(workData.metadata);
+      } else {
+        window.followManager.markSent(
+          workData.metadata.workId,
+          workData.metadata.chapters,
+          chapterRange ? workData.metadata.chapterRange.to : null
+        );
+      }
+      
+      if (failed.length > 0) {
+        // Keep the preview open so Send retries only the devices that missed it
+        const missed = failed.map(failure => failure.destination);
+        this.pendingSend = { ...this.pendingSend, destinations: missed };
+        this.hideProgress();
+        this.showStatus(
+          `"${edits.title}" was sent to ${window.deviceManager.describeDestinations(sent)}, ` +
+          `but not to ${window.deviceManager.describeDestinations(missed)}. ` +
+          `${this.getErrorMessage(failed[0].error)} Press Send to try again.`,
+          'warning'
+        );
+        return;
+      }
+      
+      this.updateStepProgress('send', `Success! Story sent to ${names}.`, 1);
+      this.pendingSend = null;
+      this.hideWorkPreview();
+      
       const fileSize = window.ao3Manager.formatFileSize(workData.file.size);
       this.showStatus(
-        `✅ "${workData.metadata.title}" by ${workData.metadata.authorString} has been sent to ${kindleEmail}! ` +
-        `File size: ${fileSize}. It should appear on your Kindle shortly.`,
+        `✅ "${edits.title}" by ${edits.authorString} has been sent to ${names}! ` +
+        `File size: ${fileSize}.${this.getArrivalNote(destinations)}`,
         'success'
       );
       
     } catch (error) {
-      console.error('Send form error:', error);
+      if (window.utilsManager.isAbortError(error)) {
+        // Devices that already had it are in the send history
+        this.pendingSend = null;
+        this.hideWorkPreview();
+        this.showCancelled('Sending cancelled.');
+        return;
+      }
+      
+      console.error('Send error:', error);
       this.hideProgress();
+      this.showStatus(this.getErrorMessage(error), 'error');
+    } finally {
+      this.setFormLoading(false);
+      this.setPreviewLoading(false);
+    }
+  }
+
+  /**
+   * End of a success message: emailed files take a while to arrive, downloads are already saved
+   */
+  getArrivalNote(destinations) {
+    const emailed = destinations.some(destination =>
+      window.destinationManager.getTarget(destination.type).delivery === 'email'
+    );
+    
+    return emailed ? ' It should appear shortly.' : '';
+  }
+
+  /**
+   * Convert an error into a user-friendly message
+   */
+  getErrorMessage(error) {
+    let errorMessage = 'An error occurred. Please try again.';
+    let showRetryAdvice = true;
+    
+    // Enhanced error message handling with rate limiting feedback
+    if (error.message && (
+        error.message.includes('Network connection error') ||
+        error.message.includes('File is too large') ||
+        error.message.includes('Authentication expired') ||
+        error.message.includes('Gmail sending quota') ||
+        error.message.includes('URL must be') ||
+        error.message.includes('Please enter a valid') ||
+        error.message.includes('server is experiencing') ||
+        error.message.includes('Try a different format') ||
+        error.message.includes('taking too long') ||
+        error.message.includes('rate limit') ||
+        error.message.includes('temporarily busy') ||
+        error.message.includes('is private') ||
+        error.message.includes('has no works') ||
+        error.message.includes('Chapter range') ||
+        error.message.includes('chapter text') ||
+        error.message.includes('Import file') ||
+        error.message.includes('IndexedDB') ||
+        error.message.includes('wait') && error.message.includes('seconds')
+    )) {
+      errorMessage = error.message;
       
-      // Show user-friendly error messages
-      let errorMessage = 'An error occurred. Please try again.';
-      let showRetryAdvice = true;
-      
-      // Enhanced error message handling with rate limiting feedback
-      if (error.message && (
-          error.message.includes('Network connection error') ||
-          error.message.includes('File is too large') ||
-          error.message.includes('Authentication expired') ||
-          error.message.includes('Gmail sending quota') ||
-          error.message.includes('URL must be') ||
-          error.message.includes('Please enter a valid') ||
-          error.message.includes('server is experiencing') ||
-          error.message.includes('Try a different format') ||
-          error.message.includes('taking too long') ||
+      // Add specific advice for rate limiting errors
+      if (error.message.includes('taking too long') || 
+          error.message.includes('timeout') ||
           error.message.includes('rate limit') ||
-          error.message.includes('temporarily busy') ||
-          error.message.includes('wait') && error.message.includes('seconds')
-      )) {
-        errorMessage = error.message;
-        
-        // Add specific advice for rate limiting errors
-        if (error.message.includes('taking too long') || 
-            error.message.includes('timeout') ||
-            error.message.includes('rate limit') ||
-            error.message.includes('temporarily busy')) {
-          errorMessage += '\n\n💡 Tip: Try again in 2-3 minutes. If the issue persists, try EPUB format as it\'s usually smaller and faster.';
-        }
-        
-        // Don't show retry advice for validation errors or quota issues
-        if (error.message.includes('URL must be') || 
-            error.message.includes('Please enter a valid') ||
-            error.message.includes('quota')) {
-          showRetryAdvice = false;
-        }
-      }
-      // Fallback to legacy error detection for backward compatibility
-      else if (error.message.includes('CORS proxy')) {
-        errorMessage = 'Unable to connect to AO3. Please check your internet connection and try again.';
-      } else if (error.message.includes('Failed to fetch AO3')) {
-        errorMessage = 'Could not fetch the story from AO3. Please check the URL and try again.';
-      } else if (error.message.includes('too large')) {
-        errorMessage = error.message; // File size error is already user-friendly
-        showRetryAdvice = false;
-      } else if (error.message.includes('Gmail')) {
-        errorMessage = 'Failed to send email. Please check your authentication and try again.';
-      } else if (error.message.includes('URL must be')) {
-        errorMessage = error.message; // URL validation errors are already user-friendly
-        showRetryAdvice = false;
+          error.message.includes('temporarily busy')) {
+        errorMessage += '\n\n💡 Tip: Try again in 2-3 minutes. If the issue persists, try EPUB format as it\'s usually smaller and faster.';
       }
       
-      // Add retry advice for retryable errors
-      if (showRetryAdvice && (
-          error.message.includes('connection') ||
-          error.message.includes('timeout') ||
-          error.message.includes('server') ||
-          error.message.includes('unavailable')
-      )) {
-        errorMessage += ' If the problem persists, please wait a few minutes and try again.';
+      // Don't show retry advice for validation errors or quota issues
+      if (error.message.includes('URL must be') || 
+          error.message.includes('Please enter a valid') ||
+          error.message.includes('quota')) {
+        showRetryAdvice = false;
       }
-      
-      this.showStatus(errorMessage, 'error');
-    } finally {
-      this.setFormLoading(false);
     }
+    // Fallback to legacy error detection for backward compatibility
+    else if (error.message.includes('CORS proxy')) {
+      errorMessage = 'Unable to connect to AO3. Please check your internet connection and try again.';
+    } else if (error.message.includes('Failed to fetch AO3')) {
+      errorMessage = 'Could not fetch the story from AO3. Please check the URL and try again.';
+    } else if (error.message.includes('too large')) {
+      errorMessage = error.message; // File size error is already user-friendly
+      showRetryAdvice = false;
+    } else if (error.message.includes('Gmail')) {
+      errorMessage = 'Failed to send email. Please check your authentication and try again.';
+    } else if (error.message.includes('URL must be')) {
+      errorMessage = error.message; // URL validation errors are already user-friendly
+      showRetryAdvice = false;
+    }
+    
+    // Add retry advice for retryable errors
+    if (showRetryAdvice && (
+        error.message.includes('connection') ||
+        error.message.includes('timeout') ||
+        error.message.includes('server') ||
+        error.message.includes('unavailable')
+    )) {
+      errorMessage += ' If the problem persists, please wait a few minutes and try again.';
+    }
+    
+    return errorMessage;
   }
 
   /* =================================================================
@@ -357,7 +689,7 @@ class App {
   /**
    * Validate form inputs
    */
-  validateForm(ao3Url, kindleEmail) {
+  validateForm(ao3Url, destinations, chapterRangeText = '') {
     let isValid = true;
     
     // Clear previous errors
@@ -372,24 +704,95 @@ class App {
       if (!urlValidation.valid) {
         this.showFieldError('ao3-url', urlValidation.error);
         isValid = false;
+      } else if (chapterRangeText && urlValidation.type !== 'work') {
+        this.showFieldError('chapter-range', 'Chapters can only be chosen for a single work');
+        isValid = false;
       }
     }
     
-    // Validate Kindle email
-    if (!kindleEmail) {
-      this.showFieldError('kindle-email', 'Kindle email is required');
-      isValid = false;
-    } else {
-      const emailValidation = window.gmailManager.validateKindleEmailDetailed(kindleEmail);
-      if (!emailValidation.valid) {
-        this.showFieldError('kindle-email', emailValidation.error);
+    // Validate chapter range
+    if (chapterRangeText) {
+      const rangeValidation = window.utilsManager.parseChapterRange(chapterRangeText);
+      if (!rangeValidation.valid) {
+        this.showFieldError('chapter-range', rangeValidation.error);
         isValid = false;
       }
     }
     
+    // Validate the chosen devices or Kindle email
+    if (!this.validateDestinations(destinations)) {
+      isValid = false;
+    }
+    
+    return isValid;
+  }
+
+  /**
+   * Validate batch form inputs
+   */
+  validateBatchForm(urls, invalid, destinations) {
+    let isValid = true;
+    
+    // Clear previous errors
+    this.clearFormErrors();
+    
+    if (urls.length === 0) {
+      this.showFieldError('batch-urls', invalid.length > 0
+        ? 'None of the pasted links are AO3 work URLs'
+        : 'Paste at least one AO3 work URL');
+      isValid = false;
+    } else if (invalid.length > 0) {
+      const preview = invalid.slice(0, 3).join(', ');
+      const more = invalid.length > 3 ? ` and ${invalid.length - 3} more` : '';
+      this.showFieldError('batch-urls', `Not AO3 work URLs: ${preview}${more}`);
+      isValid = false;
+    }
+    
+    if (!this.validateDestinations(destinations)) {
+      isValid = false;
+    }
+    
     return isValid;
   }
 
+  /**
+   * Validate the device picker, or the Kindle email field when sending to another address
+   */
+  validateDestinations(destinations) {
+    const choice = document.getElementById('device-select')?.value || DEVICE_CHOICE.EMAIL;
+    
+    if (choice === DEVICE_CHOICE.EMAIL) {
+      return this.validateDeviceEmailField(destinations[0].email);
+    }
+    
+    if (destinations.length === 0) {
+      this.showFieldError('device-select', 'Choose at least one device');
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Validate the device email field and show its error
+   * Addresses that aren't Kindle or PocketBook are allowed, with a warning
+   */
+  validateDeviceEmailField(email) {
+    if (!email) {
+      this.showFieldError('kindle-email', 'Device email is required');
+      return false;
+    }
+    
+    const emailValidation = window.destinationManager.validateAddress(email);
+    if (!emailValidation.valid) {
+      this.showFieldError('kindle-email', emailValidation.error);
+      return false;
+    }
+    
+    this.updateDeviceEmailWarning();
+    return true;
+  }
+
   /**
    * Validate AO3 URL format (legacy method for compatibility)
    */
@@ -438,19 +841,24 @@ class App {
 
   /**
    * Set form loading state
+   * Each loading period gets its own AbortController, which the Cancel button aborts
    */
-  setFormLoading(isLoading) {
+  setFormLoading(isLoading, loadingText = 'Fetching...') {
     const sendBtn = document.getElementById('send-btn');
+    const cancelBtn = document.getElementById('cancel-btn');
     const btnText = sendBtn?.querySelector('.btn-text');
     const btnSpinner = sendBtn?.querySelector('.btn-spinner');
     const formInputs = this.sendForm?.querySelectorAll('input, select, button');
     
+    this.isBusy = isLoading;
+    this.abortController = isLoading ? new AbortController() : null;
+    
     if (sendBtn) {
       sendBtn.disabled = isLoading;
     }
     
     if (btnText) {
-      btnText.textContent = isLoading ? 'Sending...' : 'Send to Kindle';
+      btnText.textContent = isLoading ? loadingText : this.getSubmitLabel();
     }
     
     if (btnSpinner) {
@@ -463,6 +871,35 @@ class App {
         input.disabled = isLoading;
       });
     }
+    
+    // Cancel is the one control left working
+    if (cancelBtn) {
+      cancelBtn.hidden = !isLoading;
+      cancelBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Abort the fetch or send in progress
+   * Each flow catches the AbortError and tidies up after itself
+   */
+  cancelCurrent() {
+    if (!this.abortController) return;
+    
+    const cancelBtn = document.getElementById('cancel-btn');
+    if (cancelBtn) {
+      cancelBtn.disabled = true;
+    }
+    
+    this.abortController.abort();
+  }
+
+  /**
+   * Reset the progress bar and say the last step was cancelled
+   */
+  showCancelled(message = 'Cancelled.') {
+    this.hideProgress();
+    this.showStatus(message, 'info');
   }
 
   /**
@@ -475,73 +912,1789 @@ class App {
   }
 
   /* =================================================================
-     Progress Management
+     Work Preview
      ================================================================= */
 
   /**
-   * Update progress bar and message
+   * Show a work's tags and stats in the preview card
+   * @param {WorkMetadata} metadata - From AO3Manager.parseWorkPage
+   * @param {Object} file - Fetched file; shows the editable send details when given
    */
-  updateProgress(message, percentage) {
-    const progressContainer = document.getElementById('progress-container');
-    const progressFill = document.getElementById('progress-fill');
-    const progressText = document.getElementById('progress-text');
+  renderWorkPreview(metadata, file = null) {
+    if (!this.workPreview) return;
     
-    if (progressContainer) {
-      progressContainer.hidden = false;
+    const title = document.getElementById('work-preview-title');
+    const byline = document.getElementById('work-preview-byline');
+    const tags = document.getElementById('work-preview-tags');
+    const stats = document.getElementById('work-preview-stats');
+    const summary = document.getElementById('work-preview-summary');
+    
+    if (title) {
+      title.textContent = metadata.workTitle || metadata.title;
     }
     
-    if (progressFill) {
-      progressFill.style.width = `${percentage}%`;
-      progressFill.setAttribute('aria-valuenow', percentage);
+    if (byline) {
+      byline.textContent = `by ${metadata.authorString}`;
     }
     
-    if (progressText) {
-      progressText.textContent = message;
+    if (tags) {
+      const seriesText = (metadata.series || []).map(series =>
+        series.position ? `Part ${series.position} of ${series.title}` : series.title
+      );
+      const rows = [
+        ['Rating', metadata.rating ? [metadata.rating] : []],
+        ['Warnings', metadata.warnings],
+        ['Categories', metadata.categories],
+        ['Fandoms', metadata.fandoms],
+        ['Relationships', metadata.relationships],
+        ['Characters', metadata.characters],
+        ['Tags', metadata.freeformTags],
+        ['Series', seriesText]
+      ];
+      
+      tags.innerHTML = '';
+      rows.forEach(([label, values]) => {
+        if (!values || values.length === 0) return;
+        
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = label;
+        dd.textContent = values.join(', ');
+        tags.append(dt, dd);
+      });
     }
     
-    console.log(`Progress: ${percentage}% - ${message}`);
+    if (stats) {
+      stats.textContent = this.formatWorkStats(metadata);
+    }
+    
+    if (summary) {
+      summary.textContent = metadata.summary || '';
+      summary.hidden = !metadata.summary;
+    }
+    
+    this.renderPreviewSendDetails(metadata, file);
+    this.workPreview.hidden = false;
   }
 
   /**
-   * Hide progress bar
+   * Fill the editable title, author, file name and subject fields
    */
-  hideProgress() {
-    const progressContainer = document.getElementById('progress-container');
-    if (progressContainer) {
-      progressContainer.hidden = true;
+  renderPreviewSendDetails(metadata, file) {
+    const sendDetails = document.getElementById('work-preview-send');
+    if (!sendDetails) return;
+    
+    sendDetails.hidden = !file;
+    if (!file) return;
+    
+    const fileInfo = document.getElementById('work-preview-file');
+    if (fileInfo) {
+      fileInfo.textContent = `${file.format.toUpperCase()} · ${window.ao3Manager.formatFileSize(file.size)}` +
+        (file.format === 'epub' ? '' : ' · Title and author changes only apply to the email');
     }
+    
+    const values = {
+      'preview-title': metadata.title,
+      'preview-author': metadata.authorString,
+      'preview-filename': file.fileName,
+      'preview-subject': window.gmailManager.getDefaultSubject(metadata.title, file.format, this.getPendingDestinations())
+    };
+    
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = value;
+        delete input.dataset.edited;
+      }
+    });
   }
 
-  /* =================================================================
-     Status Management
-     ================================================================= */
-
   /**
-   * Show status message with enhanced formatting
+   * Keep the file name and subject in step with title/author edits,
+   * unless the user has changed them by hand
    */
-  showStatus(message, type = 'info') {
-    const statusMessage = document.getElementById('status-message');
-    if (statusMessage) {
-      // Handle multi-line messages for better formatting
-      const lines = message.split('\n');
-      if (lines.length > 1) {
-        statusMessage.innerHTML = lines.map(line => 
-          line.trim() ? `<div>${this.escapeHtml(line)}</div>` : '<br>'
-        ).join('');
-      } else {
-        statusMessage.textContent = message;
-      }
-      
-      statusMessage.className = `status-message status-${type}`;
-      
-      if (this.statusSection) {
-        this.statusSection.hidden = false;
-      }
+  handleWorkPreviewInput(event) {
+    const input = event.target;
+    if (!this.pendingSend || !input.id) return;
+    
+    if (input.id === 'preview-filename' || input.id === 'preview-subject') {
+      input.dataset.edited = 'true';
+      return;
     }
     
-    console.log(`Status (${type}):`, message);
+    const edits = this.readPreviewEdits();
+    const fileNameInput = document.getElementById('preview-filename');
+    const subjectInput = document.getElementById('preview-subject');
+    
+    if (fileNameInput && !fileNameInput.dataset.edited) {
+      fileNameInput.value = window.ao3Manager.buildFileName(
+        edits.title, edits.authorString, this.pendingSend.workData.file.format
+      );
+    }
+    
+    if (subjectInput && !subjectInput.dataset.edited) {
+      subjectInput.value = window.gmailManager.getDefaultSubject(
+        edits.title, this.pendingSend.workData.file.format, this.pendingSend.destinations
+      );
+    }
   }
-  
+
+  /**
+   * Handle the preview card buttons
+   */
+  handleWorkPreviewAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const action = button.dataset.action;
+    
+    if (action === 'preview-send') {
+      this.sendPendingWork();
+    } else if (action === 'preview-cancel') {
+      this.pendingSend = null;
+      this.hideWorkPreview();
+      this.hideProgress();
+      this.showStatus('Sending cancelled.', 'info');
+    }
+  }
+
+  /**
+   * Read the edited send details from the preview card
+   */
+  readPreviewEdits() {
+    const valueOf = id => document.getElementById(id)?.value.trim() || '';
+    const { metadata, file } = this.pendingSend.workData;
+    
+    return {
+      title: valueOf('preview-title'),
+      authorString: valueOf('preview-author') || metadata.authorString,
+      fileName: valueOf('preview-filename'),
+      subject: valueOf('preview-subject') ||
+        window.gmailManager.getDefaultSubject(valueOf('preview-title'), file.format, this.pendingSend.destinations)
+    };
+  }
+
+  /**
+   * Destinations of the work waiting in the preview card
+   */
+  getPendingDestinations() {
+    return this.pendingSend ? this.pendingSend.destinations : [];
+  }
+
+  /**
+   * Apply preview edits to the fetched work
+   * EPUB title and authors are rewritten inside the file, since Kindle reads them from there
+   */
+  async applyPreviewEdits(workData, edits) {
+    const { metadata, file } = workData;
+    const extension = `.${file.format}`;
+    const baseName = window.ao3Manager.sanitizeFilename(edits.fileName.replace(new RegExp(`\\${extension}$`, 'i'), ''));
+    const editedFile = { ...file, fileName: `${baseName || 'book'}${extension}` };
+    
+    const titleChanged = edits.title !== metadata.title;
+    const authorChanged = edits.authorString !== metadata.authorString;
+    
+    if (file.format === 'epub' && (titleChanged || authorChanged)) {
+      const bytes = await window.epubBuilder.updateMetadata(window.ao3Manager.base64ToBytes(file.data), {
+        title: titleChanged ? edits.title : null,
+        authors: authorChanged ? edits.authorString.split(',').map(author => author.trim()).filter(Boolean) : null
+      });
+      editedFile.data = window.ao3Manager.arrayBufferToBase64(bytes);
+      editedFile.size = bytes.length;
+    }
+    
+    return {
+      metadata: { ...metadata, title: edits.title, authorString: edits.authorString },
+      file: editedFile
+    };
+  }
+
+  /**
+   * Disable the preview card's fields and buttons while sending
+   */
+  setPreviewLoading(isLoading) {
+    if (!this.workPreview) return;
+    
+    this.workPreview.querySelectorAll('input, button').forEach(element => {
+      element.disabled = isLoading;
+    });
+  }
+
+  /**
+   * One-line summary of language, length, dates and reader counts
+   */
+  formatWorkStats(metadata) {
+    const formatCount = (count, label) =>
+      typeof count === 'number' ? `${count.toLocaleString()} ${label}` : null;
+    const readerStats = metadata.stats || {};
+    
+    return [
+      metadata.language,
+      metadata.wordCount ? `${metadata.wordCount} words` : null,
+      metadata.chapters ? `${metadata.chapters} chapters` : null,
+      metadata.published ? `Published ${metadata.published}` : null,
+      metadata.completed ? `Completed ${metadata.completed}` : null,
+      metadata.updated ? `Updated ${metadata.updated}` : null,
+      formatCount(readerStats.kudos, 'kudos'),
+      formatCount(readerStats.hits, 'hits'),
+      formatCount(readerStats.bookmarks, 'bookmarks'),
+      formatCount(readerStats.comments, 'comments')
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Hide the preview card
+   */
+  hideWorkPreview() {
+    if (this.workPreview) {
+      this.workPreview.hidden = true;
+    }
+  }
+
+  /* =================================================================
+     Batch Sending
+     ================================================================= */
+
+  /**
+   * Read the build and cover options shared by every send path
+   */
+  getSendOptions() {
+    return {
+      buildEpub: !!document.getElementById('build-epub')?.checked,
+      cover: {
+        template: document.getElementById('cover-template')?.value || 'none',
+        scheme: document.getElementById('cover-scheme')?.value || 'archive'
+      }
+    };
+  }
+
+  /**
+   * Check whether the form is in multi-URL mode
+   */
+  isBatchMode() {
+    const batchModeToggle = document.getElementById('batch-mode');
+    return !!(batchModeToggle && batchModeToggle.checked);
+  }
+
+  /**
+   * Label for the form's submit button in the current mode
+   */
+  getSubmitLabel() {
+    return this.isBatchMode() ? 'Add to Batch' : 'Fetch';
+  }
+
+  /**
+   * Switch between single URL and multi-URL inputs
+   */
+  handleBatchModeToggle() {
+    const isBatch = this.isBatchMode();
+    const singleGroup = document.getElementById('single-url-group');
+    const batchGroup = document.getElementById('batch-url-group');
+    const btnText = document.querySelector('#send-btn .btn-text');
+    
+    if (singleGroup) {
+      singleGroup.hidden = isBatch;
+    }
+    
+    if (batchGroup) {
+      batchGroup.hidden = !isBatch;
+    }
+    
+    if (btnText) {
+      btnText.textContent = this.getSubmitLabel();
+    }
+    
+    this.clearFormErrors();
+  }
+
+  /**
+   * Parse the pasted URLs and hand them to the batch manager
+   */
+  async handleBatchSend() {
+    const formData = new FormData(this.sendForm);
+    const batchText = formData.get('batchUrls') || '';
+    const destinations = this.getDestinations();
+    const format = formData.get('format') || 'epub';
+    
+    const { urls, invalid } = window.utilsManager.extractAO3Urls(batchText);
+    
+    if (!this.validateBatchForm(urls, invalid, destinations)) {
+      return; // Validation messages already shown
+    }
+    
+    console.log('Batch submission:', { count: urls.length, destinations, format });
+    
+    await window.batchManager.addItems(urls, destinations, format, this.getSendOptions());
+    this.saveFormPreferences();
+    
+    const batchInput = document.getElementById('batch-urls');
+    if (batchInput) {
+      batchInput.value = '';
+    }
+    
+    const { warning: formatWarning } = window.formatManager.resolveFormat(format, destinations);
+    this.showStatus(
+      `Added ${urls.length} work${urls.length > 1 ? 's' : ''} to the batch. ` +
+      'Works are sent one at a time to avoid AO3 rate limits.' +
+      (window.batchManager.isPaused ? ' You\'re offline, so sending starts when you\'re back online.' : '') +
+      (formatWarning && !this.getSendOptions().buildEpub ? ` ${formatWarning}` : ''),
+      'info'
+    );
+    
+    window.batchManager.start();
+  }
+
+  /**
+   * Put a single work in the batch queue while offline
+   * It's fetched and sent without a preview once the connection is back
+   */
+  async queueOfflineSend(ao3Url, destinations, format, chapterRange) {
+    await window.batchManager.addItems([{ url: ao3Url, chapterRange }], destinations, format, this.getSendOptions());
+    this.saveFormPreferences();
+    
+    const urlInput = document.getElementById('ao3-url');
+    if (urlInput) {
+      urlInput.value = '';
+    }
+    
+    this.showStatus(
+      'You\'re offline, so this work has been added to the batch queue. ' +
+      'It will be sent when you\'re back online, even if you close the app first.',
+      'info'
+    );
+    
+    window.batchManager.start();
+  }
+
+  /**
+   * Handle retry and clear buttons in the batch list
+   */
+  handleBatchAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const action = button.dataset.action;
+    
+    if (action === 'retry') {
+      window.batchManager.retryItem(Number(button.dataset.itemId));
+    } else if (action === 'cancel') {
+      window.batchManager.cancelItem(Number(button.dataset.itemId));
+    } else if (action === 'clear') {
+      window.batchManager.clearFinished();
+    }
+  }
+
+  /**
+   * Render batch items with per-item status
+   */
+  renderBatch(items, isRunning) {
+    if (!this.batchSection || !this.batchList) return;
+    
+    this.batchSection.hidden = items.length === 0;
+    this.batchList.innerHTML = '';
+    
+    const statusLabels = {
+      queued: 'Queued',
+      fetching: 'Fetching',
+      sending: 'Sending',
+      sent: 'Sent',
+      failed: 'Failed',
+      attention: 'Needs attention'
+    };
+    
+    items.forEach(item => {
+      const li = document.createElement('li');
+      li.className = `batch-item batch-item-${item.status}`;
+      
+      const info = document.createElement('div');
+      info.className = 'batch-item-info';
+      
+      const title = document.createElement('span');
+      title.className = 'batch-item-title';
+      title.textContent = item.title
+        ? `${item.title}${item.authorString ? ` by ${item.authorString}` : ''}`
+        : item.url;
+      info.appendChild(title);
+      
+      if (item.error) {
+        const error = document.createElement('span');
+        error.className = 'batch-item-error';
+        error.textContent = item.error;
+        info.appendChild(error);
+      }
+      
+      const status = document.createElement('span');
+      status.className = `batch-status batch-status-${item.status}`;
+      status.textContent = statusLabels[item.status] || item.status;
+      if (item.progress && item.progress.percent !== null) {
+        status.textContent += ` ${item.progress.percent}%`;
+      }
+      
+      li.appendChild(info);
+      li.appendChild(status);
+      
+      if (item.status === 'failed' || item.status === 'attention') {
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'btn-link batch-retry';
+        retryBtn.dataset.action = 'retry';
+        retryBtn.dataset.itemId = item.id;
+        retryBtn.textContent = 'Retry';
+        li.appendChild(retryBtn);
+      }
+      
+      if (item.status !== 'sent' && item.status !== 'failed') {
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn-link batch-cancel';
+        cancelBtn.dataset.action = 'cancel';
+        cancelBtn.dataset.itemId = item.id;
+        cancelBtn.textContent = item.status === 'attention' ? 'Remove' : 'Cancel';
+        li.appendChild(cancelBtn);
+      }
+      
+      this.batchList.appendChild(li);
+    });
+    
+    // Update summary line
+    const summary = window.batchManager.getSummary();
+    const summaryElement = document.getElementById('batch-summary');
+    if (summaryElement) {
+      summaryElement.textContent =
+        `${summary.sent} of ${summary.total} sent` +
+        (summary.failed ? `, ${summary.failed} failed` : '') +
+        (summary.attention ? `, ${summary.attention} need${summary.attention > 1 ? '' : 's'} attention` : '') +
+        (window.batchManager.isPaused && summary.queued ? ' · paused until you\'re back online' : '');
+    }
+    
+    // Announce completion once the batch finishes (not when it pauses with items still queued)
+    if (this.wasBatchRunning && !isRunning && summary.total > 0 && summary.queued === 0) {
+      const unsent = summary.failed + summary.attention;
+      const sentTo = window.deviceManager.describeDestinations(
+        window.batchManager.items.flatMap(item => item.destinations)
+      );
+      this.showStatus(
+        unsent
+          ? `Batch finished: ${summary.sent} sent` +
+            (summary.failed ? `, ${summary.failed} failed` : '') +
+            (summary.attention ? `, ${summary.attention} need${summary.attention > 1 ? '' : 's'} attention` : '') +
+            '. Use Retry to try the unsent works again.'
+          : `✅ Batch finished: all ${summary.sent} works sent to ${sentTo}.`,
+        unsent ? 'warning' : 'success'
+      );
+    }
+    this.wasBatchRunning = isRunning;
+  }
+
+  /* =================================================================
+     Series Sending
+     ================================================================= */
+
+  /**
+   * Fetch a series and show its works so the user can pick how to send it
+   */
+  async handleSeriesFetch(seriesUrl, destinations, format) {
+    this.setFormLoading(true);
+    this.showStatus('Fetching series from AO3...', 'info');
+    
+    try {
+      const series = await window.ao3Manager.fetchSeries(seriesUrl, this.abortController.signal);
+      
+      if (series.works.length === 0) {
+        throw new Error('This series has no works that can be sent.');
+      }
+      
+      this.currentSeries = { series, destinations, format };
+      this.renderSeries(series);
+      this.clearStatus();
+      
+    } catch (error) {
+      if (window.utilsManager.isAbortError(error)) {
+        this.showCancelled();
+        return;
+      }
+      
+      console.error('Series fetch error:', error);
+      this.showStatus(this.getErrorMessage(error), 'error');
+    } finally {
+      this.setFormLoading(false);
+    }
+  }
+
+  /**
+   * Handle the series panel buttons
+   */
+  handleSeriesAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !this.currentSeries) return;
+    
+    const action = button.dataset.action;
+    
+    if (action === 'series-separate') {
+      this.sendSeriesSeparately().catch(error => this.showStatus(this.getErrorMessage(error), 'error'));
+    } else if (action === 'series-combined') {
+      this.sendSeriesCombined();
+    } else if (action === 'series-cancel') {
+      this.closeSeries();
+    }
+  }
+
+  /**
+   * Queue every work in the series as its own batch item
+   */
+  async sendSeriesSeparately() {
+    const { series, destinations, format } = this.currentSeries;
+    
+    await window.batchManager.addItems(series.works.map(work => work.url), destinations, format, this.getSendOptions());
+    this.saveFormPreferences();
+    this.closeSeries();
+    
+    this.showStatus(
+      `Added ${series.works.length} parts of "${series.title}" to the batch. ` +
+      'Parts are sent one at a time, in series order.',
+      'info'
+    );
+    
+    window.batchManager.start();
+  }
+
+  /**
+   * Build one EPUB containing every part of the series and send it
+   */
+  async sendSeriesCombined() {
+    const { series, destinations } = this.currentSeries;
+    
+    this.closeSeries();
+    this.setFormLoading(true);
+    this.showStatus(`Building "${series.title}" as one book...`, 'info');
+    
+    let workData = null;
+    let sendResult = null;
+    const { signal } = this.abortController;
+    
+    try {
+      const total = series.works.length;
+      this.startProgress(`Fetching part 1 of ${total}...`);
+      
+      const seriesBook = await window.ao3Manager.fetchSeriesBook(series, (completed, count, work) => {
+        const next = completed < count ? ` Fetching part ${completed + 1} of ${count}...` : '';
+        this.updateStepProgress('fetch', `Fetched "${work.title}".${next}`, completed / count);
+      }, signal);
+      
+      workData = await window.coverGenerator.applyCover(seriesBook, this.getSendOptions().cover);
+      
+      window.destinationManager.checkFileForAny(workData.file, destinations, 'Try sending the parts separately.');
+      
+      const names = window.deviceManager.describeDestinations(destinations);
+      this.updateStepProgress('send', `Sending "${series.title}" to ${names}...`, 0);
+      
+      // Records one history entry per device
+      sendResult = await window.deviceManager.sendToDestinations(workData, destinations, { signal });
+      const { sent, failed } = sendResult;
+      
+      if (sent.length === 0) {
+        throw failed[0].error;
+      }
+      
+      this.saveFormPreferences();
+      
+      if (failed.length > 0) {
+        this.hideProgress();
+        this.showStatus(
+          `"${series.title}" was sent to ${window.deviceManager.describeDestinations(sent)}, but not to ` +
+          `${window.deviceManager.describeDestinations(failed.map(failure => failure.destination))}. ` +
+          `${this.getErrorMessage(failed[0].error)} You can send it again from the send history.`,
+          'warning'
+        );
+        return;
+      }
+      
+      this.updateStepProgress('send', `Success! Series sent to ${names}.`, 1);
+      
+      const fileSize = window.ao3Manager.formatFileSize(workData.file.size);
+      const { skippedParts } = seriesBook.metadata;
+      const skippedNote = skippedParts.length > 0
+        ? ` Left out, because AO3 showed no text for ${skippedParts.length > 1 ? 'them' : 'it'} ` +
+          `(restricted or deleted?): ${skippedParts.map(title => `"${title}"`).join(', ')}.`
+        : '';
+      this.showStatus(
+        `✅ "${series.title}" (${total - skippedParts.length} parts) has been sent to ${names} as one EPUB! ` +
+        `File size: ${fileSize}.${this.getArrivalNote(destinations)}${skippedNote}`,
+        skippedParts.length > 0 ? 'warning' : 'success'
+      );
+      
+    } catch (error) {
+      if (window.utilsManager.isAbortError(error)) {
+        this.showCancelled(`Sending "${series.title}" was cancelled.`);
+        return;
+      }
+      
+      console.error('Series send error:', error);
+      this.hideProgress();
+      this.showStatus(this.getErrorMessage(error), 'error');
+      
+      // Failed sends are already recorded, one per device
+      if (workData && !sendResult) {
+        destinations.forEach(destination => {
+          window.historyManager.record({
+            ...window.historyManager.entryFromWork(workData, destination.email),
+            destinationType: destination.type,
+            deviceName: destination.name,
+            outcome: 'failed',
+            error: this.getErrorMessage(error)
+          });
+        });
+      }
+    } finally {
+      this.setFormLoading(false);
+    }
+  }
+
+  /**
+   * Render the series panel with its works in order
+   */
+  renderSeries(series) {
+    if (!this.seriesSection) return;
+    
+    const title = document.getElementById('series-title');
+    const meta = document.getElementById('series-meta');
+    const list = document.getElementById('series-works');
+    
+    if (title) {
+      title.textContent = series.title;
+    }
+    
+    if (meta) {
+      meta.textContent = `by ${series.authorString} · ${series.works.length} part${series.works.length > 1 ? 's' : ''}`;
+    }
+    
+    if (list) {
+      list.innerHTML = '';
+      series.works.forEach(work => {
+        const li = document.createElement('li');
+        li.className = 'series-work';
+        li.textContent = `${work.title} by ${work.authorString}` +
+          (work.wordCount ? ` (${work.wordCount} words)` : '');
+        list.appendChild(li);
+      });
+    }
+    
+    this.seriesSection.hidden = false;
+  }
+
+  /**
+   * Hide the series panel
+   */
+  closeSeries() {
+    if (this.seriesSection) {
+      this.seriesSection.hidden = true;
+    }
+  }
+
+  /* =================================================================
+     Listing Import (bookmarks, Marked for Later, collections, tags)
+     ================================================================= */
+
+  /**
+   * Fetch a page of the current listing and render it
+   */
+  async loadListingPage(page) {
+    if (!this.currentListing) return;
+    
+    this.setFormLoading(true);
+    this.setListingLoading(true);
+    this.showStatus(`Fetching page ${page} from AO3...`, 'info');
+    
+    try {
+      const listing = await window.ao3Manager.fetchListingPage(this.currentListing.url, page, this.abortController.signal);
+      
+      if (listing.works.length === 0 && page === 1) {
+        throw new Error('This list has no works that can be sent.');
+      }
+      
+      this.currentListing.page = listing;
+      this.renderListing();
+      this.clearStatus();
+      
+    } catch (error) {
+      if (window.utilsManager.isAbortError(error)) {
+        // Cancelling the first page leaves nothing to show
+        if (this.currentListing && !this.currentListing.page) {
+          this.closeListing();
+        }
+        this.showCancelled();
+        return;
+      }
+      
+      console.error('Listing fetch error:', error);
+      this.showStatus(this.getErrorMessage(error), 'error');
+    } finally {
+      this.setFormLoading(false);
+      this.setListingLoading(false);
+    }
+  }
+
+  /**
+   * Handle listing panel buttons
+   */
+  handleListingAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button || !this.currentListing || !this.currentListing.page) return;
+    
+    const { page, selected } = this.currentListing;
+    
+    switch (button.dataset.action) {
+      case 'listing-prev':
+        this.loadListingPage(page.page - 1);
+        break;
+      case 'listing-next':
+        this.loadListingPage(page.page + 1);
+        break;
+      case 'listing-select-page': {
+        const allSelected = page.works.every(work => selected.has(work.workId));
+        page.works.forEach(work => {
+          if (allSelected) {
+            selected.delete(work.workId);
+          } else {
+            selected.set(work.workId, work);
+          }
+        });
+        this.renderListing();
+        break;
+      }
+      case 'listing-send':
+        this.sendListingSelection().catch(error => this.showStatus(this.getErrorMessage(error), 'error'));
+        break;
+      case 'listing-cancel':
+        this.closeListing();
+        break;
+    }
+  }
+
+  /**
+   * Track checkbox changes across pages
+   */
+  handleListingSelection(event) {
+    const checkbox = event.target;
+    if (!checkbox.matches('input[data-work-id]') || !this.currentListing) return;
+    
+    const workId = checkbox.dataset.workId;
+    const work = this.currentListing.page.works.find(w => w.workId === workId);
+    
+    if (checkbox.checked && work) {
+      this.currentListing.selected.set(workId, work);
+    } else {
+      this.currentListing.selected.delete(workId);
+    }
+    
+    this.updateListingSelectionCount();
+  }
+
+  /**
+   * Send the selected works through the batch pipeline
+   */
+  async sendListingSelection() {
+    const { selected, destinations, format, page } = this.currentListing;
+    
+    if (selected.size === 0) {
+      this.showStatus('Select at least one work to send.', 'warning');
+      return;
+    }
+    
+    const works = Array.from(selected.values());
+    await window.batchManager.addItems(works.map(work => work.url), destinations, format, this.getSendOptions());
+    this.saveFormPreferences();
+    this.closeListing();
+    
+    this.showStatus(
+      `Added ${works.length} work${works.length > 1 ? 's' : ''} from ${page.label} to the batch.`,
+      'info'
+    );
+    
+    window.batchManager.start();
+  }
+
+  /**
+   * Render the current listing page as a checkbox list
+   */
+  renderListing() {
+    if (!this.listingSection || !this.currentListing.page) return;
+    
+    const { page, selected } = this.currentListing;
+    const title = document.getElementById('listing-title');
+    const pageInfo = document.getElementById('listing-page-info');
+    const list = document.getElementById('listing-works');
+    const prevBtn = this.listingSection.querySelector('[data-action="listing-prev"]');
+    const nextBtn = this.listingSection.querySelector('[data-action="listing-next"]');
+    
+    if (title) {
+      title.textContent = page.label;
+    }
+    
+    if (pageInfo) {
+      pageInfo.textContent = `Page ${page.page} of ${page.totalPages}`;
+    }
+    
+    if (prevBtn) {
+      prevBtn.disabled = !page.hasPrevious;
+    }
+    
+    if (nextBtn) {
+      nextBtn.disabled = !page.hasNext;
+    }
+    
+    if (list) {
+      list.innerHTML = '';
+      page.works.forEach(work => {
+        const li = document.createElement('li');
+        li.className = 'listing-work';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-checkbox';
+        checkbox.id = `listing-work-${work.workId}`;
+        checkbox.dataset.workId = work.workId;
+        checkbox.checked = selected.has(work.workId);
+        
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+        label.className = 'listing-work-label';
+        
+        const workTitle = document.createElement('span');
+        workTitle.className = 'listing-work-title';
+        workTitle.textContent = `${work.title} by ${work.authorString}`;
+        
+        const workMeta = document.createElement('span');
+        workMeta.className = 'listing-work-meta';
+        workMeta.textContent = [
+          work.fandoms.join(', '),
+          work.wordCount ? `${work.wordCount} words` : null,
+          work.chapters ? `Ch. ${work.chapters}` : null
+        ].filter(Boolean).join(' · ');
+        
+        label.appendChild(workTitle);
+        label.appendChild(workMeta);
+        li.appendChild(checkbox);
+        li.appendChild(label);
+        list.appendChild(li);
+      });
+    }
+    
+    this.updateListingSelectionCount();
+    this.listingSection.hidden = false;
+  }
+
+  /**
+   * Update the "Send selected" button label
+   */
+  updateListingSelectionCount() {
+    const sendBtn = this.listingSection?.querySelector('[data-action="listing-send"]');
+    const count = this.currentListing ? this.currentListing.selected.size : 0;
+    
+    if (sendBtn) {
+      sendBtn.textContent = `Send selected (${count})`;
+      sendBtn.disabled = count === 0;
+    }
+  }
+
+  /**
+   * Disable listing controls while a page loads
+   */
+  setListingLoading(isLoading) {
+    if (!this.listingSection) return;
+    
+    this.listingSection.querySelectorAll('button, input').forEach(control => {
+      control.disabled = isLoading;
+    });
+    
+    if (!isLoading && this.currentListing && this.currentListing.page) {
+      this.renderListing();
+    }
+  }
+
+  /**
+   * Hide the listing panel and forget the selection
+   */
+  closeListing() {
+    if (this.listingSection) {
+      this.listingSection.hidden = true;
+    }
+    this.currentListing = null;
+  }
+
+  /* =================================================================
+     Followed Works
+     ================================================================= */
+
+  /**
+   * Check followed works for new chapters and report the result
+   */
+  async checkFollowedWorks() {
+    const total = window.followManager.follows.length;
+    if (total === 0) return;
+    
+    this.showStatus(`Checking ${total} followed work${total > 1 ? 's' : ''} for new chapters...`, 'info');
+    
+    try {
+      const updated = await window.followManager.checkForUpdates();
+      
+      if (updated.length > 0) {
+        this.showStatus(
+          `📚 ${updated.length} followed work${updated.length > 1 ? 's have' : ' has'} new chapters. ` +
+          'Select them under "Following" to send.',
+          'success'
+        );
+      } else {
+        this.showStatus('All followed works are up to date.', 'info');
+      }
+    } catch (error) {
+      console.error('Follow check error:', error);
+      this.showStatus(this.getErrorMessage(error), 'error');
+    }
+  }
+
+  /**
+   * Handle followed works panel buttons
+   */
+  handleFollowAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    switch (button.dataset.action) {
+      case 'follow-check':
+        this.checkFollowedWorks();
+        break;
+      case 'follow-remove':
+        window.followManager.unfollow(button.dataset.workId);
+        break;
+      case 'follow-send':
+        this.sendFollowUpdates().catch(error => this.showStatus(this.getErrorMessage(error), 'error'));
+        break;
+    }
+  }
+
+  /**
+   * Send the selected updated works through the batch pipeline
+   */
+  async sendFollowUpdates() {
+    const destinations = this.getDestinations();
+    const format = document.getElementById('format-select')?.value || this.preferences.preferredFormat;
+    const newChaptersOnly = document.getElementById('follow-new-only')?.checked;
+    const checked = this.followSection.querySelectorAll('input[data-work-id]:checked');
+    const entries = Array.from(checked)
+      .map(checkbox => window.followManager.getFollow(checkbox.dataset.workId))
+      .filter(Boolean)
+      .map(follow => newChaptersOnly
+        ? { url: follow.url, chapterRange: window.followManager.getNewChapterRange(follow.workId) }
+        : follow.url);
+    
+    this.clearFormErrors();
+    if (!this.validateDestinations(destinations)) {
+      return;
+    }
+    
+    if (entries.length === 0) {
+      this.showStatus('Select at least one updated work to send.', 'warning');
+      return;
+    }
+    
+    await window.batchManager.addItems(entries, destinations, format, this.getSendOptions());
+    this.showStatus(
+      `Added ${entries.length} updated work${entries.length > 1 ? 's' : ''} to the batch` +
+      (newChaptersOnly ? ' (new chapters only, as EPUB).' : '.'),
+      'info'
+    );
+    
+    window.batchManager.start();
+  }
+
+  /**
+   * Render the followed works panel
+   */
+  renderFollows(follows, isChecking) {
+    if (!this.followSection) return;
+    
+    const list = document.getElementById('follow-list');
+    const count = document.getElementById('follow-count');
+    const checkBtn = this.followSection.querySelector('[data-action="follow-check"]');
+    const sendBtn = this.followSection.querySelector('[data-action="follow-send"]');
+    const updatedCount = follows.filter(follow => follow.latestChapters > follow.knownChapters).length;
+    
+    this.followSection.hidden = follows.length === 0;
+    
+    if (count) {
+      count.textContent = `(${follows.length})`;
+    }
+    
+    if (checkBtn) {
+      checkBtn.disabled = isChecking;
+      checkBtn.textContent = isChecking ? 'Checking...' : 'Check now';
+    }
+    
+    if (sendBtn) {
+      sendBtn.hidden = updatedCount === 0;
+      sendBtn.textContent = `Send updated (${updatedCount})`;
+    }
+    
+    if (!list) return;
+    list.innerHTML = '';
+    
+    follows.forEach(follow => {
+      const newChapters = follow.latestChapters - follow.knownChapters;
+      const li = document.createElement('li');
+      li.className = `follow-item${newChapters > 0 ? ' follow-item-updated' : ''}`;
+      
+      if (newChapters > 0) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.workId = follow.workId;
+        checkbox.setAttribute('aria-label', `Send ${follow.title}`);
+        li.appendChild(checkbox);
+      }
+      
+      const info = document.createElement('div');
+      info.className = 'batch-item-info';
+      
+      const title = document.createElement('span');
+      title.className = 'batch-item-title';
+      title.textContent = `${follow.title} by ${follow.authorString}`;
+      
+      const status = document.createElement('span');
+      status.className = follow.error ? 'batch-item-error' : 'listing-work-meta';
+      if (follow.error) {
+        status.textContent = follow.error;
+      } else if (newChapters > 0) {
+        status.textContent = `${newChapters} new chapter${newChapters > 1 ? 's' : ''} · Ch. ${follow.chapters}`;
+      } else {
+        status.textContent = `Up to date · Ch. ${follow.chapters || '?'}`;
+      }
+      
+      info.appendChild(title);
+      info.appendChild(status);
+      li.appendChild(info);
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn-link';
+      removeBtn.dataset.action = 'follow-remove';
+      removeBtn.dataset.workId = follow.workId;
+      removeBtn.textContent = 'Unfollow';
+      li.appendChild(removeBtn);
+      
+      list.appendChild(li);
+    });
+  }
+
+  /* =================================================================
+     Devices
+     ================================================================= */
+
+  /**
+   * Read the destinations chosen in the device picker
+   * @returns {Object[]} - [{ type, name, email }]; name is null for another email address
+   */
+  getDestinations() {
+    const choice = document.getElementById('device-select')?.value || DEVICE_CHOICE.EMAIL;
+    
+    if (choice === DEVICE_CHOICE.EMAIL) {
+      const email = document.getElementById('kindle-email')?.value.trim() || '';
+      return [{ type: window.destinationManager.detectType(email), name: null, email }];
+    }
+    
+    if (choice === DEVICE_CHOICE.DOWNLOAD) {
+      return [window.destinationManager.getDownloadDestination()];
+    }
+    
+    const deviceIds = choice === DEVICE_CHOICE.MULTIPLE
+      ? Array.from(document.querySelectorAll('#device-multi input:checked')).map(checkbox => checkbox.value)
+      : [choice];
+    
+    return deviceIds
+      .map(id => window.deviceManager.getDevice(id))
+      .filter(Boolean)
+      .map(device => window.deviceManager.toDestination(device));
+  }
+
+  /**
+   * Show the device checkboxes or the email field to match the picker
+   */
+  updateDeviceFields() {
+    const choice = document.getElementById('device-select')?.value || DEVICE_CHOICE.EMAIL;
+    const deviceMulti = document.getElementById('device-multi');
+    const emailGroup = document.getElementById('kindle-email-group');
+    const emailInput = document.getElementById('kindle-email');
+    
+    if (deviceMulti) {
+      deviceMulti.hidden = choice !== DEVICE_CHOICE.MULTIPLE;
+    }
+    
+    if (emailGroup) {
+      emailGroup.hidden = choice !== DEVICE_CHOICE.EMAIL;
+    }
+    
+    if (emailInput) {
+      emailInput.required = choice === DEVICE_CHOICE.EMAIL;
+    }
+  }
+
+  /**
+   * Warn when the one-off address isn't a known reading service
+   */
+  updateDeviceEmailWarning() {
+    const warning = document.getElementById('kindle-email-warning');
+    if (!warning) return;
+    
+    const validation = window.destinationManager.validateAddress(document.getElementById('kindle-email')?.value || '');
+    warning.textContent = validation.valid && validation.warning ? validation.warning : '';
+    warning.hidden = !warning.textContent;
+  }
+
+  /**
+   * Switch the format to the chosen device's default
+   */
+  handleDeviceSelect() {
+    this.updateDeviceFields();
+    
+    const device = window.deviceManager.getDevice(document.getElementById('device-select').value);
+    const formatSelect = document.getElementById('format-select');
+    
+    if (device && formatSelect) {
+      formatSelect.value = device.format;
+    }
+    
+    this.updateFormatOptions();
+  }
+
+  /**
+   * Disable formats the chosen destinations don't accept, switching away from one if it's selected
+   */
+  updateFormatOptions() {
+    const formatSelect = document.getElementById('format-select');
+    const warning = document.getElementById('format-warning');
+    if (!formatSelect) return;
+    
+    const destinations = this.getDestinations();
+    const accepted = window.formatManager.getAcceptedFormats(destinations);
+    
+    Array.from(formatSelect.options).forEach(option => {
+      option.disabled = accepted.length > 0 && !accepted.includes(option.value);
+    });
+    
+    const resolved = window.formatManager.resolveFormat(formatSelect.value, destinations);
+    formatSelect.value = resolved.format;
+    
+    if (warning) {
+      warning.textContent = resolved.changed ? resolved.warning : '';
+      warning.hidden = !resolved.changed;
+    }
+  }
+
+  /**
+   * Add a device from the device book form
+   */
+  handleDeviceForm(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const errorElement = document.getElementById('device-form-error');
+    
+    try {
+      const device = window.deviceManager.addDevice({
+        name: form.elements.deviceName.value,
+        email: form.elements.deviceEmail.value,
+        format: form.elements.deviceFormat.value,
+        // Unticked leaves it to the address, so an @free.kindle.com one stays free
+        isFree: form.elements.deviceFree.checked || null
+      });
+      
+      form.reset();
+      if (errorElement) {
+        errorElement.textContent = '';
+        errorElement.style.display = 'none';
+      }
+      
+      // Pick the new device so the next send goes to it
+      const deviceSelect = document.getElementById('device-select');
+      if (deviceSelect) {
+        deviceSelect.value = device.id;
+        this.handleDeviceSelect();
+      }
+      
+    } catch (error) {
+      if (errorElement) {
+        errorElement.textContent = error.message;
+        errorElement.style.display = 'block';
+      }
+    }
+  }
+
+  /**
+   * Handle the device book buttons
+   */
+  handleDeviceAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const device = window.deviceManager.getDevice(button.dataset.deviceId);
+    if (!device) return;
+    
+    if (button.dataset.action === 'device-remove') {
+      if (confirm(`Remove "${device.name}" from your devices?`)) {
+        window.deviceManager.removeDevice(device.id);
+      }
+    } else if (button.dataset.action === 'device-toggle-free') {
+      window.deviceManager.updateDevice(device.id, { isFree: !device.isFree });
+    }
+  }
+
+  /**
+   * Render the device book and refill the device picker
+   */
+  renderDevices(devices) {
+    const deviceSelect = document.getElementById('device-select');
+    const deviceMulti = document.getElementById('device-multi-list');
+    const list = document.getElementById('device-list');
+    const count = document.getElementById('device-count');
+    
+    if (deviceSelect) {
+      const previous = deviceSelect.value;
+      const checked = new Set(
+        Array.from(document.querySelectorAll('#device-multi input:checked')).map(checkbox => checkbox.value)
+      );
+      
+      const options = devices.map(device => new Option(`${device.name} (${device.format.toUpperCase()})`, device.id));
+      if (devices.length > 1) {
+        options.push(new Option('Several devices…', DEVICE_CHOICE.MULTIPLE));
+      }
+      options.push(new Option('Another email address', DEVICE_CHOICE.EMAIL));
+      options.push(new Option('Download the file (Kobo and other readers)', DEVICE_CHOICE.DOWNLOAD));
+      
+      deviceSelect.replaceChildren(...options);
+      deviceSelect.value = options.some(option => option.value === previous) ? previous : options[0].value;
+      
+      if (deviceMulti) {
+        deviceMulti.replaceChildren(...devices.map(device => {
+          const label = document.createElement('label');
+          label.className = 'form-toggle';
+          
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.className = 'form-checkbox';
+          checkbox.value = device.id;
+          checkbox.checked = checked.has(device.id);
+          
+          const name = document.createElement('span');
+          name.className = 'form-toggle-label';
+          name.textContent = device.name;
+          
+          label.appendChild(checkbox);
+          label.appendChild(name);
+          return label;
+        }));
+      }
+      
+      
+      this.updateDeviceFields();
+      this.updateFormatOptions();
+    }
+    
+    if (count) {
+      count.textContent = devices.length > 0 ? `(${devices.length})` : '';
+    }
+    
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    devices.forEach(device => {
+      const li = document.createElement('li');
+      li.className = 'batch-item';
+      
+      const info = document.createElement('div');
+      info.className = 'batch-item-info';
+      
+      const name = document.createElement('span');
+      name.className = 'batch-item-title';
+      name.textContent = device.name;
+      
+      const details = document.createElement('span');
+      details.className = 'listing-work-meta';
+      const isKindle = (device.type || 'kindle') === 'kindle';
+      details.textContent = [
+        window.destinationManager.getTarget(device.type).label,
+        window.deviceManager.getDeliveryEmail(device),
+        device.format.toUpperCase(),
+        isKindle ? (device.isFree ? 'Free (Wi-Fi only)' : 'Paid') : null
+      ].filter(Boolean).join(' · ');
+      
+      info.appendChild(name);
+      info.appendChild(details);
+      
+      const toggleBtn = document.createElement('button');
+      toggleBtn.type = 'button';
+      toggleBtn.className = 'btn-link';
+      toggleBtn.dataset.action = 'device-toggle-free';
+      toggleBtn.dataset.deviceId = device.id;
+      toggleBtn.textContent = device.isFree ? 'Use paid' : 'Use free';
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn-link';
+      removeBtn.dataset.action = 'device-remove';
+      removeBtn.dataset.deviceId = device.id;
+      removeBtn.textContent = 'Remove';
+      
+      li.appendChild(info);
+      if (isKindle) {
+        li.appendChild(toggleBtn);
+      }
+      li.appendChild(removeBtn);
+      list.appendChild(li);
+    });
+  }
+
+  /* =================================================================
+     Send History
+     ================================================================= */
+
+  /**
+   * Render the history list, filtered by the search box
+   */
+  async renderHistory() {
+    if (!this.historySection) return;
+    
+    const list = document.getElementById('history-list');
+    const count = document.getElementById('history-count');
+    const query = document.getElementById('history-search')?.value || '';
+    const maxShown = 50;
+    
+    let entries;
+    try {
+      entries = await window.historyManager.search(query);
+    } catch (error) {
+      console.warn('Failed to load send history:', error);
+      this.historySection.hidden = true;
+      return;
+    }
+    
+    this.historySection.hidden = false;
+    
+    if (count) {
+      count.textContent = entries.length > maxShown
+        ? `Showing ${maxShown} of ${entries.length}`
+        : `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`;
+    }
+    
+    if (!list) return;
+    list.innerHTML = '';
+    
+    entries.slice(0, maxShown).forEach(entry => {
+      const li = document.createElement('li');
+      li.className = 'batch-item';
+      
+      const status = document.createElement('span');
+      status.className = `batch-status batch-status-${entry.outcome === 'sent' ? 'sent' : 'failed'}`;
+      status.textContent = entry.outcome === 'sent' ? 'Sent' : 'Failed';
+      
+      const info = document.createElement('div');
+      info.className = 'batch-item-info';
+      
+      const title = document.createElement('span');
+      title.className = 'batch-item-title';
+      title.textContent = entry.authorString ? `${entry.title} by ${entry.authorString}` : entry.title;
+      
+      const details = document.createElement('span');
+      details.className = entry.error ? 'batch-item-error' : 'listing-work-meta';
+      details.textContent = entry.error || [
+        new Date(entry.sentAt).toLocaleString(),
+        entry.format ? entry.format.toUpperCase() : null,
+        entry.size ? window.ao3Manager.formatFileSize(entry.size) : null,
+        entry.chapterFrom ? `Ch. ${entry.chapterFrom}–${entry.chapterTo || 'latest'}` : null,
+        entry.deviceName && entry.destination ? `${entry.deviceName} (${entry.destination})` : entry.deviceName || entry.destination
+      ].filter(Boolean).join(' · ');
+      
+      info.appendChild(title);
+      info.appendChild(details);
+      li.appendChild(status);
+      li.appendChild(info);
+      
+      if (entry.url) {
+        const resendBtn = document.createElement('button');
+        resendBtn.type = 'button';
+        resendBtn.className = 'btn-link';
+        resendBtn.dataset.action = 'history-resend';
+        resendBtn.dataset.entryId = entry.id;
+        resendBtn.textContent = 'Resend';
+        li.appendChild(resendBtn);
+      }
+      
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * Re-render the history list shortly after typing stops
+   */
+  handleHistorySearch(event) {
+    if (event.target.id !== 'history-search') return;
+    
+    clearTimeout(this.historySearchTimer);
+    this.historySearchTimer = setTimeout(() => this.renderHistory(), 200);
+  }
+
+  /**
+   * Handle the history panel buttons
+   */
+  async handleHistoryAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const action = button.dataset.action;
+    
+    try {
+      if (action === 'history-resend') {
+        await this.resendHistoryEntry(Number(button.dataset.entryId));
+      } else if (action === 'history-export-json') {
+        this.downloadText(await window.historyManager.exportJson(), 'ao3-to-kindle-history.json', 'application/json');
+      } else if (action === 'history-export-csv') {
+        this.downloadText(await window.historyManager.exportCsv(), 'ao3-to-kindle-history.csv', 'text/csv');
+      } else if (action === 'history-clear') {
+        if (confirm('Delete your whole send history? Export it first if you want to keep a copy.')) {
+          await window.historyManager.clear();
+        }
+      }
+    } catch (error) {
+      console.error('History action failed:', error);
+      this.showStatus(this.getErrorMessage(error), 'error');
+    }
+  }
+
+  /**
+   * Send a history entry again to the same destination, in the same format
+   */
+  async resendHistoryEntry(id) {
+    const entry = await window.historyManager.getEntry(id);
+    if (!entry || !entry.url) return;
+    
+    const destination = { type: entry.destinationType, name: entry.deviceName, email: entry.destination };
+    
+    if (entry.kind === 'series') {
+      this.setFormLoading(true);
+      try {
+        const series = await window.ao3Manager.fetchSeries(entry.url, this.abortController.signal);
+        this.currentSeries = { series, destinations: [destination], format: 'epub' };
+      } catch (error) {
+        if (!window.utilsManager.isAbortError(error)) {
+          throw error;
+        }
+        this.showCancelled();
+        return;
+      } finally {
+        this.setFormLoading(false);
+      }
+      await this.sendSeriesCombined();
+      return;
+    }
+    
+    const chapterRange = entry.chapterFrom ? { from: entry.chapterFrom, to: entry.chapterTo } : null;
+    await window.batchManager.addItems(
+      [{ url: entry.url, chapterRange }],
+      destination,
+      entry.format || this.preferences.preferredFormat,
+      this.getSendOptions()
+    );
+    
+    this.showStatus(`Sending "${entry.title}" to ${entry.deviceName || entry.destination} again.`, 'info');
+    window.batchManager.start();
+  }
+
+  /**
+   * Import history from a chosen JSON or CSV file
+   */
+  async handleHistoryImport(event) {
+    const input = event.target;
+    if (input.id !== 'history-import' || !input.files || input.files.length === 0) return;
+    
+    const file = input.files[0];
+    
+    try {
+      const { added, skipped } = await window.historyManager.importText(await file.text(), file.name);
+      this.showStatus(
+        `Imported ${added} history ${added === 1 ? 'entry' : 'entries'}` +
+        (skipped > 0 ? ` (${skipped} already in your history).` : '.'),
+        'success'
+      );
+    } catch (error) {
+      console.error('History import failed:', error);
+      this.showStatus(this.getErrorMessage(error), 'error');
+    } finally {
+      input.value = '';
+    }
+  }
+
+  /**
+   * Offer text as a file download
+   */
+  downloadText(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /* =================================================================
+     Shared Links (Web Share Target)
+     ================================================================= */
+
+  /**
+   * Read a share from another app (manifest share_target sends title, text and url)
+   * @returns {Object|null} - { works, series } AO3 links found, or null if nothing was shared
+   */
+  readSharedLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const sharedFields = ['title', 'text', 'url'];
+    const shared = sharedFields.map(name => params.get(name)).filter(Boolean);
+    
+    if (shared.length === 0) {
+      return null;
+    }
+    
+    // Drop the share from the address so a reload doesn't handle it again
+    sharedFields.forEach(name => params.delete(name));
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    
+    // Apps put the link in url, in text, or in both alongside the title
+    return window.utilsManager.findAO3Links(shared.join(' '));
+  }
+
+  /**
+   * Send shared works straight away if the user asked for that, otherwise fill in the form
+   * Series always go through the form, since they need a choice of how to send
+   */
+  async handleSharedLinks({ works, series }) {
+    if (works.length === 0 && series.length === 0) {
+      this.showStatus('There was no AO3 work or series link in what was shared.', 'warning');
+      return;
+    }
+    
+    if (this.preferences.autoSendShared && works.length > 0) {
+      const destinations = this.getDestinations();
+      
+      if (this.validateDestinations(destinations)) {
+        const format = document.getElementById('format-select')?.value || this.preferences.preferredFormat;
+        const names = window.deviceManager.describeDestinations(destinations);
+        
+        await window.batchManager.addItems(works, destinations, format, this.getSendOptions());
+        if (series.length > 0) {
+          this.fillSharedLinks([], series);
+        }
+        
+        this.showStatus(
+          `Sending ${works.length} shared work${works.length > 1 ? 's' : ''} to ${names}.` +
+          (series.length > 0 ? ' The series link is in the form; press Fetch to choose how to send it.' : ''),
+          'info'
+        );
+        
+        window.batchManager.start();
+        return;
+      }
+    }
+    
+    const leftOut = this.fillSharedLinks(works, series);
+    this.showStatus(
+      `Shared link${works.length + series.length > 1 ? 's' : ''} added to the form. ` +
+      `Check where ${works.length + series.length > 1 ? 'they\'re' : 'it\'s'} going, then press ${this.getSubmitLabel()}.` +
+      (leftOut > 0 ? ' Series links can\'t be sent with other links, so share them on their own.' : ''),
+      'info'
+    );
+  }
+
+  /**
+   * Put shared links in the form: several works in the batch list, otherwise the single URL field
+   * @returns {number} - How many series links were left out
+   */
+  fillSharedLinks(works, series) {
+    const batchToggle = document.getElementById('batch-mode');
+    const useBatch = works.length > 1;
+    
+    if (batchToggle) {
+      batchToggle.checked = useBatch;
+      this.handleBatchModeToggle();
+    }
+    
+    if (useBatch) {
+      const batchInput = document.getElementById('batch-urls');
+      if (batchInput) {
+        batchInput.value = works.join('\n');
+      }
+      return series.length;
+    }
+    
+    const urlInput = document.getElementById('ao3-url');
+    if (urlInput) {
+      urlInput.value = works[0] || series[0];
+    }
+    
+    return works.length > 0 ? series.length : series.length - 1;
+  }
+
+  /* =================================================================
+     App Updates
+     ================================================================= */
+
+  /**
+   * Offer to reload into a new version of the app
+   */
+  showUpdatePrompt() {
+    if (this.updateBanner) {
+      this.updateBanner.hidden = false;
+    }
+  }
+
+  /**
+   * Handle the Reload button on the new version prompt
+   * The batch queue is saved, so reloading mid-batch picks up where it left off
+   */
+  handleUpdateAction(event) {
+    const button = event.target.closest('button[data-action="update-reload"]');
+    if (!button) return;
+    
+    button.disabled = true;
+    window.pwaManager.applyUpdate();
+  }
+
+  /* =================================================================
+     Progress Management
+     ================================================================= */
+
+  /**
+   * Start the progress bar for a new send, at the beginning of the fetch step
+   */
+  startProgress(message) {
+    this.progressPercent = 0;
+    this.updateStepProgress('fetch', message, 0);
+  }
+
+  /**
+   * Move the progress bar to a point within a step's band of PROGRESS_STEPS
+   * @param {string} step - 'fetch' or 'send'
+   * @param {number} fraction - How far through the step, from 0 to 1
+   * @param {boolean} log - Whether to log the update; transfers update too often for that
+   */
+  updateStepProgress(step, message, fraction, log = true) {
+    const [from, to] = PROGRESS_STEPS[step];
+    this.updateProgress(message, from + Math.round(fraction * (to - from)), log);
+  }
+
+  /**
+   * Update progress bar and message
+   * The bar never moves back within a send, so a late step update can't undo transfer progress
+   */
+  updateProgress(message, percentage, log = true) {
+    percentage = Math.max(percentage, this.progressPercent);
+    this.progressPercent = percentage;
+    
+    const progressContainer = document.getElementById('progress-container');
+    const progressFill = document.getElementById('progress-fill');
+    const progressText = document.getElementById('progress-text');
+    
+    if (progressContainer) {
+      progressContainer.hidden = false;
+    }
+    
+    if (progressFill) {
+      progressFill.style.width = `${percentage}%`;
+      progressFill.setAttribute('aria-valuenow', percentage);
+    }
+    
+    if (progressText) {
+      progressText.textContent = message;
+    }
+    
+    if (log) {
+      console.log(`Progress: ${percentage}% - ${message}`);
+    }
+  }
+
+  /**
+   * Show download and upload progress for the send in progress
+   * Downloads fill the fetch step's band and uploads the send step's; batch transfers are shown in the batch list instead
+   */
+  handleTransferProgress(event) {
+    if (!this.isBusy || event.state === 'failed') return;
+    
+    const step = event.phase === 'download' ? 'fetch' : 'send';
+    this.updateStepProgress(step, this.describeTransfer(event), (event.percent || 0) / 100, false);
+  }
+
+  /**
+   * Describe a progress event, e.g. 'Uploading "Title"... 3.1 MB of 8 MB (39%) · about 12s left'
+   */
+  describeTransfer(event) {
+    const verb = event.phase === 'download' ? 'Downloading' : 'Uploading';
+    const loaded = window.utilsManager.formatFileSize(event.loaded);
+    
+    if (event.total === null) {
+      return `${verb} "${event.label}"... ${loaded}`;
+    }
+    
+    const total = window.utilsManager.formatFileSize(event.total);
+    const eta = event.etaSeconds !== null && event.state === 'progress'
+      ? ` · about ${window.utilsManager.formatDuration(event.etaSeconds)} left`
+      : '';
+    
+    return `${verb} "${event.label}"... ${loaded} of ${total} (${event.percent}%)${eta}`;
+  }
+
+  /**
+   * Hide progress bar
+   */
+  hideProgress() {
+    this.progressPercent = 0;
+    
+    const progressContainer = document.getElementById('progress-container');
+    if (progressContainer) {
+      progressContainer.hidden = true;
+    }
+  }
+
+  /* =================================================================
+     Status Management
+     ================================================================= */
+
+  /**
+   * Show status message with enhanced formatting
+   */
+  showStatus(message, type = 'info') {
+    const statusMessage = document.getElementById('status-message');
+    if (statusMessage) {
+      // Handle multi-line messages for better formatting
+      const lines = message.split('\n');
+      if (lines.length > 1) {
+        statusMessage.innerHTML = lines.map(line => 
+          line.trim() ? `<div>${this.escapeHtml(line)}</div>` : '<br>'
+        ).join('');
+      } else {
+        statusMessage.textContent = message;
+      }
+      
+      statusMessage.className = `status-message status-${type}`;
+      
+      if (this.statusSection) {
+        this.statusSection.hidden = false;
+      }
+    }
+    
+    console.log(`Status (${type}):`, message);
+  }
+  
   /**
    * Escape HTML to prevent XSS
    */
@@ -578,7 +2731,11 @@ class App {
       const stored = localStorage.getItem('ao3_kindle_preferences');
       const defaults = {
         kindleEmail: '',
-        preferredFormat: 'mobi',
+        deviceChoice: '',
+        preferredFormat: 'epub',
+        coverTemplate: 'classic',
+        coverScheme: 'archive',
+        autoSendShared: false,
         rememberEmail: true
       };
       
@@ -587,7 +2744,11 @@ class App {
       console.warn('Failed to load preferences:', error);
       return {
         kindleEmail: '',
-        preferredFormat: 'mobi',
+        deviceChoice: '',
+        preferredFormat: 'epub',
+        coverTemplate: 'classic',
+        coverScheme: 'archive',
+        autoSendShared: false,
         rememberEmail: true
       };
     }
@@ -609,7 +2770,11 @@ class App {
    */
   loadFormPreferences() {
     const kindleEmailInput = document.getElementById('kindle-email');
+    const deviceSelect = document.getElementById('device-select');
     const formatSelect = document.getElementById('format-select');
+    const coverTemplateSelect = document.getElementById('cover-template');
+    const coverSchemeSelect = document.getElementById('cover-scheme');
+    const shareAutoSend = document.getElementById('share-auto-send');
     
     if (kindleEmailInput && this.preferences.rememberEmail && this.preferences.kindleEmail) {
       kindleEmailInput.value = this.preferences.kindleEmail;
@@ -618,6 +2783,27 @@ class App {
     if (formatSelect && this.preferences.preferredFormat) {
       formatSelect.value = this.preferences.preferredFormat;
     }
+    
+    // Only restore a device that is still in the device book
+    if (deviceSelect && Array.from(deviceSelect.options).some(option => option.value === this.preferences.deviceChoice)) {
+      deviceSelect.value = this.preferences.deviceChoice;
+      this.updateDeviceFields();
+    }
+    
+    if (coverTemplateSelect && this.preferences.coverTemplate) {
+      coverTemplateSelect.value = this.preferences.coverTemplate;
+    }
+    
+    if (coverSchemeSelect && this.preferences.coverScheme) {
+      coverSchemeSelect.value = this.preferences.coverScheme;
+    }
+    
+    if (shareAutoSend) {
+      shareAutoSend.checked = !!this.preferences.autoSendShared;
+    }
+    
+    // A saved MOBI preference switches to EPUB for Kindle email
+    this.updateFormatOptions();
   }
 
   /**
@@ -625,16 +2811,28 @@ class App {
    */
   saveFormPreferences() {
     const kindleEmailInput = document.getElementById('kindle-email');
+    const deviceSelect = document.getElementById('device-select');
     const formatSelect = document.getElementById('format-select');
+    const coverTemplateSelect = document.getElementById('cover-template');
+    const coverSchemeSelect = document.getElementById('cover-scheme');
     
     if (kindleEmailInput && this.preferences.rememberEmail) {
       this.preferences.kindleEmail = kindleEmailInput.value.trim();
     }
     
+    if (deviceSelect) {
+      this.preferences.deviceChoice = deviceSelect.value;
+    }
+    
     if (formatSelect) {
       this.preferences.preferredFormat = formatSelect.value;
     }
     
+    if (coverTemplateSelect && coverSchemeSelect) {
+      this.preferences.coverTemplate = coverTemplateSelect.value;
+      this.preferences.coverScheme = coverSchemeSelect.value;
+    }
+    
     this.savePreferences();
   }
 }
@@ -18,6 +18,9 @@ class AuthManager {
     this.gapi = null;
     this.google = null;
     
+    // Token source used instead of Google's page flow (the browser extension's chrome.identity)
+    this.tokenProvider = null;
+    
     // Configuration
     this.SCOPES = 'https://www.googleapis.com/auth/gmail.send';
     this.DISCOVERY_DOC = 'https://www.googleapis.com/discovery/v1/apis/gmail/v1/rest';
@@ -31,6 +34,14 @@ class AuthManager {
    * Initialize Google Sign-In and Gmail API
    */
   async initGoogleAuth() {
+    // Offline, Google's scripts can't load; use the stored session so sends can still be queued
+    if (navigator.onLine === false) {
+      console.log('Offline: restoring the stored session until Google can be reached');
+      window.addEventListener('online', () => this.initAfterOffline(), { once: true });
+      await this.checkExistingAuth();
+      return;
+    }
+    
     try {
       console.log('Initializing Google Authentication...');
       
@@ -56,6 +67,61 @@ class AuthManager {
     }
   }
 
+  /**
+   * Finish initializing once back online
+   * The page's Google script tags failed while offline, so they are added again
+   */
+  async initAfterOffline() {
+    const scripts = [
+      { src: 'https://accounts.google.com/gsi/client', isLoaded: () => typeof google !== 'undefined' },
+      { src: 'https://apis.google.com/js/api.js', isLoaded: () => typeof gapi !== 'undefined' }
+    ];
+    
+    scripts.filter(script => !script.isLoaded()).forEach(script => {
+      const element = document.createElement('script');
+      element.src = script.src;
+      element.async = true;
+      document.head.appendChild(element);
+    });
+    
+    try {
+      await this.initGoogleAuth();
+    } catch (error) {
+      console.error('Failed to initialize authentication after reconnecting:', error);
+    }
+  }
+
+  /**
+   * Get access tokens from a provider instead of Google's sign-in page flow
+   * Used where that flow can't run, such as the browser extension's content script
+   * @param {Function} provider - async ({ interactive }) => { access_token, expires_in }
+   */
+  useTokenProvider(provider) {
+    this.tokenProvider = provider;
+  }
+
+  /**
+   * Sign in with the token provider
+   * @param {boolean} interactive - Whether the provider may ask the user to sign in or consent
+   */
+  async signInWithTokenProvider(interactive = true) {
+    if (!this.tokenProvider) {
+      throw new Error('No token provider set');
+    }
+    
+    const tokenResponse = await this.tokenProvider({ interactive });
+    if (!tokenResponse || !tokenResponse.access_token) {
+      throw new Error('Failed to obtain access token');
+    }
+    
+    this.accessToken = tokenResponse.access_token;
+    this.tokenExpirationTime = Date.now() + (tokenResponse.expires_in * 1000);
+    this.isSignedIn = true;
+    this.isInitialized = true;
+    
+    this.notifyAuthStateChange(true, this.currentUser);
+  }
+
   /**
    * Wait for CONFIG and Google APIs to load
    */
@@ -211,6 +277,10 @@ class AuthManager {
    * Request access token using OAuth2 redirect flow
    */
   async requestAccessToken() {
+    if (this.tokenProvider) {
+      return this.tokenProvider({ interactive: true });
+    }
+    
     return new Promise((resolve, reject) => {
       console.log('Starting OAuth2 redirect flow...');
       
@@ -579,6 +649,9 @@ class AuthManager {
    * Store auth data in session storage
    */
   storeAuthData() {
+    // Provider tokens are cached by the provider; on AO3 this storage belongs to the page
+    if (this.tokenProvider) return;
+    
     if (this.isSignedIn && this.accessToken) {
       const authData = {
         accessToken: this.accessToken,
@@ -697,6 +770,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   try {
     // Wait a bit for Google scripts to fully load
     setTimeout(async () => {
+      // The browser extension signs in through its token provider instead
+      if (window.authManager.tokenProvider) return;
+      
       await window.authManager.initGoogleAuth();
     }, 500);
   } catch (error) {
@@ -0,0 +1,596 @@
+/* =================================================================
+   AO3 to Kindle - Batch Sending
+   Send a list of AO3 works one after another, keeping the queue in
+   IndexedDB so it survives reloads and waits out lost connections
+   ================================================================= */
+
+const BATCH_STATUS = {
+  QUEUED: 'queued',
+  FETCHING: 'fetching',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  // Stuck in a way retrying on its own won't fix
+  ATTENTION: 'attention'
+};
+
+// Item fields kept in IndexedDB; progress is only meaningful while the page is open
+const BATCH_STORED_FIELDS = [
+  'id', 'url', 'chapterRange', 'destinations', 'format', 'buildEpub', 'cover',
+  'status', 'title', 'authorString', 'error', 'attempts', 'addedAt'
+];
+
+class BatchManager {
+  constructor() {
+    this.items = [];
+    this.isRunning = false;
+    this.nextItemId = 1;
+
+    // Persistent queue
+    this.dbName = 'ao3_kindle_queue';
+    this.dbVersion = 1;
+    this.storeName = 'items';
+    this.dbPromise = null;
+
+    // Connection drops an item may ride out before it needs attention
+    this.maxAttempts = 3;
+
+    // Nothing is fetched or sent while the browser is offline
+    this.isPaused = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    // Aborts the item being processed
+    this.activeItemId = null;
+    this.abortController = null;
+
+    // Event listeners for item changes
+    this.changeListeners = [];
+
+    // Show download and upload progress on the item being processed
+    if (window.progressManager) {
+      window.progressManager.onProgress(this.handleTransferProgress.bind(this));
+    }
+
+    if (typeof window.addEventListener === 'function') {
+      window.addEventListener('offline', this.handleOffline.bind(this));
+      window.addEventListener('online', this.handleOnline.bind(this));
+    }
+
+    // Items left from the last visit; new items wait for them so their ids don't collide
+    this.ready = this.restore();
+  }
+
+  /* =================================================================
+     Storage
+     ================================================================= */
+
+  /**
+   * Open the queue database, creating the items store on first use
+   */
+  openDatabase() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Keeping the batch queue needs IndexedDB, which this browser does not support.'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the items store and resolve with its result
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+   */
+  async runRequest(mode, makeRequest) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Save an item's current state
+   */
+  async saveItem(item) {
+    const record = {};
+    BATCH_STORED_FIELDS.forEach(field => {
+      record[field] = item[field] === undefined ? null : item[field];
+    });
+
+    try {
+      await this.runRequest('readwrite', store => store.put(record));
+    } catch (error) {
+      // The batch still runs for this visit; it just won't survive a reload
+      console.warn('Failed to save batch queue:', error);
+    }
+  }
+
+  /**
+   * Delete items from storage
+   */
+  async deleteItems(items) {
+    if (items.length === 0) return;
+
+    try {
+      await this.runRequest('readwrite', store => {
+        items.forEach(item => store.delete(item.id));
+        return null;
+      });
+    } catch (error) {
+      console.warn('Failed to save batch queue:', error);
+    }
+  }
+
+  /**
+   * Load the items saved on the last visit
+   * Items cut off mid-fetch go back in the queue; items cut off mid-send may
+   * already have arrived, so they wait for the user instead of going twice
+   */
+  async restore() {
+    let records;
+    try {
+      records = await this.runRequest('readonly', store => store.getAll());
+    } catch (error) {
+      console.warn('Failed to load batch queue:', error);
+      return;
+    }
+
+    const restored = records
+      .sort((a, b) => a.id - b.id)
+      .map(record => {
+        const item = { ...record, attempts: record.attempts || 0, progress: null };
+
+        if (item.status === BATCH_STATUS.FETCHING) {
+          item.status = BATCH_STATUS.QUEUED;
+        } else if (item.status === BATCH_STATUS.SENDING) {
+          item.status = BATCH_STATUS.ATTENTION;
+          item.error = 'The page closed while this was being sent, so it may already be on your device. ' +
+            'Check before you retry it.';
+        }
+
+        return item;
+      });
+
+    if (restored.length === 0) return;
+
+    this.items = [...restored, ...this.items];
+    this.nextItemId = Math.max(this.nextItemId, ...restored.map(item => item.id + 1));
+    restored.forEach(item => this.saveItem(item));
+    this.notifyChange();
+
+    console.log(`Restored ${restored.length} batch item${restored.length > 1 ? 's' : ''}`);
+  }
+
+  /* =================================================================
+     Item Management
+     ================================================================= */
+
+  /**
+   * Add works to the batch
+   * @param {Array<string|Object>} entries - Clean AO3 work URLs, or
+   *   { url, chapterRange: { from, to } } to send only some chapters
+   * @param {string|Object|Object[]} destinations - A Kindle email, or one or more
+   *   { type, name, email } destinations from DeviceManager.toDestination
+   * @param {string} format - File format to send
+   * @param {Object} options - { buildEpub: build EPUBs in the browser instead of downloading,
+   *   cover: { template, scheme } for CoverGenerator.applyCover }
+   * @returns {Promise<Object[]>} - The newly created items, once items from the last visit are loaded
+   */
+  async addItems(entries, destinations, format, options = {}) {
+    await this.ready;
+
+    const { buildEpub = false, cover = null } = options;
+    const targets = [].concat(destinations).map(destination =>
+      typeof destination === 'string' ? { type: 'kindle', name: null, email: destination } : destination
+    );
+    const newItems = entries.map(entry => {
+      const { url, chapterRange = null } = typeof entry === 'string' ? { url: entry } : entry;
+
+      return {
+        id: this.nextItemId++,
+        url,
+        chapterRange,
+        destinations: targets,
+        // Chapter updates are always built as EPUB
+        format: chapterRange || buildEpub ? 'epub' : window.formatManager.resolveFormat(format, targets).format,
+        buildEpub,
+        cover,
+        status: BATCH_STATUS.QUEUED,
+        title: null,
+        authorString: null,
+        error: null,
+        attempts: 0,
+        addedAt: Date.now(),
+        progress: null
+      };
+    });
+
+    this.items.push(...newItems);
+    newItems.forEach(item => this.saveItem(item));
+    this.notifyChange();
+
+    return newItems;
+  }
+
+  /**
+   * Remove finished items (sent or failed) from the list
+   * Items needing attention stay until the user retries or removes them
+   */
+  clearFinished() {
+    this.removeItems(this.items.filter(item =>
+      item.status === BATCH_STATUS.SENT || item.status === BATCH_STATUS.FAILED
+    ));
+  }
+
+  /**
+   * Cancel an item: a queued one (or one needing attention) is dropped, and
+   * the one in progress is aborted and dropped once its current step stops
+   */
+  cancelItem(id) {
+    const item = this.getItem(id);
+    if (!item) return;
+
+    if (id === this.activeItemId && this.abortController) {
+      this.abortController.abort();
+      return;
+    }
+
+    if (item.status === BATCH_STATUS.QUEUED || item.status === BATCH_STATUS.ATTENTION) {
+      this.removeItems([item]);
+    }
+  }
+
+  /**
+   * Remove items from the list and from storage
+   */
+  removeItems(items) {
+    if (items.length === 0) return;
+
+    this.items = this.items.filter(item => !items.includes(item));
+    this.deleteItems(items);
+    this.notifyChange();
+  }
+
+  /**
+   * Get item by ID
+   */
+  getItem(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Update an item's status and notify listeners
+   * Progress-only updates aren't saved
+   */
+  updateItem(item, changes) {
+    Object.assign(item, changes);
+
+    if (Object.keys(changes).some(field => field !== 'progress')) {
+      this.saveItem(item);
+    }
+
+    this.notifyChange();
+  }
+
+  /**
+   * Get counts of items per status
+   */
+  getSummary() {
+    const summary = { total: this.items.length };
+
+    Object.values(BATCH_STATUS).forEach(status => {
+      summary[status] = this.items.filter(item => item.status === status).length;
+    });
+
+    return summary;
+  }
+
+  /* =================================================================
+     Processing
+     ================================================================= */
+
+  /**
+   * Process queued items in order, one at a time
+   * Stops between items while offline; the rest wait in the queue
+   */
+  async start() {
+    await this.ready;
+
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this.notifyChange();
+
+    try {
+      let item;
+      while (!this.isPaused && (item = this.items.find(i => i.status === BATCH_STATUS.QUEUED))) {
+        await this.processItem(item);
+      }
+    } finally {
+      this.isRunning = false;
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Carry on with items restored from the last visit
+   * Called once the user is signed in, since sending needs Gmail
+   */
+  async resume() {
+    await this.ready;
+
+    if (!this.isPaused && this.items.some(item => item.status === BATCH_STATUS.QUEUED)) {
+      this.start();
+    }
+  }
+
+  /**
+   * Re-queue a failed item, or one needing attention, and resume processing
+   */
+  retryItem(id) {
+    const item = this.getItem(id);
+    if (!item || (item.status !== BATCH_STATUS.FAILED && item.status !== BATCH_STATUS.ATTENTION)) {
+      return;
+    }
+
+    this.updateItem(item, { status: BATCH_STATUS.QUEUED, error: null, attempts: 0 });
+    this.start();
+  }
+
+  /**
+   * Pause when the browser goes offline
+   * The item in progress finishes or fails on its own; a failure goes back in the queue
+   */
+  handleOffline() {
+    console.log('Offline: pausing the batch');
+    this.isPaused = true;
+    this.notifyChange();
+  }
+
+  /**
+   * Resume when the connection comes back
+   */
+  handleOnline() {
+    console.log('Back online: resuming the batch');
+    this.isPaused = false;
+    this.notifyChange();
+
+    if (!window.authManager || window.authManager.isAuthenticated()) {
+      this.resume();
+    }
+  }
+
+  /**
+   * Whether a failure was down to the connection dropping
+   */
+  isConnectionLost() {
+    return this.isPaused || (typeof navigator !== 'undefined' && navigator.onLine === false);
+  }
+
+  /**
+   * Keep the latest progress event on the item being fetched or sent
+   * Only whole-percent changes are passed on, so the list isn't redrawn for every chunk
+   */
+  handleTransferProgress(event) {
+    if (!this.isRunning) return;
+
+    const item = this.items.find(i => i.status === BATCH_STATUS.FETCHING || i.status === BATCH_STATUS.SENDING);
+    if (!item) return;
+
+    const progress = event.state === 'progress' ? event : null;
+    const previous = item.progress || null;
+
+    if (progress && previous && progress.percent === previous.percent) {
+      item.progress = progress;
+      return;
+    }
+
+    this.updateItem(item, { progress });
+  }
+
+  /**
+   * Fetch and send a single batch item
+   */
+  async processItem(item) {
+    let workData = null;
+
+    this.activeItemId = item.id;
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    try {
+      this.updateItem(item, { status: BATCH_STATUS.FETCHING, attempts: (item.attempts || 0) + 1 });
+
+      // Both paths route their AO3 requests through AO3Manager.queueRequest
+      const fetchedWork = item.chapterRange
+        ? await window.ao3Manager.fetchChapterUpdate(item.url, item.chapterRange.from, item.chapterRange.to, signal)
+        : await window.ao3Manager.fetchWork(item.url, item.format, { buildEpub: item.buildEpub, signal });
+
+      workData = item.cover
+        ? await window.coverGenerator.applyCover(fetchedWork, item.cover)
+        : fetchedWork;
+
+      this.updateItem(item, {
+        title: workData.metadata.title,
+        authorString: workData.metadata.authorString
+      });
+
+      window.destinationManager.checkFileForAny(workData.file, item.destinations);
+      window.utilsManager.throwIfAborted(signal);
+
+      this.updateItem(item, { status: BATCH_STATUS.SENDING });
+
+      // Records one history entry per device
+      const { sent, failed } = await window.deviceManager.sendToDestinations(workData, item.destinations, { signal });
+
+      // Keep followed works in sync with what was sent
+      if (sent.length > 0 && window.followManager) {
+        window.followManager.markSent(
+          workData.metadata.workId,
+          workData.metadata.chapters,
+          item.chapterRange ? workData.metadata.chapterRange.to : null
+        );
+      }
+
+      if (failed.length > 0) {
+        // A retry only goes to the devices that did not get it
+        item.destinations = failed.map(failure => failure.destination);
+
+        // Devices missed because the connection dropped wait in the queue instead
+        if (this.isConnectionLost()) {
+          throw failed[0].error;
+        }
+
+        const names = window.deviceManager.describeDestinations(item.destinations);
+        const reason = window.app && window.app.getErrorMessage
+          ? window.app.getErrorMessage(failed[0].error)
+          : failed[0].error.message;
+        this.updateItem(item, { status: BATCH_STATUS.FAILED, error: `Not sent to ${names}: ${reason}` });
+        return;
+      }
+
+      this.updateItem(item, { status: BATCH_STATUS.SENT });
+
+    } catch (error) {
+      // Cancelled items leave the batch without a failed history entry
+      if (window.utilsManager.isAbortError(error)) {
+        console.log(`Batch item ${item.id} cancelled`);
+        this.removeItems([item]);
+        return;
+      }
+
+      // Lost the connection: wait for it to come back, unless this keeps happening
+      if (this.isConnectionLost()) {
+        console.warn(`Batch item ${item.id} interrupted by a lost connection:`, error);
+        this.isPaused = true;
+
+        if (item.attempts >= this.maxAttempts) {
+          this.updateItem(item, {
+            status: BATCH_STATUS.ATTENTION,
+            progress: null,
+            error: `The connection dropped ${item.attempts} times while this was being sent. ` +
+              'Check your connection, then retry it.'
+          });
+        } else {
+          this.updateItem(item, { status: BATCH_STATUS.QUEUED, progress: null });
+        }
+        return;
+      }
+
+      console.error(`Batch item ${item.id} failed:`, error);
+
+      const message = window.app && window.app.getErrorMessage
+        ? window.app.getErrorMessage(error)
+        : error.message;
+
+      this.updateItem(item, { status: BATCH_STATUS.FAILED, error: message });
+
+      if (window.historyManager) {
+        item.destinations.forEach(destination => {
+          const entry = workData
+            ? window.historyManager.entryFromWork(workData, destination.email)
+            : {
+              workId: window.ao3Manager.extractWorkId(item.url),
+              url: item.url,
+              title: item.title || item.url,
+              authorString: item.authorString,
+              format: item.format,
+              destination: destination.email,
+              chapterFrom: item.chapterRange ? item.chapterRange.from : null,
+              chapterTo: item.chapterRange ? item.chapterRange.to : null
+            };
+          window.historyManager.record({
+            ...entry,
+            destinationType: destination.type,
+            deviceName: destination.name,
+            outcome: 'failed',
+            error: message
+          });
+        });
+      }
+    } finally {
+      this.activeItemId = null;
+      this.abortController = null;
+    }
+  }
+
+  /* =================================================================
+     Event Listeners
+     ================================================================= */
+
+  /**
+   * Add listener for batch changes
+   */
+  onChange(callback) {
+    this.changeListeners.push(callback);
+  }
+
+  /**
+   * Remove batch change listener
+   */
+  removeChangeListener(callback) {
+    const index = this.changeListeners.indexOf(callback);
+    if (index > -1) {
+      this.changeListeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners of a batch change
+   */
+  notifyChange() {
+    this.changeListeners.forEach(callback => {
+      try {
+        callback(this.items, this.isRunning);
+      } catch (error) {
+        console.error('Error in batch change listener:', error);
+      }
+    });
+  }
+}
+
+/* =================================================================
+   Global Batch Manager Instance
+   ================================================================= */
+
+// Create global batch manager instance
+window.batchManager = new BatchManager();
+window.BATCH_STATUS = BATCH_STATUS;
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BatchManager;
+}
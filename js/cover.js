@@ -0,0 +1,392 @@
+/* =================================================================
+   AO3 to Kindle - Cover Generator
+   Draw cover images from work metadata and add them to EPUBs
+   ================================================================= */
+
+class CoverGenerator {
+  constructor() {
+    // Kindle's recommended cover ratio is 1.6:1
+    this.width = 1200;
+    this.height = 1920;
+    this.mimeType = 'image/jpeg';
+    this.quality = 0.9;
+    this.fontFamily = 'Georgia, "Times New Roman", serif';
+
+    this.templates = {
+      classic: { label: 'Classic', draw: (ctx, work, scheme) => this.drawClassic(ctx, work, scheme) },
+      banner: { label: 'Banner', draw: (ctx, work, scheme) => this.drawBanner(ctx, work, scheme) },
+      minimal: { label: 'Minimal', draw: (ctx, work, scheme) => this.drawMinimal(ctx, work, scheme) }
+    };
+
+    this.schemes = {
+      archive: { label: 'Archive Red', background: '#990000', backgroundEnd: '#5c0000', text: '#ffffff', muted: '#f3d9d9', accent: '#ffffff' },
+      midnight: { label: 'Midnight', background: '#1d2340', backgroundEnd: '#0b0e1c', text: '#f4f1e8', muted: '#b9bdd6', accent: '#e0b251' },
+      forest: { label: 'Forest', background: '#2f5140', backgroundEnd: '#16281f', text: '#f2efe4', muted: '#c3d3c4', accent: '#d9c27a' },
+      rose: { label: 'Rose', background: '#f4d8dc', backgroundEnd: '#e3aab4', text: '#4a1f2a', muted: '#7d4654', accent: '#8f2d45' },
+      parchment: { label: 'Parchment', background: '#f5eddc', backgroundEnd: '#e3d3b0', text: '#2d2417', muted: '#5e4e35', accent: '#7a2e1f' }
+    };
+
+    // AO3's rating symbols and their colours
+    this.ratingBadges = {
+      'General Audiences': { letter: 'G', color: '#77a170' },
+      'Teen And Up Audiences': { letter: 'T', color: '#e8d405' },
+      'Mature': { letter: 'M', color: '#e49b0f' },
+      'Explicit': { letter: 'E', color: '#9c0000' },
+      'Not Rated': { letter: '?', color: '#ffffff' }
+    };
+  }
+
+  /* =================================================================
+     Cover Generation
+     ================================================================= */
+
+  /**
+   * Draw a cover for a work
+   * @param {Object} metadata - Work metadata ({ title, authorString, fandoms, rating, warnings })
+   * @param {Object} options - { template, scheme }
+   * @returns {Promise<Object>} - { data: Uint8Array, mimeType }
+   */
+  async generateCover(metadata, options = {}) {
+    const template = this.templates[options.template] || this.templates.classic;
+    const scheme = this.schemes[options.scheme] || this.schemes.archive;
+    const canvas = this.createCanvas(this.width, this.height);
+    const ctx = canvas.getContext('2d');
+
+    const work = {
+      title: metadata.workTitle || metadata.title || 'Untitled',
+      authorString: metadata.authorString || 'Anonymous',
+      fandoms: metadata.fandoms || [],
+      rating: metadata.rating || null,
+      warnings: metadata.warnings || []
+    };
+
+    template.draw(ctx, work, scheme);
+
+    return {
+      data: await this.canvasToBytes(canvas),
+      mimeType: this.mimeType
+    };
+  }
+
+  /**
+   * Add a generated cover to an EPUB before sending
+   * Other formats can't be edited here, so they are returned unchanged
+   * @param {Object} workData - { metadata, file } from AO3Manager
+   * @param {Object} options - { template, scheme }; template 'none' skips the cover
+   * @returns {Promise<Object>} - workData with the file replaced
+   */
+  async applyCover(workData, options = {}) {
+    if (!options.template || options.template === 'none' || workData.file.format !== 'epub') {
+      return workData;
+    }
+
+    try {
+      const cover = await this.generateCover(workData.metadata, options);
+      const epubBytes = window.ao3Manager.base64ToBytes(workData.file.data);
+      const coveredBytes = await window.epubBuilder.addCover(epubBytes, cover, workData.metadata.title);
+
+      return {
+        metadata: workData.metadata,
+        file: {
+          ...workData.file,
+          data: window.ao3Manager.arrayBufferToBase64(coveredBytes),
+          size: coveredBytes.length
+        }
+      };
+    } catch (error) {
+      // A missing cover shouldn't stop the book from being sent
+      console.warn('Failed to add cover, sending without one:', error);
+      return workData;
+    }
+  }
+
+  /* =================================================================
+     Templates
+     ================================================================= */
+
+  /**
+   * Gradient background, fandom above a centred title, badges at the bottom
+   */
+  drawClassic(ctx, work, scheme) {
+    const { width, height } = this;
+    const margin = 110;
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, scheme.background);
+    gradient.addColorStop(1, scheme.backgroundEnd);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    // Inset frame
+    ctx.strokeStyle = scheme.accent;
+    ctx.lineWidth = 6;
+    ctx.strokeRect(60, 60, width - 120, height - 120);
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+
+    let y = 200;
+    if (work.fandoms.length > 0) {
+      y = this.drawLines(ctx, this.fitText(ctx, this.formatFandoms(work.fandoms), width - margin * 2, 2, 54, 36, 'italic '),
+        width / 2, y, scheme.muted) + 80;
+    }
+
+    this.drawRule(ctx, width / 2 - 120, width / 2 + 120, y, scheme.accent);
+    y += 100;
+
+    y = this.drawLines(ctx, this.fitText(ctx, work.title, width - margin * 2, 5, 150, 72, 'bold '),
+      width / 2, y, scheme.text) + 70;
+
+    this.drawLines(ctx, this.fitText(ctx, `by ${work.authorString}`, width - margin * 2, 2, 64, 40, ''),
+      width / 2, y, scheme.muted);
+
+    this.drawBadges(ctx, work, width / 2, height - 330, scheme);
+  }
+
+  /**
+   * Solid colour block with the title, a plain lower half with the details
+   */
+  drawBanner(ctx, work, scheme) {
+    const { width, height } = this;
+    const margin = 100;
+    const bannerHeight = Math.round(height * 0.58);
+
+    ctx.fillStyle = scheme.backgroundEnd;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = scheme.background;
+    ctx.fillRect(0, 0, width, bannerHeight);
+    ctx.fillStyle = scheme.accent;
+    ctx.fillRect(0, bannerHeight, width, 16);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+
+    const titleLines = this.fitText(ctx, work.title, width - margin * 2, 6, 140, 70, 'bold ');
+    const titleHeight = titleLines.length * titleLines.lineHeight;
+    this.drawLines(ctx, titleLines, margin, bannerHeight - titleHeight - 90, scheme.text);
+
+    let y = bannerHeight + 110;
+    y = this.drawLines(ctx, this.fitText(ctx, work.authorString, width - margin * 2, 2, 72, 44, ''),
+      margin, y, scheme.text) + 50;
+
+    if (work.fandoms.length > 0) {
+      this.drawLines(ctx, this.fitText(ctx, this.formatFandoms(work.fandoms), width - margin * 2, 3, 50, 34, 'italic '),
+        margin, y, scheme.muted);
+    }
+
+    this.drawBadges(ctx, work, margin, height - 300, scheme, 'left');
+  }
+
+  /**
+   * Flat background with plenty of space and small type
+   */
+  drawMinimal(ctx, work, scheme) {
+    const { width, height } = this;
+    const margin = 140;
+
+    ctx.fillStyle = scheme.background;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+
+    const titleLines = this.fitText(ctx, work.title, width - margin * 2, 6, 120, 64, '');
+    let y = Math.round(height * 0.3);
+    y = this.drawLines(ctx, titleLines, margin, y, scheme.text) + 40;
+
+    this.drawRule(ctx, margin, margin + 160, y, scheme.accent);
+    y += 60;
+
+    y = this.drawLines(ctx, this.fitText(ctx, work.authorString, width - margin * 2, 2, 56, 38, ''),
+      margin, y, scheme.muted) + 30;
+
+    if (work.fandoms.length > 0) {
+      this.drawLines(ctx, this.fitText(ctx, this.formatFandoms(work.fandoms), width - margin * 2, 3, 42, 30, 'italic '),
+        margin, y, scheme.muted);
+    }
+
+    this.drawBadges(ctx, work, margin, height - 300, scheme, 'left');
+  }
+
+  /* =================================================================
+     Drawing Helpers
+     ================================================================= */
+
+  /**
+   * Draw the rating square and, if any apply, the archive warnings below it
+   * @param {number} x - Centre of the badges, or their left edge when align is 'left'
+   * @param {number} top - Top of the rating square
+   */
+  drawBadges(ctx, work, x, top, scheme, align = 'center') {
+    const size = 120;
+    const badge = this.ratingBadges[work.rating];
+    const left = align === 'center' ? x - size / 2 : x;
+    let y = top;
+
+    if (badge) {
+      ctx.fillStyle = badge.color;
+      ctx.fillRect(left, top, size, size);
+      ctx.strokeStyle = scheme.text;
+      ctx.lineWidth = 4;
+      ctx.strokeRect(left, top, size, size);
+
+      ctx.fillStyle = badge.letter === 'T' || badge.letter === '?' ? '#000000' : '#ffffff';
+      ctx.font = `bold 84px ${this.fontFamily}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(badge.letter, left + size / 2, top + size / 2 + 4);
+      y += size + 30;
+    }
+
+    const warnings = work.warnings.filter(warning => warning !== 'No Archive Warnings Apply');
+    if (warnings.length > 0) {
+      const text = warnings.includes('Creator Chose Not To Use Archive Warnings')
+        ? 'Creator chose not to use archive warnings'
+        : `Warnings: ${warnings.join(', ')}`;
+      const maxWidth = align === 'center' ? this.width - 200 : this.width - x - 100;
+
+      ctx.textAlign = align;
+      ctx.textBaseline = 'top';
+      this.drawLines(ctx, this.fitText(ctx, text, maxWidth, 2, 36, 26, ''), x, y, scheme.muted);
+    }
+  }
+
+  /**
+   * Draw a short horizontal rule
+   */
+  drawRule(ctx, fromX, toX, y, color) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(fromX, y);
+    ctx.lineTo(toX, y);
+    ctx.stroke();
+  }
+
+  /**
+   * Draw lines from fitText, returning the y position below the last one
+   */
+  drawLines(ctx, lines, x, y, color) {
+    ctx.fillStyle = color;
+    ctx.font = lines.font;
+
+    lines.forEach((line, index) => {
+      ctx.fillText(line, x, y + index * lines.lineHeight);
+    });
+
+    return y + lines.length * lines.lineHeight;
+  }
+
+  /**
+   * Find the largest font size that fits text in maxLines, shrinking as needed
+   * The last line is truncated with an ellipsis if even minSize doesn't fit
+   * @returns {string[]} - Lines, with font and lineHeight properties attached
+   */
+  fitText(ctx, text, maxWidth, maxLines, maxSize, minSize, style) {
+    let size = maxSize;
+    let lines;
+
+    do {
+      ctx.font = `${style}${size}px ${this.fontFamily}`;
+      lines = this.wrapText(ctx, text, maxWidth);
+      if (lines.length <= maxLines) break;
+      size -= 6;
+    } while (size >= minSize);
+
+    if (lines.length > maxLines) {
+      lines = lines.slice(0, maxLines);
+      let last = lines[maxLines - 1];
+      while (last.length > 1 && ctx.measureText(`${last}…`).width > maxWidth) {
+        last = last.slice(0, -1);
+      }
+      lines[maxLines - 1] = `${last.trim()}…`;
+    }
+
+    lines.font = ctx.font;
+    lines.lineHeight = Math.round(Math.max(size, minSize) * 1.2);
+    return lines;
+  }
+
+  /**
+   * Split text into lines no wider than maxWidth using the current font
+   */
+  wrapText(ctx, text, maxWidth) {
+    const words = String(text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let current = '';
+
+    words.forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+
+    if (current) {
+      lines.push(current);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Shorten long fandom lists for the cover
+   */
+  formatFandoms(fandoms) {
+    if (fandoms.length <= 2) {
+      return fandoms.join(' & ');
+    }
+
+    return `${fandoms.slice(0, 2).join(', ')} & ${fandoms.length - 2} more`;
+  }
+
+  /* =================================================================
+     Canvas Output
+     ================================================================= */
+
+  /**
+   * Create a canvas, off-screen where supported
+   */
+  createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * Encode the canvas as image bytes
+   */
+  async canvasToBytes(canvas) {
+    const blob = canvas.convertToBlob
+      ? await canvas.convertToBlob({ type: this.mimeType, quality: this.quality })
+      : await new Promise((resolve, reject) => {
+        canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to draw cover image')),
+          this.mimeType, this.quality);
+      });
+
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+}
+
+/* =================================================================
+   Global Cover Generator Instance
+   ================================================================= */
+
+// Create global cover generator instance
+window.coverGenerator = new CoverGenerator();
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CoverGenerator;
+}
@@ -0,0 +1,238 @@
+/* =================================================================
+   AO3 to Kindle - Destinations
+   Where a finished book goes: Kindle, PocketBook, any other
+   email-to-device address, or a plain download
+   ================================================================= */
+
+class DestinationManager {
+  constructor() {
+    this.targets = new Map();
+    this.registerDefaults();
+  }
+
+  /* =================================================================
+     Targets
+     ================================================================= */
+
+  /**
+   * Register a destination target
+   * @param {Object} target - {
+   *   type: unique key stored with devices and history entries,
+   *   label: name shown to the user,
+   *   delivery: 'email' or 'download',
+   *   formats: file formats the target accepts,
+   *   maxSizeBytes: largest file the target accepts,
+   *   domains: email domains that identify the target (email targets only),
+   *   warning: shown when an address is sent to this target
+   * }
+   */
+  register(target) {
+    this.targets.set(target.type, { domains: [], warning: null, ...target });
+  }
+
+  /**
+   * Get a target by type, falling back to Kindle for entries saved before targets existed
+   */
+  getTarget(type) {
+    return this.targets.get(type) || this.targets.get('kindle');
+  }
+
+  /**
+   * Get every registered target
+   */
+  getTargets() {
+    return Array.from(this.targets.values());
+  }
+
+  /**
+   * Register the built-in targets
+   */
+  registerDefaults() {
+    const hasConfig = typeof CONFIG !== 'undefined';
+    // Gmail's attachment limit caps every email target
+    const emailLimit = (hasConfig && CONFIG.MAX_FILE_SIZE_BYTES) || 25 * 1024 * 1024;
+
+    this.register({
+      type: 'kindle',
+      label: 'Kindle',
+      delivery: 'email',
+      // Send to Kindle by email stopped accepting MOBI and AZW3
+      formats: ['epub', 'pdf'],
+      maxSizeBytes: emailLimit,
+      domains: (hasConfig && CONFIG.KINDLE_EMAIL_DOMAINS) || ['@kindle.com', '@free.kindle.com']
+    });
+
+    this.register({
+      type: 'pocketbook',
+      label: 'PocketBook',
+      delivery: 'email',
+      formats: ['epub', 'pdf', 'mobi', 'azw3'],
+      maxSizeBytes: emailLimit,
+      domains: ['@pbsync.com']
+    });
+
+    this.register({
+      type: 'email',
+      label: 'Other e-reader',
+      delivery: 'email',
+      formats: ['epub', 'pdf', 'mobi', 'azw3'],
+      maxSizeBytes: emailLimit,
+      warning: 'This isn\'t a Kindle or PocketBook address. Check that the device accepts books by email ' +
+        'and that your Gmail address is on its list of approved senders.'
+    });
+
+    this.register({
+      type: 'download',
+      label: 'Download',
+      delivery: 'download',
+      formats: ['epub', 'pdf', 'mobi', 'azw3'],
+      maxSizeBytes: 100 * 1024 * 1024
+    });
+  }
+
+  /* =================================================================
+     Addresses
+     ================================================================= */
+
+  /**
+   * Work out which email target an address belongs to
+   * Addresses that match no known domain go to the generic email target
+   */
+  detectType(email) {
+    const address = String(email || '').trim().toLowerCase();
+    const target = this.getTargets().find(candidate =>
+      candidate.delivery === 'email' && candidate.domains.some(domain => address.endsWith(domain))
+    );
+
+    return target ? target.type : 'email';
+  }
+
+  /**
+   * Validate an email-to-device address
+   * @returns {Object} - { valid, email, type, warning } or { valid: false, error }
+   */
+  validateAddress(email) {
+    const validation = window.utilsManager.validateEmail(email);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const type = this.detectType(validation.email);
+    return { valid: true, email: validation.email, type, warning: this.getTarget(type).warning };
+  }
+
+  /**
+   * The "just download the file" destination
+   */
+  getDownloadDestination() {
+    return { type: 'download', name: 'your downloads', email: null };
+  }
+
+  /* =================================================================
+     Files
+     ================================================================= */
+
+  /**
+   * Check a file against a target's formats and size limit
+   * Throws with a user-facing message if the target can't take it
+   * @param {string} sizeHint - What to suggest when the file is too large
+   */
+  checkFile(target, file, sizeHint = 'Try a different format.') {
+    const format = String(file.format || '').toLowerCase();
+
+    if (!target.formats.includes(format)) {
+      const accepted = target.formats.map(name => name.toUpperCase()).join(', ');
+      throw new Error(`${target.label} doesn't accept ${format.toUpperCase()} files. Try a different format (${accepted}).`);
+    }
+
+    if (file.size > target.maxSizeBytes) {
+      const fileSize = window.utilsManager.formatFileSize(file.size);
+      const limit = window.utilsManager.formatFileSize(target.maxSizeBytes);
+      throw new Error(`File is too large (${fileSize}). ${target.label} takes files up to ${limit}. ${sizeHint}`);
+    }
+  }
+
+  /**
+   * Check a file before sending to several destinations
+   * Throws only if none of them can take it; the rest fail one by one when delivered
+   */
+  checkFileForAny(file, destinations, sizeHint) {
+    let firstError = null;
+
+    for (const destination of destinations) {
+      try {
+        this.checkFile(this.getTarget(destination.type), file, sizeHint);
+        return;
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+
+    if (firstError) {
+      throw firstError;
+    }
+  }
+
+  /* =================================================================
+     Delivery
+     ================================================================= */
+
+  /**
+   * Deliver fetched work data ({ metadata, file }) to one destination
+   * @param {Object} destination - { type, name, email }
+   * @param {Object} options - Passed to GmailManager.sendToKindle (e.g. { subject, signal })
+   * @returns {Promise<Object>} - { messageId } (null for downloads)
+   */
+  async deliver(workData, destination, options = {}) {
+    const target = this.getTarget(destination.type);
+    const { metadata, file } = workData;
+
+    this.checkFile(target, file);
+    window.utilsManager.throwIfAborted(options.signal);
+
+    if (target.delivery === 'download') {
+      this.downloadFile(file);
+      return { messageId: null };
+    }
+
+    return window.gmailManager.sendToKindle(
+      destination.email,
+      metadata.title,
+      metadata.authorString,
+      file.data,
+      file.fileName,
+      file.format,
+      options
+    );
+  }
+
+  /**
+   * Save a base64 file to the user's downloads
+   */
+  downloadFile(file) {
+    const bytes = window.ao3Manager.base64ToBytes(file.data);
+    const url = URL.createObjectURL(new Blob([bytes], { type: window.gmailManager.getMimeType(file.format) }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+/* =================================================================
+   Global Destination Manager Instance
+   ================================================================= */
+
+// Create global destination manager instance
+window.destinationManager = new DestinationManager();
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DestinationManager;
+}
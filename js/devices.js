@@ -0,0 +1,270 @@
+/* =================================================================
+   AO3 to Kindle - Device Book
+   Named Kindle devices and sending to several of them at once
+   ================================================================= */
+
+// Device picker values that aren't device IDs
+const DEVICE_CHOICE = {
+  MULTIPLE: '__multiple',
+  EMAIL: '__email',
+  DOWNLOAD: '__download'
+};
+
+class DeviceManager {
+  constructor() {
+    this.storageKey = 'ao3_kindle_devices';
+    this.devices = this.loadDevices();
+
+    // Event listeners for device list changes
+    this.changeListeners = [];
+  }
+
+  /* =================================================================
+     Storage
+     ================================================================= */
+
+  /**
+   * Load devices from localStorage
+   */
+  loadDevices() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const parsed = stored ? JSON.parse(stored) : {};
+      return Array.isArray(parsed.devices) ? parsed.devices : [];
+    } catch (error) {
+      console.warn('Failed to load devices:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save devices to localStorage
+   */
+  saveDevices() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ devices: this.devices }));
+    } catch (error) {
+      console.warn('Failed to save devices:', error);
+    }
+  }
+
+  /* =================================================================
+     Device Book
+     ================================================================= */
+
+  /**
+   * Add a device
+   * @param {Object} device - { name, email, format, isFree }
+   *   The destination type (Kindle, PocketBook, other email) comes from the address;
+   *   isFree sends Kindles to @free.kindle.com (Wi-Fi only, no delivery fee) instead of @kindle.com.
+   *   Leave isFree null to go by the address's own domain
+   * @returns {Object} - The stored device, with its id
+   */
+  addDevice(device) {
+    const stored = this.validateDevice({
+      id: `device-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      ...device
+    });
+
+    this.devices.push(stored);
+    this.saveDevices();
+    this.notifyChange();
+
+    return stored;
+  }
+
+  /**
+   * Update a device's name, email, format or free/paid flag
+   */
+  updateDevice(id, changes) {
+    const index = this.devices.findIndex(device => device.id === id);
+    if (index === -1) return null;
+
+    this.devices[index] = this.validateDevice({ ...this.devices[index], ...changes, id });
+    this.saveDevices();
+    this.notifyChange();
+
+    return this.devices[index];
+  }
+
+  /**
+   * Remove a device
+   */
+  removeDevice(id) {
+    this.devices = this.devices.filter(device => device.id !== id);
+    this.saveDevices();
+    this.notifyChange();
+  }
+
+  /**
+   * Get a device by ID
+   */
+  getDevice(id) {
+    return this.devices.find(device => device.id === id) || null;
+  }
+
+  /**
+   * Check a device's fields and return a clean copy
+   * A Kindle's stored address is rewritten to the domain of its free/paid flag, so the two
+   * always agree; without a flag, the domain that was entered decides.
+   * Throws with a user-facing message if something is missing or invalid
+   */
+  validateDevice(device) {
+    const name = String(device.name || '').trim();
+    const email = String(device.email || '').trim().toLowerCase();
+
+    if (!name) {
+      throw new Error('Please enter a valid device name.');
+    }
+
+    const addressValidation = window.destinationManager.validateAddress(email);
+    if (!addressValidation.valid) {
+      throw new Error(addressValidation.error);
+    }
+
+    if (this.devices.some(other => other.id !== device.id && other.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`Please enter a valid device name. "${name}" is already in your device book.`);
+    }
+
+    const isKindle = addressValidation.type === 'kindle';
+    const isFree = isKindle && (device.isFree == null ? /@free\.kindle\.com$/.test(email) : !!device.isFree);
+
+    return {
+      id: device.id,
+      name,
+      email: isKindle ? this.getDeliveryEmail({ email, isFree }) : email,
+      type: addressValidation.type,
+      // A Kindle saved with MOBI gets EPUB, since Amazon no longer takes MOBI by email
+      format: window.formatManager.resolveFormat(device.format, [{ type: addressValidation.type }]).format,
+      isFree
+    };
+  }
+
+  /**
+   * Address to send to, with the domain matching the free/paid flag
+   * Non-Kindle addresses are left alone
+   */
+  getDeliveryEmail(device) {
+    const match = device.email.match(/^(.+)@(free\.)?kindle\.com$/i);
+    if (!match) {
+      return device.email;
+    }
+
+    return `${match[1]}@${device.isFree ? 'free.' : ''}kindle.com`;
+  }
+
+  /**
+   * Turn a device into a send destination
+   * Devices saved before destination types existed are Kindles
+   * @returns {Object} - { type, name, email }
+   */
+  toDestination(device) {
+    return { type: device.type || 'kindle', name: device.name, email: this.getDeliveryEmail(device) };
+  }
+
+  /* =================================================================
+     Sending
+     ================================================================= */
+
+  /**
+   * Send a fetched work to each destination, recording one history entry per device
+   * @param {Object} workData - { metadata, file }
+   * @param {Object[]} destinations - [{ type, name, email }]; name is null for a one-off address
+   * @param {Object} options - Passed to DestinationManager.deliver (e.g. { subject, signal })
+   * @returns {Promise<Object>} - { sent: destinations, failed: [{ destination, error }] }
+   *   Cancelling stops at the current destination and rethrows; earlier sends stay recorded
+   */
+  async sendToDestinations(workData, destinations, options = {}) {
+    const sent = [];
+    const failed = [];
+
+    // One at a time keeps within Gmail's sending rate
+    for (const destination of destinations) {
+      const entry = {
+        ...window.historyManager.entryFromWork(workData, destination.email),
+        destinationType: destination.type,
+        deviceName: destination.name
+      };
+
+      try {
+        const result = await window.destinationManager.deliver(workData, destination, options);
+
+        sent.push(destination);
+        window.historyManager.record({ ...entry, messageId: result.messageId, outcome: 'sent' });
+      } catch (error) {
+        if (window.utilsManager.isAbortError(error)) {
+          throw error;
+        }
+
+        console.error(`Failed to send to ${destination.email || destination.name}:`, error);
+        failed.push({ destination, error });
+        window.historyManager.record({ ...entry, outcome: 'failed', error: error.message });
+      }
+    }
+
+    return { sent, failed };
+  }
+
+  /**
+   * Describe destinations for status messages, e.g. "Kitchen Kindle and Sam's Oasis",
+   * naming each one once
+   */
+  describeDestinations(destinations) {
+    const labels = [...new Set(destinations.map(destination => destination.name || destination.email))];
+
+    if (labels.length <= 1) {
+      return labels.join('');
+    }
+
+    return `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+  }
+
+  /* =================================================================
+     Event Listeners
+     ================================================================= */
+
+  /**
+   * Add listener for device list changes
+   */
+  onChange(callback) {
+    this.changeListeners.push(callback);
+  }
+
+  /**
+   * Remove device list change listener
+   */
+  removeChangeListener(callback) {
+    const index = this.changeListeners.indexOf(callback);
+    if (index > -1) {
+      this.changeListeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners of a device list change
+   */
+  notifyChange() {
+    this.changeListeners.forEach(callback => {
+      try {
+        callback(this.devices);
+      } catch (error) {
+        console.error('Error in device change listener:', error);
+      }
+    });
+  }
+}
+
+/* =================================================================
+   Global Device Manager Instance
+   ================================================================= */
+
+// Create global device manager instance
+window.deviceManager = new DeviceManager();
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeviceManager;
+}
@@ -0,0 +1,729 @@
+/* =================================================================
+   AO3 to Kindle - EPUB Builder
+   Build EPUB 3 books in the browser from AO3 work content
+   ================================================================= */
+
+class EpubBuilder {
+  constructor() {
+    this.crcTable = null;
+    this.textEncoder = new TextEncoder();
+  }
+
+  /* =================================================================
+     Book Assembly
+     ================================================================= */
+
+  /**
+   * Build an EPUB from one or more parts
+   * @param {Object} book - { identifier, title, authors, language, description, parts }
+   *   Optional: cover { data, mimeType }, tags [{ label, values }], subjects,
+   *   summaryHtml, notesHtml, endNotesHtml (XHTML fragments)
+   *   Each part is { title, authorString, summary, summaryHtml, endNotesHtml, chapters }
+   *   Each chapter is { title, html, summaryHtml, notesHtml, endNotesHtml }
+   * @returns {Uint8Array} - EPUB file bytes
+   */
+  buildEpub(book) {
+    const language = book.language || 'en';
+    const identifier = book.identifier || `urn:uuid:${this.generateUuid()}`;
+    const parts = book.parts || [];
+    const showPartPages = parts.length > 1;
+
+    // Lay out content documents in reading order
+    const documents = [];
+    const tocEntries = [];
+
+    if (book.cover) {
+      documents.push({
+        id: 'cover-page',
+        href: 'cover.xhtml',
+        content: this.buildCoverPage(book, language)
+      });
+    }
+
+    documents.push({
+      id: 'title-page',
+      href: 'title.xhtml',
+      content: this.buildTitlePage(book, language)
+    });
+
+    parts.forEach((part, partIndex) => {
+      const partNumber = partIndex + 1;
+      const chapterEntries = [];
+      let partHref = null;
+
+      if (showPartPages) {
+        partHref = `part-${partNumber}.xhtml`;
+        documents.push({
+          id: `part-${partNumber}`,
+          href: partHref,
+          content: this.buildPartPage(part, partNumber, language)
+        });
+      }
+
+      part.chapters.forEach((chapter, chapterIndex) => {
+        const href = `part-${partNumber}-chapter-${chapterIndex + 1}.xhtml`;
+        documents.push({
+          id: `part-${partNumber}-chapter-${chapterIndex + 1}`,
+          href,
+          content: this.buildChapterPage(chapter, language)
+        });
+        chapterEntries.push({ title: chapter.title, href });
+      });
+
+      if (part.endNotesHtml) {
+        documents.push({
+          id: `part-${partNumber}-afterword`,
+          href: `part-${partNumber}-afterword.xhtml`,
+          content: this.buildNotesPage('End Notes', part.endNotesHtml, language)
+        });
+      }
+
+      if (showPartPages) {
+        tocEntries.push({ title: part.title, href: partHref, children: chapterEntries });
+      } else {
+        tocEntries.push(...chapterEntries);
+      }
+    });
+
+    if (book.endNotesHtml) {
+      documents.push({
+        id: 'afterword',
+        href: 'afterword.xhtml',
+        content: this.buildNotesPage('End Notes', book.endNotesHtml, language)
+      });
+      tocEntries.push({ title: 'End Notes', href: 'afterword.xhtml' });
+    }
+
+    const coverFile = book.cover
+      ? [{ name: `OEBPS/${this.getCoverHref(book.cover)}`, data: book.cover.data }]
+      : [];
+
+    const files = [
+      { name: 'mimetype', data: 'application/epub+zip' },
+      { name: 'META-INF/container.xml', data: this.buildContainer() },
+      { name: 'OEBPS/content.opf', data: this.buildPackage(book, identifier, language, documents) },
+      { name: 'OEBPS/nav.xhtml', data: this.buildNav(book.title, tocEntries, language) },
+      { name: 'OEBPS/toc.ncx', data: this.buildNcx(book.title, identifier, tocEntries) },
+      { name: 'OEBPS/style.css', data: this.getStylesheet() },
+      ...coverFile,
+      ...documents.map(doc => ({ name: `OEBPS/${doc.href}`, data: doc.content }))
+    ];
+
+    return this.createZip(files);
+  }
+
+  /**
+   * META-INF/container.xml pointing at the package document
+   */
+  buildContainer() {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+      '  <rootfiles>',
+      '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+      '  </rootfiles>',
+      '</container>'
+    ].join('\n');
+  }
+
+  /**
+   * Package document with metadata, manifest and spine
+   */
+  buildPackage(book, identifier, language, documents) {
+    const authors = (book.authors || []).map((author, index) =>
+      `    <dc:creator id="creator-${index + 1}">${this.escapeXml(author)}</dc:creator>`
+    );
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    const manifest = [
+      book.cover
+        ? `    <item id="cover-image" href="${this.getCoverHref(book.cover)}" media-type="${book.cover.mimeType}" properties="cover-image"/>`
+        : null,
+      '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+      '    <item id="style" href="style.css" media-type="text/css"/>',
+      ...documents.map(doc =>
+        `    <item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml"/>`
+      )
+    ].filter(line => line !== null);
+
+    const spine = documents.map(doc => `    <itemref idref="${doc.id}"/>`);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">',
+      '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      `    <dc:identifier id="book-id">${this.escapeXml(identifier)}</dc:identifier>`,
+      `    <dc:title>${this.escapeXml(book.title || 'Untitled')}</dc:title>`,
+      ...authors,
+      `    <dc:language>${this.escapeXml(language)}</dc:language>`,
+      book.description ? `    <dc:description>${this.escapeXml(book.description)}</dc:description>` : null,
+      ...(book.subjects || []).map(subject => `    <dc:subject>${this.escapeXml(subject)}</dc:subject>`),
+      '    <dc:publisher>Archive of Our Own</dc:publisher>',
+      // Older Kindle software looks for the EPUB 2 cover meta
+      book.cover ? '    <meta name="cover" content="cover-image"/>' : null,
+      `    <meta property="dcterms:modified">${modified}</meta>`,
+      '  </metadata>',
+      '  <manifest>',
+      ...manifest,
+      '  </manifest>',
+      '  <spine toc="ncx">',
+      ...spine,
+      '  </spine>',
+      '</package>'
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * EPUB 3 navigation document (nested per part)
+   */
+  buildNav(title, entries, language) {
+    const renderEntries = (items, indent) => items.map(item => {
+      const link = `<a href="${item.href}">${this.escapeXml(item.title)}</a>`;
+      if (!item.children || item.children.length === 0) {
+        return `${indent}<li>${link}</li>`;
+      }
+      return [
+        `${indent}<li>${link}`,
+        `${indent}  <ol>`,
+        renderEntries(item.children, `${indent}    `),
+        `${indent}  </ol>`,
+        `${indent}</li>`
+      ].join('\n');
+    }).join('\n');
+
+    return this.wrapXhtml(title, [
+      '<nav epub:type="toc" id="toc">',
+      `  <h1>${this.escapeXml(title || 'Contents')}</h1>`,
+      '  <ol>',
+      renderEntries(entries, '    '),
+      '  </ol>',
+      '</nav>'
+    ].join('\n'), language);
+  }
+
+  /**
+   * NCX table of contents for older readers
+   */
+  buildNcx(title, identifier, entries) {
+    let playOrder = 0;
+
+    const renderPoints = (items, indent) => items.map(item => {
+      playOrder++;
+      return [
+        `${indent}<navPoint id="nav-${playOrder}" playOrder="${playOrder}">`,
+        `${indent}  <navLabel><text>${this.escapeXml(item.title)}</text></navLabel>`,
+        `${indent}  <content src="${item.href}"/>`,
+        item.children ? renderPoints(item.children, `${indent}  `) : null,
+        `${indent}</navPoint>`
+      ].filter(line => line !== null).join('\n');
+    }).join('\n');
+
+    const navPoints = renderPoints(entries, '    ');
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">',
+      '  <head>',
+      `    <meta name="dtb:uid" content="${this.escapeXml(identifier)}"/>`,
+      '  </head>',
+      `  <docTitle><text>${this.escapeXml(title || 'Untitled')}</text></docTitle>`,
+      '  <navMap>',
+      navPoints,
+      '  </navMap>',
+      '</ncx>'
+    ].join('\n');
+  }
+
+  /**
+   * Cover page showing the cover image full-page
+   */
+  buildCoverPage(book, language) {
+    return this.wrapXhtml('Cover', [
+      '<section class="cover" epub:type="cover">',
+      `  <img src="${this.getCoverHref(book.cover)}" alt="${this.escapeXml(book.title || 'Cover')}"/>`,
+      '</section>'
+    ].join('\n'), language);
+  }
+
+  /**
+   * Title page listing the book's title, authors, tags, summary and notes
+   */
+  buildTitlePage(book, language) {
+    const authors = (book.authors || []).join(', ');
+    let summary = null;
+
+    if (book.summaryHtml) {
+      summary = `  <div class="summary"><h2>Summary</h2>${book.summaryHtml}</div>`;
+    } else if (book.description) {
+      summary = `  <div class="summary">${this.textToParagraphs(book.description)}</div>`;
+    }
+
+    return this.wrapXhtml(book.title, [
+      '<section class="title-page">',
+      `  <h1>${this.escapeXml(book.title || 'Untitled')}</h1>`,
+      authors ? `  <p class="byline">by ${this.escapeXml(authors)}</p>` : null,
+      book.tags && book.tags.length > 0 ? this.buildTagList(book.tags) : null,
+      summary,
+      book.notesHtml ? `  <div class="notes"><h2>Notes</h2>${book.notesHtml}</div>` : null,
+      '</section>'
+    ].filter(line => line !== null).join('\n'), language);
+  }
+
+  /**
+   * Definition list of AO3 tags (rating, warnings, fandoms, ...)
+   */
+  buildTagList(tags) {
+    const rows = tags
+      .filter(tag => tag.values && tag.values.length > 0)
+      .map(tag => `    <dt>${this.escapeXml(tag.label)}</dt><dd>${this.escapeXml(tag.values.join(', '))}</dd>`);
+
+    return ['  <dl class="tags">', ...rows, '  </dl>'].join('\n');
+  }
+
+  /**
+   * Standalone notes page (work or part end notes)
+   */
+  buildNotesPage(title, notesHtml, language) {
+    return this.wrapXhtml(title, [
+      '<section class="notes">',
+      `  <h2>${this.escapeXml(title)}</h2>`,
+      notesHtml,
+      '</section>'
+    ].join('\n'), language);
+  }
+
+  /**
+   * Divider page introducing one part of a combined book
+   */
+  buildPartPage(part, partNumber, language) {
+    return this.wrapXhtml(part.title, [
+      '<section class="part-page">',
+      `  <p class="part-number">Part ${partNumber}</p>`,
+      `  <h1>${this.escapeXml(part.title)}</h1>`,
+      part.authorString ? `  <p class="byline">by ${this.escapeXml(part.authorString)}</p>` : null,
+      part.summaryHtml
+        ? `  <div class="summary">${part.summaryHtml}</div>`
+        : (part.summary ? `  <div class="summary">${this.textToParagraphs(part.summary)}</div>` : null),
+      '</section>'
+    ].filter(line => line !== null).join('\n'), language);
+  }
+
+  /**
+   * Chapter content document
+   */
+  buildChapterPage(chapter, language) {
+    return this.wrapXhtml(chapter.title, [
+      '<section class="chapter">',
+      `  <h2>${this.escapeXml(chapter.title)}</h2>`,
+      chapter.summaryHtml ? `  <div class="summary"><h3>Summary</h3>${chapter.summaryHtml}</div>` : null,
+      chapter.notesHtml ? `  <div class="notes"><h3>Notes</h3>${chapter.notesHtml}</div>` : null,
+      chapter.html,
+      chapter.endNotesHtml ? `  <div class="notes end-notes"><h3>End Notes</h3>${chapter.endNotesHtml}</div>` : null,
+      '</section>'
+    ].filter(line => line !== null).join('\n'), language);
+  }
+
+  /**
+   * Wrap body markup in an XHTML document
+   */
+  wrapXhtml(title, bodyContent, language) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE html>',
+      `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">`,
+      '<head>',
+      `  <title>${this.escapeXml(title || '')}</title>`,
+      '  <link rel="stylesheet" type="text/css" href="style.css"/>',
+      '</head>',
+      '<body>',
+      bodyContent,
+      '</body>',
+      '</html>'
+    ].join('\n');
+  }
+
+  /**
+   * Basic reading stylesheet
+   */
+  getStylesheet() {
+    return [
+      'body { font-family: serif; line-height: 1.5; margin: 0 5%; }',
+      'h1, h2 { text-align: center; }',
+      '.title-page, .part-page { text-align: center; margin-top: 20%; }',
+      '.part-number { text-transform: uppercase; letter-spacing: 0.1em; }',
+      '.byline { font-style: italic; }',
+      '.summary { text-align: left; margin-top: 2em; }',
+      '.cover { text-align: center; margin: 0; }',
+      '.cover img { max-width: 100%; max-height: 100%; }',
+      '.tags { text-align: left; margin-top: 2em; font-size: 0.9em; }',
+      '.tags dt { font-weight: bold; margin-top: 0.4em; }',
+      '.tags dd { margin: 0 0 0 1em; }',
+      '.notes { border-left: 2px solid #999; padding-left: 1em; margin: 1.5em 0; font-size: 0.95em; }',
+      '.end-notes { margin-top: 2.5em; }',
+      'p { margin: 0 0 0.8em 0; }'
+    ].join('\n');
+  }
+
+  /* =================================================================
+     Repackaging
+     ================================================================= */
+
+  /**
+   * Add a cover image and cover page to an existing EPUB (e.g. AO3's download)
+   * Only the package document is rewritten; other files are copied as they are
+   * Books that already have a cover are returned unchanged
+   * @param {Uint8Array} epubBytes - EPUB file bytes
+   * @param {Object} cover - { data: Uint8Array, mimeType }
+   * @param {string} title - Book title, used as the cover's alt text
+   * @returns {Promise<Uint8Array>} - New EPUB file bytes
+   */
+  async addCover(epubBytes, cover, title) {
+    const entries = this.readZip(epubBytes);
+    const packageEntry = await this.findPackageEntry(entries);
+    let opf = await this.readZipText(packageEntry);
+
+    if (/properties="[^"]*cover-image|<meta\s+name="cover"/.test(opf)) {
+      return epubBytes;
+    }
+
+    const baseDir = packageEntry.name.includes('/')
+      ? packageEntry.name.slice(0, packageEntry.name.lastIndexOf('/') + 1)
+      : '';
+    const coverHref = this.getCoverHref(cover);
+    const isEpub3 = /<package[^>]*version="3/.test(opf);
+    const language = (opf.match(/<dc:language[^>]*>([^<]+)</) || [])[1] || 'en';
+
+    opf = opf
+      .replace('</metadata>', '  <meta name="cover" content="cover-image"/>\n  </metadata>')
+      .replace('</manifest>', [
+        `  <item id="cover-image" href="${coverHref}" media-type="${cover.mimeType}"${isEpub3 ? ' properties="cover-image"' : ''}/>`,
+        '    <item id="cover-page" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+        '  </manifest>'
+      ].join('\n'))
+      .replace(/(<spine[^>]*>)/, '$1\n    <itemref idref="cover-page" linear="no"/>');
+
+    const files = entries.map(entry =>
+      entry === packageEntry ? { name: entry.name, data: opf } : entry
+    );
+    files.push(
+      { name: `${baseDir}${coverHref}`, data: cover.data },
+      { name: `${baseDir}cover.xhtml`, data: this.buildCoverPage({ title, cover }, language) }
+    );
+
+    return this.createZip(files);
+  }
+
+  /**
+   * Replace the title and authors in an existing EPUB's package document
+   * @param {Uint8Array} epubBytes - EPUB file bytes
+   * @param {Object} changes - { title, authors } (either may be omitted)
+   * @returns {Promise<Uint8Array>} - New EPUB file bytes
+   */
+  async updateMetadata(epubBytes, changes) {
+    const entries = this.readZip(epubBytes);
+    const packageEntry = await this.findPackageEntry(entries);
+    let opf = await this.readZipText(packageEntry);
+
+    if (changes.title) {
+      const title = this.escapeXml(changes.title);
+      opf = opf.replace(/(<dc:title[^>]*>)[\s\S]*?(<\/dc:title>)/, (match, open, close) => `${open}${title}${close}`);
+    }
+
+    if (changes.authors && changes.authors.length > 0) {
+      // Keep the first creator's attributes (id, opf:role) and drop the rest
+      const firstCreator = opf.match(/<dc:creator[^>]*>/);
+      const openTag = firstCreator ? firstCreator[0] : '<dc:creator>';
+      // IDs must stay unique, so only the first creator keeps its id
+      const replacement = changes.authors
+        .map((author, index) => {
+          const tag = index === 0 ? openTag : openTag.replace(/\s+id="[^"]*"/, '');
+          return `${tag}${this.escapeXml(author)}</dc:creator>`;
+        })
+        .join('\n    ');
+
+      if (firstCreator) {
+        let isFirst = true;
+        opf = opf.replace(/\s*<dc:creator[^>]*>[\s\S]*?<\/dc:creator>/g, creator => {
+          if (!isFirst) return '';
+          isFirst = false;
+          return creator.match(/^\s*/)[0] + replacement;
+        });
+      } else {
+        opf = opf.replace('</metadata>', `  ${replacement}\n  </metadata>`);
+      }
+    }
+
+    return this.createZip(entries.map(entry =>
+      entry === packageEntry ? { name: entry.name, data: opf } : entry
+    ));
+  }
+
+  /**
+   * Find the package document (.opf) entry via META-INF/container.xml
+   */
+  async findPackageEntry(entries) {
+    const container = entries.find(entry => entry.name === 'META-INF/container.xml');
+    if (!container) {
+      throw new Error('Not a valid EPUB file');
+    }
+
+    const rootMatch = (await this.readZipText(container)).match(/full-path="([^"]+)"/);
+    const packageEntry = rootMatch ? entries.find(entry => entry.name === rootMatch[1]) : null;
+    if (!packageEntry) {
+      throw new Error('Not a valid EPUB file');
+    }
+
+    return packageEntry;
+  }
+
+  /* =================================================================
+     ZIP Container
+     ================================================================= */
+
+  /**
+   * Create a ZIP archive, storing new files uncompressed
+   * The mimetype entry must come first and be stored, which EPUB requires
+   * @param {Object[]} files - [{ name, data: string|Uint8Array }], or entries from
+   *   readZip ({ name, method, crc, size, data }) to copy without recompressing
+   * @returns {Uint8Array} - ZIP bytes
+   */
+  createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const nameBytes = this.textEncoder.encode(file.name);
+      const dataBytes = typeof file.data === 'string' ? this.textEncoder.encode(file.data) : file.data;
+      const isCopied = file.method !== undefined;
+      const method = isCopied ? file.method : 0;
+      const crc = isCopied ? file.crc : this.crc32(dataBytes);
+      const size = isCopied ? file.size : dataBytes.length;
+
+      const localHeader = new DataView(new ArrayBuffer(30));
+      localHeader.setUint32(0, 0x04034b50, true); // Local file header signature
+      localHeader.setUint16(4, 20, true); // Version needed
+      localHeader.setUint16(6, 0x0800, true); // UTF-8 file names
+      localHeader.setUint16(8, method, true); // 0 = stored, 8 = deflate
+      localHeader.setUint16(10, 0, true); // Modification time
+      localHeader.setUint16(12, 0x21, true); // Modification date (1980-01-01)
+      localHeader.setUint32(14, crc, true);
+      localHeader.setUint32(18, dataBytes.length, true);
+      localHeader.setUint32(22, size, true);
+      localHeader.setUint16(26, nameBytes.length, true);
+      localHeader.setUint16(28, 0, true);
+
+      const centralHeader = new DataView(new ArrayBuffer(46));
+      centralHeader.setUint32(0, 0x02014b50, true); // Central directory signature
+      centralHeader.setUint16(4, 20, true); // Version made by
+      centralHeader.setUint16(6, 20, true); // Version needed
+      centralHeader.setUint16(8, 0x0800, true);
+      centralHeader.setUint16(10, method, true);
+      centralHeader.setUint16(12, 0, true);
+      centralHeader.setUint16(14, 0x21, true);
+      centralHeader.setUint32(16, crc, true);
+      centralHeader.setUint32(20, dataBytes.length, true);
+      centralHeader.setUint32(24, size, true);
+      centralHeader.setUint16(28, nameBytes.length, true);
+      centralHeader.setUint32(42, offset, true); // Local header offset
+
+      localParts.push(new Uint8Array(localHeader.buffer), nameBytes, dataBytes);
+      centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+
+      offset += 30 + nameBytes.length + dataBytes.length;
+    });
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+
+    const endRecord = new DataView(new ArrayBuffer(22));
+    endRecord.setUint32(0, 0x06054b50, true); // End of central directory signature
+    endRecord.setUint16(8, files.length, true);
+    endRecord.setUint16(10, files.length, true);
+    endRecord.setUint32(12, centralSize, true);
+    endRecord.setUint32(16, offset, true);
+
+    return this.concatBytes([...localParts, ...centralParts, new Uint8Array(endRecord.buffer)]);
+  }
+
+  /**
+   * Read the entries of a ZIP archive from its central directory
+   * Entry data is left compressed; use readZipText to decode it
+   * @param {Uint8Array} bytes - ZIP bytes
+   * @returns {Object[]} - [{ name, method, crc, size, data }]
+   */
+  readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record sits at the end, before an optional comment
+    let endOffset = bytes.length - 22;
+    while (endOffset >= 0 && view.getUint32(endOffset, true) !== 0x06054b50) {
+      endOffset--;
+    }
+    if (endOffset < 0) {
+      throw new Error('Not a valid EPUB file');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(position, true) !== 0x02014b50) {
+        throw new Error('Not a valid EPUB file');
+      }
+
+      const method = view.getUint16(position + 10, true);
+      const crc = view.getUint32(position + 16, true);
+      const compressedSize = view.getUint32(position + 20, true);
+      const size = view.getUint32(position + 24, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const localOffset = view.getUint32(position + 42, true);
+      const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+      // The local header's name and extra field lengths can differ from the central ones
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+
+      entries.push({
+        name,
+        method,
+        crc,
+        size,
+        data: bytes.subarray(dataStart, dataStart + compressedSize)
+      });
+
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Decode a ZIP entry from readZip as UTF-8 text
+   */
+  async readZipText(entry) {
+    if (entry.method === 0) {
+      return new TextDecoder().decode(entry.data);
+    }
+
+    if (entry.method !== 8 || typeof DecompressionStream === 'undefined') {
+      throw new Error(`Can't decompress ${entry.name} in this browser`);
+    }
+
+    const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+  }
+
+  /**
+   * Compute CRC-32 checksum
+   */
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Concatenate byte arrays
+   */
+  concatBytes(parts) {
+    const totalLength = parts.reduce((total, part) => total + part.length, 0);
+    const result = new Uint8Array(totalLength);
+    let position = 0;
+
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+
+    return result;
+  }
+
+  /* =================================================================
+     Utilities
+     ================================================================= */
+
+  /**
+   * File name for the cover image, based on its MIME type
+   */
+  getCoverHref(cover) {
+    const extensions = {
+      'image/png': 'png',
+      'image/jpeg': 'jpg',
+      'image/gif': 'gif'
+    };
+
+    return `cover.${extensions[cover.mimeType] || 'png'}`;
+  }
+
+  /**
+   * Escape text for XML content and attributes
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Convert plain text with blank lines into XHTML paragraphs
+   */
+  textToParagraphs(text) {
+    return String(text)
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map(paragraph => `<p>${this.escapeXml(paragraph)}</p>`)
+      .join('');
+  }
+
+  /**
+   * Generate a random UUID for the book identifier
+   */
+  generateUuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.random() * 16 | 0;
+      return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+  }
+}
+
+/* =================================================================
+   Global EPUB Builder Instance
+   ================================================================= */
+
+// Create global EPUB builder instance
+window.epubBuilder = new EpubBuilder();
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EpubBuilder;
+}
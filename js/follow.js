@@ -0,0 +1,275 @@
+/* =================================================================
+   AO3 to Kindle - Followed Works
+   Track works in progress and detect new chapters
+   ================================================================= */
+
+class FollowManager {
+  constructor() {
+    this.storageKey = 'ao3_kindle_follows';
+    this.autoCheckInterval = 30 * 60 * 1000; // Don't recheck more than every 30 minutes
+    this.isChecking = false;
+
+    const stored = this.loadFollows();
+    this.follows = stored.follows;
+    this.lastCheckedAt = stored.lastCheckedAt;
+
+    // Event listeners for follow list changes
+    this.changeListeners = [];
+  }
+
+  /* =================================================================
+     Storage
+     ================================================================= */
+
+  /**
+   * Load followed works from localStorage
+   */
+  loadFollows() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      const parsed = stored ? JSON.parse(stored) : {};
+
+      return {
+        follows: Array.isArray(parsed.follows) ? parsed.follows : [],
+        lastCheckedAt: parsed.lastCheckedAt || 0
+      };
+    } catch (error) {
+      console.warn('Failed to load followed works:', error);
+      return { follows: [], lastCheckedAt: 0 };
+    }
+  }
+
+  /**
+   * Save followed works to localStorage
+   */
+  saveFollows() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        follows: this.follows,
+        lastCheckedAt: this.lastCheckedAt
+      }));
+    } catch (error) {
+      console.warn('Failed to save followed works:', error);
+    }
+  }
+
+  /* =================================================================
+     Follow List
+     ================================================================= */
+
+  /**
+   * Follow a work using metadata from AO3Manager.parseWorkPage
+   * The current chapter count counts as already read
+   */
+  follow(metadata) {
+    const { published } = window.utilsManager.parseChapterCount(metadata.chapters);
+    const existing = this.getFollow(metadata.workId);
+
+    if (existing) {
+      Object.assign(existing, {
+        title: metadata.workTitle || metadata.title,
+        authorString: metadata.authorString,
+        chapters: metadata.chapters || existing.chapters,
+        latestChapters: Math.max(existing.latestChapters, published),
+        knownChapters: Math.max(existing.knownChapters, published)
+      });
+    } else {
+      this.follows.push({
+        workId: metadata.workId,
+        url: `https://archiveofourown.org/works/${metadata.workId}`,
+        title: metadata.workTitle || metadata.title,
+        authorString: metadata.authorString,
+        chapters: metadata.chapters || null,
+        knownChapters: published,
+        latestChapters: published,
+        followedAt: Date.now(),
+        lastCheckedAt: Date.now(),
+        error: null
+      });
+    }
+
+    this.saveFollows();
+    this.notifyChange();
+  }
+
+  /**
+   * Stop following a work
+   */
+  unfollow(workId) {
+    this.follows = this.follows.filter(follow => follow.workId !== workId);
+    this.saveFollows();
+    this.notifyChange();
+  }
+
+  /**
+   * Get a followed work by ID
+   */
+  getFollow(workId) {
+    return this.follows.find(follow => follow.workId === workId) || null;
+  }
+
+  /**
+   * Check if a work is followed
+   */
+  isFollowing(workId) {
+    return !!this.getFollow(workId);
+  }
+
+  /**
+   * Get the range of chapters posted since the last send
+   * @returns {Object|null} - { from, to } or null if there is nothing new
+   */
+  getNewChapterRange(workId) {
+    const follow = this.getFollow(workId);
+    if (!follow || follow.latestChapters <= follow.knownChapters) {
+      return null;
+    }
+
+    return { from: follow.knownChapters + 1, to: follow.latestChapters };
+  }
+
+  /**
+   * Get followed works that have chapters we haven't sent
+   */
+  getUpdated() {
+    return this.follows.filter(follow => follow.latestChapters > follow.knownChapters);
+  }
+
+  /**
+   * Record that a followed work was sent
+   * @param {string} workId - AO3 work ID
+   * @param {string|null} chapters - Latest chapter stat, e.g. "15/?"
+   * @param {number|null} upToChapter - Last chapter sent, or null if the whole work was sent
+   */
+  markSent(workId, chapters = null, upToChapter = null) {
+    const follow = this.getFollow(workId);
+    if (!follow) return;
+
+    if (chapters) {
+      const { published } = window.utilsManager.parseChapterCount(chapters);
+      follow.chapters = chapters;
+      follow.latestChapters = Math.max(follow.latestChapters, published);
+    }
+
+    follow.knownChapters = upToChapter
+      ? Math.max(follow.knownChapters, Math.min(upToChapter, follow.latestChapters))
+      : follow.latestChapters;
+    this.saveFollows();
+    this.notifyChange();
+  }
+
+  /* =================================================================
+     Update Checking
+     ================================================================= */
+
+  /**
+   * Check whether an automatic check is due
+   */
+  isCheckDue() {
+    return this.follows.length > 0 && Date.now() - this.lastCheckedAt > this.autoCheckInterval;
+  }
+
+  /**
+   * Refetch every followed work and compare chapter counts
+   * Requests go through AO3Manager's queue, so they are spaced out
+   * @param {Function} onProgress - Called with (checked, total) after each work
+   * @returns {Object[]} - Followed works with new chapters
+   */
+  async checkForUpdates(onProgress = null) {
+    if (this.isChecking) {
+      return this.getUpdated();
+    }
+
+    this.isChecking = true;
+    this.notifyChange();
+
+    try {
+      let checked = 0;
+
+      for (const follow of [...this.follows]) {
+        try {
+          const metadata = await window.ao3Manager.fetchWorkPage(follow.url);
+          const { published } = window.utilsManager.parseChapterCount(metadata.chapters);
+
+          Object.assign(follow, {
+            title: metadata.title,
+            authorString: metadata.authorString,
+            chapters: metadata.chapters || follow.chapters,
+            latestChapters: published,
+            lastCheckedAt: Date.now(),
+            error: null
+          });
+        } catch (error) {
+          console.error(`Failed to check followed work ${follow.workId}:`, error);
+          follow.error = error.message;
+        }
+
+        checked++;
+        this.saveFollows();
+        this.notifyChange();
+
+        if (onProgress) {
+          onProgress(checked, this.follows.length);
+        }
+      }
+
+      this.lastCheckedAt = Date.now();
+      this.saveFollows();
+
+      return this.getUpdated();
+
+    } finally {
+      this.isChecking = false;
+      this.notifyChange();
+    }
+  }
+
+  /* =================================================================
+     Event Listeners
+     ================================================================= */
+
+  /**
+   * Add listener for follow list changes
+   */
+  onChange(callback) {
+    this.changeListeners.push(callback);
+  }
+
+  /**
+   * Remove follow list change listener
+   */
+  removeChangeListener(callback) {
+    const index = this.changeListeners.indexOf(callback);
+    if (index > -1) {
+      this.changeListeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners of a follow list change
+   */
+  notifyChange() {
+    this.changeListeners.forEach(callback => {
+      try {
+        callback(this.follows, this.isChecking);
+      } catch (error) {
+        console.error('Error in follow change listener:', error);
+      }
+    });
+  }
+}
+
+/* =================================================================
+   Global Follow Manager Instance
+   ================================================================= */
+
+// Create global follow manager instance
+window.followManager = new FollowManager();
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FollowManager;
+}
@@ -0,0 +1,100 @@
+/* =================================================================
+   AO3 to Kindle - Format Compatibility
+   Which file formats each destination accepts, and what to send instead
+   ================================================================= */
+
+const EBOOK_FORMATS = {
+  epub: { label: 'EPUB', mimeType: 'application/epub+zip' },
+  pdf: { label: 'PDF', mimeType: 'application/pdf' },
+  mobi: { label: 'MOBI', mimeType: 'application/x-mobipocket-ebook' },
+  azw3: { label: 'AZW3', mimeType: 'application/vnd.amazon.ebook' }
+};
+
+// Order to fall back through when the chosen format isn't accepted
+const FORMAT_PREFERENCE = ['epub', 'pdf', 'mobi', 'azw3'];
+
+class FormatManager {
+  /* =================================================================
+     Formats
+     ================================================================= */
+
+  /**
+   * MIME type for an ebook format
+   */
+  getMimeType(format) {
+    const info = EBOOK_FORMATS[String(format).toLowerCase()];
+    return info ? info.mimeType : 'application/octet-stream';
+  }
+
+  /**
+   * Display label for an ebook format, e.g. "EPUB"
+   */
+  getLabel(format) {
+    const info = EBOOK_FORMATS[String(format).toLowerCase()];
+    return info ? info.label : String(format).toUpperCase();
+  }
+
+  /* =================================================================
+     Compatibility
+     ================================================================= */
+
+  /**
+   * Formats every destination accepts, in order of preference
+   * @param {Object[]} destinations - [{ type }]
+   */
+  getAcceptedFormats(destinations) {
+    const targets = destinations.map(destination => window.destinationManager.getTarget(destination.type));
+
+    return FORMAT_PREFERENCE.filter(format => targets.every(target => target.formats.includes(format)));
+  }
+
+  /**
+   * Swap a format the destinations can't take for one they can
+   * AO3 offers every format, so "converting" is fetching the work in the accepted one
+   * @returns {Object} - { format, changed, warning }
+   */
+  resolveFormat(format, destinations) {
+    const requested = String(format || FORMAT_PREFERENCE[0]).toLowerCase();
+    const accepted = this.getAcceptedFormats(destinations);
+
+    if (accepted.length === 0 || accepted.includes(requested)) {
+      // With nothing in common, each destination rejects the file when it's delivered
+      return { format: requested, changed: false, warning: null };
+    }
+
+    const rejecting = destinations
+      .map(destination => window.destinationManager.getTarget(destination.type))
+      .find(target => !target.formats.includes(requested));
+
+    return {
+      format: accepted[0],
+      changed: true,
+      warning: `${rejecting.label} doesn't accept ${this.getLabel(requested)} files, ` +
+        `so ${this.getLabel(accepted[0])} will be sent instead.`
+    };
+  }
+
+  /**
+   * Whether the "Convert:" subject does anything for this send
+   * Amazon only reads it for PDFs, which it then converts to Kindle format
+   */
+  usesConvertSubject(format, destinations) {
+    return String(format).toLowerCase() === 'pdf' &&
+      destinations.some(destination => destination.type === 'kindle');
+  }
+}
+
+/* =================================================================
+   Global Format Manager Instance
+   ================================================================= */
+
+// Create global format manager instance
+window.formatManager = new FormatManager();
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormatManager;
+}
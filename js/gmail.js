@@ -7,6 +7,11 @@ class GmailManager {
   constructor() {
     this.isInitialized = false;
     this.gapi = null;
+    
+    this.uploadUrl = 'https://gmail.googleapis.com/upload/gmail/v1/users/me/messages/send';
+    this.resumableThresholdBytes = 5 * 1024 * 1024;
+    this.uploadTimeoutMs = 5 * 60 * 1000;
+    this.maxResumeAttempts = 3;
   }
 
   /* =================================================================
@@ -47,52 +52,77 @@ class GmailManager {
      ================================================================= */
 
   /**
-   * Create MIME message with attachment
+   * Create MIME message with attachment, as a Blob
+   * The attachment's base64 is added in wrapped chunks, so a large file is never
+   * copied into one big string
    */
   createMimeMessage(to, subject, body, attachment) {
     const boundary = 'boundary_' + Math.random().toString(36).substr(2, 9);
     
-    let message = [
+    const parts = [[
       `To: ${to}`,
-      `Subject: ${subject}`,
+      `Subject: ${this.encodeHeader(subject)}`,
       'MIME-Version: 1.0',
       `Content-Type: multipart/mixed; boundary="${boundary}"`,
       '',
       `--${boundary}`,
       'Content-Type: text/html; charset="UTF-8"',
-      'Content-Transfer-Encoding: 7bit',
+      'Content-Transfer-Encoding: 8bit',
       '',
       body,
       ''
-    ];
+    ].join('\r\n')];
 
     if (attachment) {
-      message = message.concat([
+      parts.push([
+        '',
         `--${boundary}`,
-        `Content-Type: ${attachment.mimeType}; name="${attachment.name}"`,
+        `Content-Type: ${attachment.mimeType}; ${this.encodeParameter('name', attachment.name)}`,
         'Content-Transfer-Encoding: base64',
-        `Content-Disposition: attachment; filename="${attachment.name}"`,
+        `Content-Disposition: attachment; ${this.encodeParameter('filename', attachment.name)}`,
         '',
-        attachment.data,
         ''
-      ]);
+      ].join('\r\n'));
+      parts.push(...this.wrapBase64(attachment.data));
     }
 
-    message.push(`--${boundary}--`);
+    parts.push(`\r\n--${boundary}--\r\n`);
     
-    return message.join('\r\n');
+    return new Blob(parts, { type: 'message/rfc822' });
+  }
+
+  /**
+   * Split base64 text into 76-character CRLF lines (RFC 2045), one chunk at a time
+   */
+  wrapBase64(base64, lineLength = 76) {
+    const chunkLength = lineLength * 1024;
+    const linePattern = new RegExp(`.{1,${lineLength}}`, 'g');
+    const chunks = [];
+
+    for (let i = 0; i < base64.length; i += chunkLength) {
+      chunks.push(base64.slice(i, i + chunkLength).replace(linePattern, '$&\r\n'));
+    }
+
+    return chunks;
   }
 
   /**
    * Send email via Gmail API
+   * The message is uploaded as raw bytes to the media endpoint rather than
+   * base64 encoded a second time into the JSON "raw" field
+   * Upload progress is also reported through ProgressManager
+   * @param {Object} options - { onProgress(loaded, total): called as the upload goes,
+   *   label: what is being sent, for progress events (defaults to the address),
+   *   signal: AbortSignal that cancels the upload and any retry }
    */
-  async sendEmail(to, subject, body, attachment = null) {
+  async sendEmail(to, subject, body, attachment = null, options = {}) {
+    const { onProgress = null, label = to, signal = null } = options;
+    
+    // Built once; a retry uploads the same Blob again
+    const message = this.createMimeMessage(to, subject, body, attachment);
+    
     const sendFunction = async () => {
       console.log('Preparing to send email to:', to);
-      
-      if (!this.isInitialized) {
-        await this.initGmailClient();
-      }
 
       if (!window.authManager || !window.authManager.isAuthenticated()) {
         const error = new Error('User not authenticated');
@@ -112,49 +142,48 @@ class GmailManager {
         throw error;
       }
       
-      // Set the access token for gapi client
-      this.gapi.client.setToken({ access_token: accessToken });
-      
-      // Create MIME message
-      const mimeMessage = this.createMimeMessage(to, subject, body, attachment);
+      console.log('Uploading email via Gmail API...', { size: message.size });
       
-      // Base64 encode the message
-      const encodedMessage = btoa(mimeMessage).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-      
-      console.log('Sending email via Gmail API...');
+      const transfer = window.progressManager.startTransfer('upload', label, message.size);
+      const reportProgress = loaded => {
+        transfer.update(loaded, message.size);
+        if (onProgress) {
+          onProgress(loaded, message.size);
+        }
+      };
       
-      // Send the email with timeout
-      const response = await window.utilsManager.withTimeout(
-        this.gapi.client.gmail.users.messages.send({
-          userId: 'me',
-          resource: {
-            raw: encodedMessage
-          }
-        }),
-        30000 // 30 second timeout
-      );
-
-      if (response.status === 200) {
-        console.log('Email sent successfully:', response.result);
-        return {
-          success: true,
-          messageId: response.result.id,
-          threadId: response.result.threadId
-        };
-      } else {
-        const error = new Error(`Gmail API returned status: ${response.status}`);
-        error.status = response.status;
+      // Small emails go in one request; large ones in a session that can pick up after a dropped connection
+      let result;
+      try {
+        result = message.size > this.resumableThresholdBytes
+          ? await this.uploadResumable(message, accessToken, reportProgress, signal)
+          : await this.uploadMultipart(message, accessToken, reportProgress, signal);
+      } catch (error) {
+        transfer.fail(error);
         throw error;
       }
+      transfer.finish();
+
+      console.log('Email sent successfully:', result);
+      return {
+        success: true,
+        messageId: result.id,
+        threadId: result.threadId
+      };
     };
 
     try {
       return await window.utilsManager.retryRequest(sendFunction, {
         maxRetries: 2,
         baseDelay: 2000,
-        maxDelay: 8000
+        maxDelay: 8000,
+        signal
       });
     } catch (error) {
+      if (window.utilsManager.isAbortError(error)) {
+        throw error;
+      }
+      
       console.error('Failed to send email:', error);
       
       // Handle specific Gmail API errors
@@ -175,29 +204,183 @@ class GmailManager {
     }
   }
 
+  /* =================================================================
+     Media Upload
+     ================================================================= */
+
   /**
-   * Send AO3 story to Kindle
+   * Upload a message with uploadType=multipart: JSON metadata and the message in one request
    */
-  async sendToKindle(kindleEmail, storyTitle, storyAuthor, fileData, fileName, fileType = 'mobi') {
-    try {
-      // Determine MIME type
-      const mimeTypes = {
-        'mobi': 'application/x-mobipocket-ebook',
-        'epub': 'application/epub+zip',
-        'azw3': 'application/vnd.amazon.ebook'
+  async uploadMultipart(message, accessToken, onProgress, signal = null) {
+    const boundary = 'upload_' + Math.random().toString(36).substr(2, 9);
+    const requestBody = new Blob([
+      `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n{}\r\n`,
+      `--${boundary}\r\nContent-Type: message/rfc822\r\n\r\n`,
+      message,
+      `\r\n--${boundary}--`
+    ]);
+
+    const response = await this.uploadRequest('POST', `${this.uploadUrl}?uploadType=multipart`, requestBody, {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': `multipart/related; boundary=${boundary}`
+    }, onProgress && ((loaded, total) => onProgress(Math.round(loaded / total * message.size), message.size)), signal);
+
+    return this.parseUploadResponse(response);
+  }
+
+  /**
+   * Upload a message with uploadType=resumable
+   * If the connection drops, ask Gmail how much arrived and send the rest
+   */
+  async uploadResumable(message, accessToken, onProgress, signal = null) {
+    const auth = { 'Authorization': `Bearer ${accessToken}` };
+    
+    const session = await this.uploadRequest('POST', `${this.uploadUrl}?uploadType=resumable`, '{}', {
+      ...auth,
+      'Content-Type': 'application/json; charset=UTF-8',
+      'X-Upload-Content-Type': 'message/rfc822',
+      'X-Upload-Content-Length': String(message.size)
+    }, null, signal);
+    
+    const sessionUrl = session.status === 200 && session.getHeader('Location');
+    if (!sessionUrl) {
+      throw this.parseUploadError(session);
+    }
+    
+    let offset = 0;
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const start = offset;
+        const response = await this.uploadRequest('PUT', sessionUrl, message.slice(start), {
+          ...auth,
+          'Content-Range': `bytes ${start}-${message.size - 1}/${message.size}`
+        }, onProgress && (loaded => onProgress(start + loaded, message.size)), signal);
+        
+        return this.parseUploadResponse(response);
+      } catch (error) {
+        if (!error.isNetworkError || attempt >= this.maxResumeAttempts) {
+          throw error;
+        }
+        
+        console.log('Upload interrupted, checking how much Gmail received...');
+        const status = await this.uploadRequest('PUT', sessionUrl, null, {
+          ...auth,
+          'Content-Range': `bytes */${message.size}`
+        }, null, signal);
+        
+        // 308 means incomplete; its Range header says which bytes arrived
+        if (status.status !== 308) {
+          return this.parseUploadResponse(status);
+        }
+        
+        const range = (status.getHeader('Range') || '').match(/bytes=0-(\d+)/);
+        offset = range ? Number(range[1]) + 1 : 0;
+      }
+    }
+  }
+
+  /**
+   * Send an upload request with XMLHttpRequest, which (unlike fetch) reports upload progress
+   * Resolves with every HTTP status; rejects only when the request doesn't complete
+   * @param {AbortSignal} signal - Aborts the request, rejecting with an AbortError
+   * @returns {Promise<Object>} - { status, body, getHeader(name) }
+   */
+  uploadRequest(method, url, body, headers, onProgress = null, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(window.utilsManager.createAbortError());
+        return;
+      }
+      
+      const xhr = new XMLHttpRequest();
+      xhr.open(method, url);
+      xhr.timeout = this.uploadTimeoutMs;
+      
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+      
+      if (onProgress) {
+        xhr.upload.onprogress = event => {
+          if (event.lengthComputable) {
+            onProgress(event.loaded, event.total);
+          }
+        };
+      }
+      
+      const fail = message => {
+        const error = new Error(message);
+        error.isNetworkError = true;
+        reject(error);
       };
       
-      const mimeType = mimeTypes[fileType.toLowerCase()] || 'application/octet-stream';
+      xhr.onload = () => resolve({
+        status: xhr.status,
+        body: xhr.responseText,
+        getHeader: name => xhr.getResponseHeader(name)
+      });
+      xhr.onerror = () => fail('NetworkError: the upload to Gmail was interrupted');
+      xhr.ontimeout = () => fail(`Operation timed out after ${this.uploadTimeoutMs}ms`);
+      xhr.onabort = () => reject(window.utilsManager.createAbortError());
+      
+      if (signal) {
+        const abort = () => xhr.abort();
+        signal.addEventListener('abort', abort, { once: true });
+        xhr.onloadend = () => signal.removeEventListener('abort', abort);
+      }
+      
+      xhr.send(body);
+    });
+  }
+
+  /**
+   * Read the sent message from a finished upload, or throw its error
+   */
+  parseUploadResponse(response) {
+    if (response.status !== 200) {
+      throw this.parseUploadError(response);
+    }
+    
+    return JSON.parse(response.body);
+  }
+
+  /**
+   * Turn a failed upload response into an Error with its status
+   * Gmail's reason (e.g. quotaExceeded) is kept in the message
+   */
+  parseUploadError(response) {
+    let message = `Gmail API returned status: ${response.status}`;
+    
+    try {
+      const { error } = JSON.parse(response.body);
+      const reason = error.errors && error.errors[0] ? ` (${error.errors[0].reason})` : '';
+      message = `${error.message}${reason}`;
+    } catch (parseError) {
+      // Not JSON; keep the status message
+    }
+    
+    const error = new Error(message);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Send AO3 story to Kindle
+   * @param {Object} options - { subject: custom email subject, onProgress(loaded, total), signal: AbortSignal to cancel }
+   */
+  async sendToKindle(kindleEmail, storyTitle, storyAuthor, fileData, fileName, fileType = 'epub', options = {}) {
+    try {
+      const mimeType = this.getMimeType(fileType);
       
-      // Create email subject (with "Convert" for Kindle processing)
-      const subject = `Convert: ${storyTitle}`;
+      // Create email subject ("Convert" only where Amazon acts on it)
+      const destinationType = window.destinationManager.detectType(kindleEmail);
+      const subject = options.subject || this.getDefaultSubject(storyTitle, fileType, [{ type: destinationType }]);
       
       // Create email body
       const body = `
         <html>
         <body>
-          <h2>${storyTitle}</h2>
-          <p><strong>Author:</strong> ${storyAuthor}</p>
+          <h2>${this.escapeHtml(storyTitle)}</h2>
+          <p><strong>Author:</strong> ${this.escapeHtml(storyAuthor)}</p>
           <p>This story has been sent to your Kindle from AO3 to Kindle service.</p>
           <hr>
           <p><small>
@@ -223,7 +406,11 @@ class GmailManager {
       });
       
       // Send the email
-      return await this.sendEmail(kindleEmail, subject, body, attachment);
+      return await this.sendEmail(kindleEmail, subject, body, attachment, {
+        onProgress: options.onProgress,
+        label: storyTitle,
+        signal: options.signal
+      });
       
     } catch (error) {
       console.error('Failed to send to Kindle:', error);
@@ -235,6 +422,74 @@ class GmailManager {
      Utilities
      ================================================================= */
 
+  /**
+   * MIME type for an ebook format
+   */
+  getMimeType(fileType) {
+    return window.formatManager.getMimeType(fileType);
+  }
+
+  /**
+   * Default email subject for a story
+   * Amazon only acts on "Convert:" for PDFs; for other formats it would just clutter the subject
+   * @param {Object[]} destinations - [{ type }] the file is going to
+   */
+  getDefaultSubject(storyTitle, fileType = 'epub', destinations = []) {
+    return window.formatManager.usesConvertSubject(fileType, destinations)
+      ? `Convert: ${storyTitle}`
+      : storyTitle;
+  }
+
+  /**
+   * Encode a header value as RFC 2047 UTF-8 if it isn't plain ASCII
+   */
+  encodeHeader(value) {
+    if (/^[\x20-\x7E]*$/.test(value)) {
+      return value;
+    }
+
+    return `=?UTF-8?B?${this.encodeBase64(value)}?=`;
+  }
+
+  /**
+   * Write a header parameter such as filename. Non-ASCII values get an RFC 2231
+   * name*=UTF-8''... form, after a plain ASCII name="..." for clients that don't read it.
+   */
+  encodeParameter(name, value) {
+    const quote = text => `"${text.replace(/[\\"]/g, '\\$&')}"`;
+
+    if (/^[\x20-\x7E]*$/.test(value)) {
+      return `${name}=${quote(value)}`;
+    }
+
+    const ascii = value
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\x20-\x7E]/g, '_');
+    const encoded = encodeURIComponent(value)
+      .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `${name}=${quote(ascii)}; ${name}*=UTF-8''${encoded}`;
+  }
+
+  /**
+   * Base64 encode a string as UTF-8 (btoa alone only handles Latin-1)
+   */
+  encodeBase64(text) {
+    return window.utilsManager.bytesToBase64(new TextEncoder().encode(text));
+  }
+
+  /**
+   * Escape text for the HTML email body
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Validate email address format
    */
@@ -0,0 +1,336 @@
+/* =================================================================
+   AO3 to Kindle - Send History
+   Record every send in IndexedDB, with search and export/import
+   ================================================================= */
+
+const HISTORY_CSV_COLUMNS = [
+  'kind', 'workId', 'seriesId', 'url', 'title', 'authorString', 'format', 'size',
+  'destination', 'destinationType', 'deviceName', 'sentAt', 'messageId', 'outcome', 'error', 'chapterFrom', 'chapterTo'
+];
+
+class HistoryManager {
+  constructor() {
+    this.dbName = 'ao3_kindle';
+    this.dbVersion = 1;
+    this.storeName = 'history';
+    this.dbPromise = null;
+
+    // Event listeners for history changes
+    this.changeListeners = [];
+  }
+
+  /* =================================================================
+     Database
+     ================================================================= */
+
+  /**
+   * Open the database, creating the history store on first use
+   */
+  openDatabase() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Send history needs IndexedDB, which this browser does not support.'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('sentAt', 'sentAt');
+          store.createIndex('workId', 'workId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the history store and resolve with its result
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+   */
+  async runRequest(mode, makeRequest) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /* =================================================================
+     Entries
+     ================================================================= */
+
+  /**
+   * Record a send attempt
+   * @param {Object} entry - { kind, workId, seriesId, url, title, authorString, format, size,
+   *   destination, destinationType, deviceName, messageId, outcome ('sent' or 'failed'), error, chapterFrom, chapterTo }
+   * @returns {Promise<Object>} - The stored entry, with its id
+   */
+  async record(entry) {
+    const stored = this.normalizeEntry({ sentAt: Date.now(), ...entry });
+
+    try {
+      stored.id = await this.runRequest('readwrite', store => store.add(stored));
+      this.notifyChange();
+    } catch (error) {
+      // History is a convenience; never let it break sending
+      console.warn('Failed to save send history:', error);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Build an entry from fetched work data ({ metadata, file })
+   */
+  entryFromWork(workData, destination) {
+    const { metadata, file } = workData;
+
+    return {
+      kind: metadata.seriesId ? 'series' : 'work',
+      workId: metadata.workId || null,
+      seriesId: metadata.seriesId || null,
+      url: metadata.originalUrl || null,
+      title: metadata.title,
+      authorString: metadata.authorString,
+      format: file.format,
+      size: file.size,
+      destination,
+      destinationType: null,
+      deviceName: null,
+      chapterFrom: metadata.chapterRange ? metadata.chapterRange.from : null,
+      chapterTo: metadata.chapterRange ? metadata.chapterRange.to : null
+    };
+  }
+
+  /**
+   * Get every entry, newest first
+   */
+  async getAll() {
+    const entries = await this.runRequest('readonly', store => store.getAll());
+    return entries.sort((a, b) => b.sentAt - a.sentAt);
+  }
+
+  /**
+   * Get an entry by ID
+   */
+  async getEntry(id) {
+    return (await this.runRequest('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * Find entries whose title, author, work ID, destination or device contains the query
+   */
+  async search(query) {
+    const entries = await this.getAll();
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (terms.length === 0) {
+      return entries;
+    }
+
+    return entries.filter(entry => {
+      const haystack = [entry.title, entry.authorString, entry.workId, entry.seriesId, entry.destination, entry.deviceName, entry.format]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+  }
+
+  /**
+   * Delete an entry
+   */
+  async remove(id) {
+    await this.runRequest('readwrite', store => store.delete(id));
+    this.notifyChange();
+  }
+
+  /**
+   * Delete every entry
+   */
+  async clear() {
+    await this.runRequest('readwrite', store => store.clear());
+    this.notifyChange();
+  }
+
+  /**
+   * Fill in defaults and coerce types, for new and imported entries alike
+   */
+  normalizeEntry(entry) {
+    const toNumber = value => (value === '' || value === null || value === undefined) ? null : Number(value);
+    const sentAt = typeof entry.sentAt === 'number' ? entry.sentAt : Date.parse(entry.sentAt);
+
+    return {
+      kind: entry.kind || (entry.seriesId ? 'series' : 'work'),
+      workId: entry.workId ? String(entry.workId) : null,
+      seriesId: entry.seriesId ? String(entry.seriesId) : null,
+      url: entry.url || null,
+      title: entry.title || 'Unknown Title',
+      authorString: entry.authorString || '',
+      format: entry.format || null,
+      size: toNumber(entry.size),
+      destination: entry.destination || '',
+      destinationType: entry.destinationType || 'kindle',
+      deviceName: entry.deviceName || null,
+      sentAt: Number.isNaN(sentAt) ? Date.now() : sentAt,
+      messageId: entry.messageId || null,
+      outcome: entry.outcome === 'failed' ? 'failed' : 'sent',
+      error: entry.error || null,
+      chapterFrom: toNumber(entry.chapterFrom),
+      chapterTo: toNumber(entry.chapterTo)
+    };
+  }
+
+  /* =================================================================
+     Export & Import
+     ================================================================= */
+
+  /**
+   * Export every entry as JSON
+   */
+  async exportJson() {
+    const entries = (await this.getAll()).map(({ id, ...entry }) => entry);
+
+    return JSON.stringify({
+      app: 'ao3-to-kindle',
+      type: 'history',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entries
+    }, null, 2);
+  }
+
+  /**
+   * Export every entry as CSV, with ISO dates
+   */
+  async exportCsv() {
+    const rows = (await this.getAll()).map(entry => ({
+      ...entry,
+      sentAt: new Date(entry.sentAt).toISOString()
+    }));
+
+    return window.utilsManager.toCsv(rows, HISTORY_CSV_COLUMNS);
+  }
+
+  /**
+   * Import entries from a JSON or CSV export
+   * Entries already in the history (same work, destination and time) are skipped
+   * @returns {Promise<Object>} - { added, skipped }
+   */
+  async importText(text, fileName = '') {
+    const trimmed = text.trim();
+    let rawEntries;
+
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      let parsed;
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error('Import file is not valid JSON.');
+      }
+      rawEntries = Array.isArray(parsed) ? parsed : parsed.entries;
+    } else {
+      rawEntries = window.utilsManager.parseCsv(trimmed);
+    }
+
+    if (!Array.isArray(rawEntries)) {
+      throw new Error('Import file has no history entries.');
+    }
+
+    const existing = await this.getAll();
+    const keyOf = entry => `${entry.workId || entry.seriesId || entry.url}|${entry.destination}|${entry.sentAt}`;
+    const seen = new Set(existing.map(keyOf));
+    const toAdd = [];
+
+    rawEntries.forEach(raw => {
+      const entry = this.normalizeEntry(raw || {});
+      const key = keyOf(entry);
+      if (!seen.has(key)) {
+        seen.add(key);
+        toAdd.push(entry);
+      }
+    });
+
+    if (toAdd.length > 0) {
+      await this.runRequest('readwrite', store => {
+        toAdd.forEach(entry => store.add(entry));
+        return null;
+      });
+      this.notifyChange();
+    }
+
+    return { added: toAdd.length, skipped: rawEntries.length - toAdd.length };
+  }
+
+  /* =================================================================
+     Event Listeners
+     ================================================================= */
+
+  /**
+   * Add listener for history changes
+   */
+  onChange(callback) {
+    this.changeListeners.push(callback);
+  }
+
+  /**
+   * Remove history change listener
+   */
+  removeChangeListener(callback) {
+    const index = this.changeListeners.indexOf(callback);
+    if (index > -1) {
+      this.changeListeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners of a history change
+   */
+  notifyChange() {
+    this.changeListeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        console.error('Error in history change listener:', error);
+      }
+    });
+  }
+}
+
+/* =================================================================
+   Global History Manager Instance
+   ================================================================= */
+
+// Create global history manager instance
+window.historyManager = new HistoryManager();
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryManager;
+}
@@ -0,0 +1,137 @@
+/* =================================================================
+   AO3 to Kindle - Transfer Progress
+   Byte-level progress for downloads and uploads, as events any
+   part of the UI can subscribe to
+   ================================================================= */
+
+class ProgressManager {
+  constructor() {
+    this.nextTransferId = 1;
+
+    // Weight of the newest speed sample in the running average
+    this.speedSmoothing = 0.3;
+
+    // Event listeners for progress events
+    this.progressListeners = [];
+  }
+
+  /* =================================================================
+     Transfers
+     ================================================================= */
+
+  /**
+   * Start tracking a transfer
+   * @param {string} phase - 'download' or 'upload'
+   * @param {string} label - What is being transferred, for display
+   * @param {number|null} total - Size in bytes, or null if unknown
+   * @returns {Object} - { update(loaded, total), finish(), fail(error) }
+   */
+  startTransfer(phase, label, total = null) {
+    const transfer = {
+      id: this.nextTransferId++,
+      phase,
+      label,
+      total,
+      loaded: 0,
+      startedAt: Date.now(),
+      sampledAt: Date.now(),
+      sampledBytes: 0,
+      bytesPerSecond: null
+    };
+
+    this.notifyProgress(this.toEvent(transfer, 'start'));
+
+    return {
+      update: (loaded, newTotal = transfer.total) => this.updateTransfer(transfer, loaded, newTotal),
+      finish: () => this.notifyProgress(this.toEvent({ ...transfer, loaded: transfer.total || transfer.loaded }, 'done')),
+      fail: error => this.notifyProgress({ ...this.toEvent(transfer, 'failed'), error })
+    };
+  }
+
+  /**
+   * Record bytes transferred so far and work out the speed
+   */
+  updateTransfer(transfer, loaded, total) {
+    const now = Date.now();
+    const elapsed = (now - transfer.sampledAt) / 1000;
+
+    transfer.loaded = loaded;
+    transfer.total = total;
+
+    // Sample at most a few times a second so one quick chunk doesn't swing the estimate
+    if (elapsed >= 0.25) {
+      const sampleSpeed = (loaded - transfer.sampledBytes) / elapsed;
+      transfer.bytesPerSecond = transfer.bytesPerSecond === null
+        ? sampleSpeed
+        : this.speedSmoothing * sampleSpeed + (1 - this.speedSmoothing) * transfer.bytesPerSecond;
+      transfer.sampledAt = now;
+      transfer.sampledBytes = loaded;
+    }
+
+    this.notifyProgress(this.toEvent(transfer, 'progress'));
+  }
+
+  /**
+   * Build the event listeners receive
+   * @returns {Object} - { id, phase, label, state ('start', 'progress', 'done' or 'failed'),
+   *   loaded, total, percent (null if the size is unknown), bytesPerSecond, etaSeconds }
+   */
+  toEvent(transfer, state) {
+    const { id, phase, label, loaded, total, bytesPerSecond } = transfer;
+    const percent = total ? Math.min(100, Math.round(loaded / total * 100)) : null;
+    const etaSeconds = total && bytesPerSecond > 0
+      ? Math.max(0, Math.round((total - loaded) / bytesPerSecond))
+      : null;
+
+    return { id, phase, label, state, loaded, total, percent, bytesPerSecond, etaSeconds };
+  }
+
+  /* =================================================================
+     Event Listeners
+     ================================================================= */
+
+  /**
+   * Add listener for progress events
+   */
+  onProgress(callback) {
+    this.progressListeners.push(callback);
+  }
+
+  /**
+   * Remove progress listener
+   */
+  removeProgressListener(callback) {
+    const index = this.progressListeners.indexOf(callback);
+    if (index > -1) {
+      this.progressListeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners of a progress event
+   */
+  notifyProgress(event) {
+    this.progressListeners.forEach(callback => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error('Error in progress listener:', error);
+      }
+    });
+  }
+}
+
+/* =================================================================
+   Global Progress Manager Instance
+   ================================================================= */
+
+// Create global progress manager instance
+window.progressManager = new ProgressManager();
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProgressManager;
+}
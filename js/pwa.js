@@ -0,0 +1,133 @@
+/* =================================================================
+   AO3 to Kindle - Offline App
+   Service worker registration and the "new version" prompt
+   ================================================================= */
+
+class PwaManager {
+  constructor() {
+    this.registration = null;
+    this.isReloading = false;
+
+    // Event listeners for a new version being ready
+    this.updateListeners = [];
+  }
+
+  /* =================================================================
+     Registration
+     ================================================================= */
+
+  /**
+   * Register the service worker
+   * sw.js carries the release version, so a new release changes its bytes and the browser installs it as an update
+   */
+  async register() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+      console.log('Service workers not supported; the app will not work offline');
+      return;
+    }
+
+    try {
+      this.registration = await navigator.serviceWorker.register('sw.js');
+      console.log('Service worker registered');
+    } catch (error) {
+      console.warn('Failed to register service worker:', error);
+      return;
+    }
+
+    // A version installed on an earlier visit may already be waiting
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.notifyUpdate();
+    }
+
+    this.registration.addEventListener('updatefound', () => {
+      const worker = this.registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener('statechange', () => {
+        // With no controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.notifyUpdate();
+        }
+      });
+    });
+
+    // Reload once the new version has taken over
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.isReloading) return;
+      this.isReloading = true;
+      window.location.reload();
+    });
+  }
+
+  /**
+   * Switch to the waiting version; the page reloads when it takes over
+   */
+  applyUpdate() {
+    const waiting = this.registration && this.registration.waiting;
+
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    waiting.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  /* =================================================================
+     Event Listeners
+     ================================================================= */
+
+  /**
+   * Add listener for a new version being ready
+   */
+  onUpdateAvailable(callback) {
+    this.updateListeners.push(callback);
+  }
+
+  /**
+   * Remove update listener
+   */
+  removeUpdateListener(callback) {
+    const index = this.updateListeners.indexOf(callback);
+    if (index > -1) {
+      this.updateListeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners that a new version is ready
+   */
+  notifyUpdate() {
+    this.updateListeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        console.error('Error in update listener:', error);
+      }
+    });
+  }
+}
+
+/* =================================================================
+   Global PWA Manager Instance & Registration
+   ================================================================= */
+
+// Create global PWA manager instance
+window.pwaManager = new PwaManager();
+
+/**
+ * Register the service worker once the page has loaded, so it doesn't compete with it
+ */
+if (typeof window.addEventListener === 'function') {
+  window.addEventListener('load', () => {
+    window.pwaManager.register();
+  });
+}
+
+/* =================================================================
+   Export for ES6 modules (if needed)
+   ================================================================= */
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PwaManager;
+}
@@ -15,7 +15,7 @@ class UtilsManager {
   /**
    * Retry a network request with exponential backoff
    * @param {Function} requestFn - Function that returns a Promise
-   * @param {Object} options - Retry options
+   * @param {Object} options - Retry options; signal stops retrying once aborted
    * @returns {Promise} - Result of the request
    */
   async retryRequest(requestFn, options = {}) {
@@ -24,13 +24,16 @@ class UtilsManager {
       baseDelay = 1000, // 1 second
       maxDelay = 10000, // 10 seconds
       exponentialBase = 2,
-      jitter = true
+      jitter = true,
+      signal = null
     } = options;
 
     let lastError = null;
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
       try {
+        this.throwIfAborted(signal);
+
         console.log(`Attempt ${attempt + 1}/${maxRetries + 1}`);
         const result = await requestFn();
         
@@ -43,8 +46,8 @@ class UtilsManager {
         lastError = error;
         console.log(`Attempt ${attempt + 1} failed:`, error.message);
         
-        // Don't retry on certain errors
-        if (this.isNonRetryableError(error)) {
+        // Don't retry on certain errors, or once the user has cancelled
+        if (this.isAbortError(error) || this.isNonRetryableError(error)) {
           console.log('Non-retryable error, throwing immediately');
           throw error;
         }
@@ -77,7 +80,7 @@ class UtilsManager {
           console.log(`Waiting ${Math.round(delay)}ms before retry...`);
         }
         
-        await this.delay(delay);
+        await this.delay(delay, signal);
       }
     }
 
@@ -113,9 +116,57 @@ class UtilsManager {
 
   /**
    * Delay execution for specified milliseconds
+   * Rejects with an AbortError if the signal is aborted while waiting
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /* =================================================================
+     Cancellation
+     ================================================================= */
+
+  /**
+   * Error thrown when the user cancels, named like the one fetch throws
+   */
+  createAbortError() {
+    const error = new Error('Cancelled.');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Check whether an error came from cancelling (ours, fetch's or XMLHttpRequest's)
+   */
+  isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Throw an AbortError if the signal has been aborted
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this.createAbortError();
+    }
   }
 
   /* =================================================================
@@ -302,6 +353,104 @@ class UtilsManager {
     return `${Math.round(size * 100) / 100} ${units[i]}`;
   }
 
+  /* =================================================================
+     Base64 Encoding
+     ================================================================= */
+
+  /**
+   * Base64 encode bytes a chunk at a time
+   * Chunks are a multiple of 3 bytes, so their encodings join without padding in between
+   */
+  bytesToBase64(bytes, chunkSize = 3 * 0x4000) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const chunks = [];
+
+    for (let i = 0; i < view.length; i += chunkSize) {
+      chunks.push(btoa(String.fromCharCode.apply(null, view.subarray(i, i + chunkSize))));
+    }
+
+    return chunks.join('');
+  }
+
+  /**
+   * Decode base64 into bytes a chunk at a time
+   * Chunks are rounded down to a multiple of 4 characters, so each decodes on its own
+   */
+  base64ToBytes(base64, chunkSize = 4 * 0x4000) {
+    const clean = base64.replace(/\s+/g, '');
+    const padding = clean.endsWith('==') ? 2 : clean.endsWith('=') ? 1 : 0;
+    const firstPad = clean.indexOf('=');
+    const misplacedPadding = firstPad !== -1 && firstPad < clean.length - padding;
+
+    if (clean.length % 4 !== 0 || /[^A-Za-z0-9+/=]/.test(clean) || misplacedPadding) {
+      throw new Error('Invalid base64: the file data is corrupted or incomplete');
+    }
+
+    const step = Math.max(4, chunkSize - chunkSize % 4);
+    const bytes = new Uint8Array(clean.length / 4 * 3 - padding);
+    let offset = 0;
+
+    for (let i = 0; i < clean.length; i += step) {
+      const binary = atob(clean.slice(i, i + step));
+      for (let j = 0; j < binary.length; j++) {
+        bytes[offset++] = binary.charCodeAt(j);
+      }
+    }
+
+    return bytes;
+  }
+
+  /* =================================================================
+     AO3 Stats
+     ================================================================= */
+
+  /**
+   * Parse an AO3 chapter stat like "12/?" or "3/3"
+   * @returns {Object} - { published, total (null if unknown), isComplete }
+   */
+  parseChapterCount(chapters) {
+    const match = String(chapters || '').replace(/,/g, '').match(/(\d+)\s*\/\s*(\d+|\?)/);
+    if (!match) {
+      return { published: 0, total: null, isComplete: false };
+    }
+
+    const published = parseInt(match[1], 10);
+    const total = match[2] === '?' ? null : parseInt(match[2], 10);
+
+    return { published, total, isComplete: total !== null && published >= total };
+  }
+
+  /**
+   * Parse an AO3 count like "12,345" into a number
+   * @returns {number|null} - null if the text has no number
+   */
+  parseStatNumber(text) {
+    const digits = String(text || '').replace(/[^\d]/g, '');
+    return digits ? parseInt(digits, 10) : null;
+  }
+
+  /**
+   * Parse a chapter range typed by the user, like "13", "13-15" or "13-"
+   * @returns {Object} - { valid, from, to (null means latest), error }
+   */
+  parseChapterRange(text) {
+    const trimmed = String(text || '').trim();
+    const match = trimmed.match(/^(\d+)\s*(?:([-–])\s*(\d+)?)?$/);
+
+    if (!match) {
+      return { valid: false, error: 'Enter chapters like 13, 13-15 or 13- (13 to the latest)' };
+    }
+
+    const from = parseInt(match[1], 10);
+    const to = match[3] ? parseInt(match[3], 10) : (match[2] ? null : from);
+
+    if (from < 1 || (to !== null && to < from)) {
+      return { valid: false, error: 'The chapter range must start at 1 or later and end after it starts' };
+    }
+
+    return { valid: true, from, to };
+  }
+
   /* =================================================================
      URL Validation
      ================================================================= */
@@ -341,12 +490,40 @@ class UtilsManager {
         };
       }
 
+      // Check path pattern for series
+      const seriesMatch = urlObj.pathname.match(/^\/series\/(\d+)\/?$/);
+      if (seriesMatch) {
+        const seriesId = seriesMatch[1];
+        if (seriesId.length > 10) {
+          return { valid: false, error: 'Invalid series ID in URL' };
+        }
+
+        return {
+          valid: true,
+          type: 'series',
+          seriesId,
+          originalUrl: trimmedUrl,
+          cleanUrl: `https://archiveofourown.org/series/${seriesId}`
+        };
+      }
+
+      // Check path patterns for listing pages (bookmarks, readings, collections, tags)
+      const listing = this.matchAO3Listing(urlObj);
+      if (listing) {
+        return {
+          valid: true,
+          type: 'listing',
+          ...listing,
+          originalUrl: trimmedUrl
+        };
+      }
+
       // Check path pattern for works
       const workMatch = urlObj.pathname.match(/^\/works\/(\d+)(?:\/chapters\/\d+)?(?:\/.*)?$/);
       if (!workMatch) {
         return { 
           valid: false, 
-          error: 'URL must be a valid AO3 work URL (e.g., https://archiveofourown.org/works/12345)' 
+          error: 'URL must be an AO3 work, series, bookmarks, collection or tag URL (e.g., https://archiveofourown.org/works/12345)' 
         };
       }
 
@@ -357,6 +534,7 @@ class UtilsManager {
 
       return { 
         valid: true, 
+        type: 'work',
         workId, 
         originalUrl: trimmedUrl,
         cleanUrl: `https://archiveofourown.org/works/${workId}`
@@ -367,6 +545,111 @@ class UtilsManager {
     }
   }
 
+  /**
+   * Match AO3 listing pages that contain a list of works
+   * @param {URL} urlObj - Parsed AO3 URL
+   * @returns {Object|null} - { listingType, label, cleanUrl } or null if not a listing
+   */
+  matchAO3Listing(urlObj) {
+    const path = urlObj.pathname.replace(/\/$/, '');
+    const patterns = [
+      {
+        listingType: 'bookmarks',
+        regex: /^\/users\/([^/]+)(?:\/pseuds\/[^/]+)?\/bookmarks$/,
+        label: name => `${name}'s bookmarks`
+      },
+      {
+        listingType: 'readings',
+        regex: /^\/users\/([^/]+)\/readings$/,
+        label: name => `${name}'s Marked for Later`
+      },
+      {
+        listingType: 'collection',
+        regex: /^\/collections\/([^/]+)\/works$/,
+        label: name => `Collection: ${name}`
+      },
+      {
+        listingType: 'tag',
+        regex: /^\/tags\/([^/]+)\/works$/,
+        label: name => `Tag: ${name}`
+      }
+    ];
+
+    for (const pattern of patterns) {
+      const match = path.match(pattern.regex);
+      if (!match) continue;
+
+      // Keep filters (e.g. show=to-read) but drop the page number
+      const params = new URLSearchParams(urlObj.search);
+      params.delete('page');
+      if (pattern.listingType === 'readings' && !params.has('show')) {
+        params.set('show', 'to-read');
+      }
+      const query = params.toString();
+
+      return {
+        listingType: pattern.listingType,
+        label: pattern.label(decodeURIComponent(match[1])),
+        cleanUrl: `https://archiveofourown.org${path}${query ? `?${query}` : ''}`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract AO3 URLs from a pasted block of text (one or more per line)
+   * @param {string} text - Raw text containing URLs
+   * @returns {Object} - { urls: unique clean URLs in order, invalid: rejected entries }
+   */
+  extractAO3Urls(text) {
+    const urls = [];
+    const invalid = [];
+
+    if (!text || typeof text !== 'string') {
+      return { urls, invalid };
+    }
+
+    const candidates = text.split(/[\s,]+/).filter(Boolean);
+
+    candidates.forEach(candidate => {
+      const validation = this.validateAO3Url(candidate);
+      if (!validation.valid || validation.type !== 'work') {
+        invalid.push(candidate);
+        return;
+      }
+
+      if (!urls.includes(validation.cleanUrl)) {
+        urls.push(validation.cleanUrl);
+      }
+    });
+
+    return { urls, invalid };
+  }
+
+  /**
+   * Find AO3 work and series links anywhere in free text, such as a shared message
+   * Unlike extractAO3Urls, surrounding words and punctuation are ignored
+   * @returns {Object} - { works: clean work URLs, series: clean series URLs }
+   */
+  findAO3Links(text) {
+    const works = [];
+    const series = [];
+    const matches = String(text || '').match(/https?:\/\/(?:www\.)?archiveofourown\.org\/[^\s<>"'()[\]]+/gi) || [];
+
+    matches.forEach(match => {
+      const validation = this.validateAO3Url(match.replace('://www.', '://').replace(/[.,;:!?]+$/, ''));
+      if (!validation.valid) return;
+
+      const list = validation.type === 'work' ? works : validation.type === 'series' ? series : null;
+      if (list && !list.includes(validation.cleanUrl)) {
+        list.push(validation.cleanUrl);
+      }
+    });
+
+    return { works, series };
+  }
+
   /**
    * Validate email format
    */
@@ -398,7 +681,8 @@ class UtilsManager {
     }
 
     const trimmedEmail = emailValidation.email.toLowerCase();
-    const kindleDomains = ['@kindle.com', '@free.kindle.com'];
+    const kindleDomains = (typeof CONFIG !== 'undefined' && CONFIG.KINDLE_EMAIL_DOMAINS) ||
+      ['@kindle.com', '@free.kindle.com'];
     
     if (!kindleDomains.some(domain => trimmedEmail.endsWith(domain))) {
       return { 
@@ -439,6 +723,90 @@ class UtilsManager {
     };
   }
 
+  /**
+   * Format a number of seconds as a short duration, e.g. "45s" or "2m 05s"
+   */
+  formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    if (total < 60) {
+      return `${total}s`;
+    }
+
+    const minutes = Math.floor(total / 60);
+    return `${minutes}m ${String(total % 60).padStart(2, '0')}s`;
+  }
+
+  /* =================================================================
+     CSV
+     ================================================================= */
+
+  /**
+   * Convert rows of objects to CSV text with a header line
+   * @param {Object[]} rows - Objects to write
+   * @param {string[]} columns - Property names, in column order
+   */
+  toCsv(rows, columns) {
+    const escapeCell = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.join(','),
+      ...rows.map(row => columns.map(column => escapeCell(row[column])).join(','))
+    ].join('\r\n');
+  }
+
+  /**
+   * Parse CSV text with a header line into objects keyed by column name
+   * Handles quoted cells containing commas, quotes and line breaks
+   */
+  parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(cell);
+        records.push(record);
+        record = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || record.length > 0) {
+      record.push(cell);
+      records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(row => row.some(value => value !== ''));
+
+    return rows.map(row => Object.fromEntries(
+      header.map((column, index) => [column.trim(), row[index] !== undefined ? row[index] : ''])
+    ));
+  }
+
   /* =================================================================
      Initialization
      ================================================================= */
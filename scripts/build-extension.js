@@ -0,0 +1,42 @@
+/* =================================================================
+   AO3 to Kindle - Extension Build
+   Copy the web app's modules into extension/shared/, which the
+   extension's manifest and settings page load them from
+   ================================================================= */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SHARED_DIR = path.join(ROOT, 'extension', 'shared');
+
+// File in extension/shared/ -> source in the repo
+const SHARED_FILES = {
+  'config.js': 'js/config.prod.js',
+  'utils.js': 'js/utils.js',
+  'formats.js': 'js/formats.js',
+  'progress.js': 'js/progress.js',
+  'auth.js': 'js/auth.js',
+  'gmail.js': 'js/gmail.js',
+  'epub.js': 'js/epub.js',
+  'ao3.js': 'js/ao3.js',
+  'destinations.js': 'js/destinations.js',
+  'devices.js': 'js/devices.js',
+  'styles.css': 'css/styles.css'
+};
+
+/**
+ * Replace extension/shared/ with fresh copies of the app's files
+ */
+function buildExtension() {
+  fs.rmSync(SHARED_DIR, { recursive: true, force: true });
+  fs.mkdirSync(SHARED_DIR, { recursive: true });
+
+  for (const [name, source] of Object.entries(SHARED_FILES)) {
+    fs.copyFileSync(path.join(ROOT, source), path.join(SHARED_DIR, name));
+  }
+
+  console.log(`Copied ${Object.keys(SHARED_FILES).length} files to extension/shared/`);
+}
+
+buildExtension();
@@ -0,0 +1,104 @@
+/* =================================================================
+   AO3 to Kindle - Service Worker
+   Precaches the app shell so the installed app opens offline
+   ================================================================= */
+
+// Bump on every release. The browser only installs a new worker when this file's bytes change,
+// and each version serves the HTML and scripts it precached together, from its own cache
+const APP_VERSION = '1.0.0';
+const CACHE_PREFIX = 'ao3-kindle-';
+const CACHE_NAME = `${CACHE_PREFIX}${APP_VERSION}`;
+
+// Paths are relative to this file, so the app works from a GitHub Pages subfolder
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.json',
+  'css/styles.css',
+  'js/config.js',
+  'js/utils.js',
+  'js/formats.js',
+  'js/progress.js',
+  'js/auth.js',
+  'js/gmail.js',
+  'js/epub.js',
+  'js/cover.js',
+  'js/ao3.js',
+  'js/batch.js',
+  'js/follow.js',
+  'js/history.js',
+  'js/destinations.js',
+  'js/devices.js',
+  'js/pwa.js',
+  'js/app.js'
+];
+
+/* =================================================================
+   Lifecycle
+   ================================================================= */
+
+/**
+ * Cache the app shell
+ * The new worker then waits until the page asks it to take over
+ */
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+/**
+ * Drop caches left by earlier versions
+ */
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Take over when the user accepts the update prompt
+ */
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+/* =================================================================
+   Requests
+   ================================================================= */
+
+/**
+ * Serve the app shell from the cache
+ * AO3, the CORS proxy and Google APIs are never cached
+ */
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  // Pages: this version's shell, so the HTML always matches the scripts cached with it
+  // Shared links arrive in the query string, which the page reads from its own URL
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true })
+        .then(cached => cached || fetch(request))
+        .catch(() => caches.match('index.html', { cacheName: CACHE_NAME }))
+    );
+    return;
+  }
+
+  // Scripts and styles: this version's copy ("?v=" cache busters on script tags are ignored)
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true })
+      .then(cached => cached || fetch(request))
+  );
+});
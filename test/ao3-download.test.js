@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app-helpers.js');
+
+const window = loadApp();
+const ao3 = window.ao3Manager;
+
+const PROXY = 'https://proxy.test';
+const DOWNLOAD_URL = 'https://archiveofourown.org/downloads/123456/123456.epub?updated_at=1712345678';
+const JOB_ID = '0b5c9f0e-8d7a-4c3b-9a1e-2f6d4c8b7a10';
+const FILE = new TextEncoder().encode('PK epub bytes');
+
+// init() rereads the proxy URL from the config
+window.eval(`CONFIG.CORS_PROXY_URL = '${PROXY}'`);
+ao3.corsProxyUrl = PROXY;
+ao3.jobPollInterval = 10;
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+/**
+ * Stand in for the worker, recording each request the app makes
+ * @param {Object} routes - { jobs(request), status(count), result(), proxy() } answering each route
+ */
+function stubWorker(routes) {
+  const requests = [];
+  let statusChecks = 0;
+
+  window.fetch = async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    requests.push({ method: init.method || 'GET', url });
+
+    if (pathname === '/jobs') return routes.jobs();
+    if (pathname === `/jobs/${JOB_ID}`) return routes.status(++statusChecks);
+    if (pathname === `/jobs/${JOB_ID}/result`) return routes.result();
+    return routes.proxy();
+  };
+
+  return requests;
+}
+
+const job = (state, extra = {}) => ({
+  id: JOB_ID,
+  state,
+  statusUrl: `/jobs/${JOB_ID}`,
+  resultUrl: state === 'done' ? `/jobs/${JOB_ID}/result` : null,
+  pollAfter: null,
+  size: null,
+  ...extra
+});
+
+test('downloads through the proxy go straight to a download job', async () => {
+  const requests = stubWorker({
+    jobs: () => json(job('queued'), 202),
+    status: count => json(count < 3 ? job('running') : job('done', { size: FILE.length })),
+    result: () => new Response(FILE, { headers: { 'Content-Type': 'application/epub+zip' } }),
+    proxy: () => assert.fail('the file should not be fetched through the proxy directly')
+  });
+
+  const fileData = await ao3.downloadFile(DOWNLOAD_URL, 'epub');
+
+  assert.equal(fileData.size, FILE.length);
+  assert.equal(fileData.format, 'epub');
+  assert.equal(requests[0].method, 'POST');
+  assert.equal(new URL(requests[0].url).searchParams.get('url'), DOWNLOAD_URL);
+  assert.deepEqual(requests.map(request => new URL(request.url).pathname), [
+    '/jobs',
+    `/jobs/${JOB_ID}`,
+    `/jobs/${JOB_ID}`,
+    `/jobs/${JOB_ID}`,
+    `/jobs/${JOB_ID}/result`
+  ]);
+});
+
+test('reports a failed download job', async () => {
+  stubWorker({
+    jobs: () => json(job('queued'), 202),
+    status: () => json(job('failed', { error: 'File is too large. Gmail has a 25MB attachment limit.' })),
+    result: () => assert.fail('a failed job has no result'),
+    proxy: () => assert.fail('a failed job should not be retried directly')
+  });
+
+  await assert.rejects(ao3.downloadFile(DOWNLOAD_URL, 'epub'), /File is too large/);
+});
+
+test('falls back to the proxy itself when the worker has no download jobs', async () => {
+  const requests = stubWorker({
+    jobs: () => json({ error: 'Download jobs are not enabled on this proxy' }, 404),
+    status: () => assert.fail('no job was created'),
+    result: () => assert.fail('no job was created'),
+    proxy: () => new Response(FILE, { headers: { 'Content-Type': 'application/epub+zip', 'Content-Length': String(FILE.length) } })
+  });
+
+  const fileData = await ao3.downloadFile(DOWNLOAD_URL, 'epub');
+
+  assert.equal(fileData.size, FILE.length);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].url, `${PROXY}?url=${encodeURIComponent(DOWNLOAD_URL)}`);
+});
@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readFixture } = require('./app-helpers.js');
+
+const window = loadApp();
+const ao3 = window.ao3Manager;
+
+const WORK_URL = 'https://archiveofourown.org/works/123456';
+
+// Values built inside the jsdom window have its own Array/Object prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('parseWorkPage reads metadata from a saved work page', () => {
+  const metadata = plain(ao3.parseWorkPage(readFixture('work-full.html'), WORK_URL));
+
+  assert.equal(metadata.workId, '123456');
+  assert.equal(metadata.title, 'The Long Way Home');
+  assert.deepEqual(metadata.authors, ['saltwater', 'tidepool']);
+  assert.equal(metadata.authorString, 'saltwater, tidepool');
+  assert.equal(metadata.summary, "Two keepers, one lighthouse & a storm that won't pass.");
+  assert.equal(metadata.rating, 'Teen And Up Audiences');
+  assert.deepEqual(metadata.warnings, ['No Archive Warnings Apply']);
+  assert.deepEqual(metadata.categories, ['F/F', 'Gen']);
+  assert.deepEqual(metadata.fandoms, ['Original Work']);
+  assert.deepEqual(metadata.relationships, ['Mara/Ines']);
+  assert.deepEqual(metadata.characters, ['Mara', 'Ines', 'The Lighthouse Keeper']);
+  assert.deepEqual(metadata.freeformTags, ['Slow Burn', 'Found Family', 'Hurt/Comfort']);
+  assert.equal(metadata.language, 'English');
+  assert.deepEqual(metadata.series, [{ seriesId: '4321', title: 'Coastlines', position: 2 }]);
+  assert.equal(metadata.published, '2023-05-01');
+  assert.equal(metadata.updated, '2024-04-05');
+  assert.equal(metadata.completed, null);
+  assert.equal(metadata.words, 12345);
+  assert.equal(metadata.chapters, '2/3');
+  assert.equal(metadata.isComplete, false);
+  assert.deepEqual(metadata.stats, { kudos: 1024, hits: 20480, bookmarks: 87, comments: 42 });
+  assert.equal(metadata.downloadUrls.epub, 'https://archiveofourown.org/downloads/123456/123456.epub?updated_at=1712345678');
+});
+
+test('parseWorkPage handles anonymous one-shots', () => {
+  const metadata = plain(ao3.parseWorkPage(readFixture('work-oneshot.html'), 'https://archiveofourown.org/works/789'));
+
+  assert.equal(metadata.title, 'Salt');
+  assert.deepEqual(metadata.authors, []);
+  assert.equal(metadata.authorString, 'Unknown Author');
+  assert.deepEqual(metadata.series, []);
+  assert.equal(metadata.isComplete, true);
+  assert.equal(metadata.stats.comments, null);
+  assert.equal(metadata.downloadUrls.epub, 'https://archiveofourown.org/downloads/789/789.epub');
+});
+
+test('parseFullWork splits chapters and keeps their notes', () => {
+  const fullWork = plain(ao3.parseFullWork(readFixture('work-full.html'), WORK_URL));
+
+  assert.equal(fullWork.chapters.length, 2);
+
+  const [first, second] = fullWork.chapters;
+  assert.equal(first.number, 1);
+  assert.equal(first.title, 'Chapter 1: Low Tide');
+  assert.match(first.html, /<p>The ferry was late\.<\/p>/);
+  assert.match(first.html, /<br \/>/, 'chapter HTML should be serialized as XHTML');
+  assert.doesNotMatch(first.html, /Chapter Text/, 'screen-reader landmarks should be dropped');
+  assert.match(first.summaryHtml, /Mara arrives on the island\./);
+  assert.match(first.notesHtml, /Chapter one notes\./);
+  assert.match(first.endNotesHtml, /Thanks for reading!/);
+
+  assert.equal(second.title, 'Chapter 2: High Water');
+  assert.match(second.html, /<hr \/>/);
+  assert.equal(second.notesHtml, null);
+  assert.equal(second.endNotesHtml, null);
+
+  assert.match(fullWork.summaryHtml, /a storm that won't pass/);
+  assert.match(fullWork.notesHtml, /Coastlines exchange/);
+  assert.match(fullWork.endNotesHtml, /The last chapter is on its way\./);
+
+  const labels = fullWork.tags.map(tag => tag.label);
+  assert.deepEqual(labels, ['Rating', 'Archive Warning', 'Categories', 'Fandom', 'Relationship', 'Characters', 'Additional Tags', 'Language']);
+  assert.deepEqual(fullWork.tags.find(tag => tag.label === 'Language').values, ['English']);
+});
+
+test('parseFullWork reads a one-shot without chapter wrappers', () => {
+  const fullWork = plain(ao3.parseFullWork(readFixture('work-oneshot.html'), 'https://archiveofourown.org/works/789'));
+
+  assert.equal(fullWork.chapters.length, 1);
+  assert.equal(fullWork.chapters[0].title, 'Salt');
+  assert.match(fullWork.chapters[0].html, /The sea kept everything it was given\./);
+  assert.equal(fullWork.summaryHtml, null);
+});
+
+test('buildEpubFromHtml builds an EPUB from a saved work page', async () => {
+  const { metadata, file } = ao3.buildEpubFromHtml(readFixture('work-full.html'), WORK_URL);
+
+  assert.equal(metadata.builtInBrowser, true);
+  assert.equal(file.format, 'epub');
+  assert.match(file.fileName, /\.epub$/);
+
+  const bytes = new Uint8Array(Buffer.from(file.data, 'base64'));
+  assert.equal(file.size, bytes.byteLength);
+
+  const entries = window.epubBuilder.readZip(bytes);
+  const names = Array.from(entries, entry => entry.name);
+  assert.equal(names[0], 'mimetype');
+  assert.ok(names.includes('META-INF/container.xml'));
+  assert.ok(names.includes('OEBPS/content.opf'));
+  assert.ok(names.includes('OEBPS/nav.xhtml'));
+
+  const texts = await Promise.all(Array.from(entries, entry => window.epubBuilder.readZipText(entry)));
+  const opf = texts[names.indexOf('OEBPS/content.opf')];
+  assert.match(opf, /<dc:title[^>]*>The Long Way Home<\/dc:title>/);
+  assert.match(opf, /<dc:language>en<\/dc:language>/);
+
+  const nav = texts[names.indexOf('OEBPS/nav.xhtml')];
+  assert.match(nav, /Chapter 1: Low Tide/);
+  assert.match(nav, /Chapter 2: High Water/);
+  assert.ok(texts.some(text => text.includes('By morning the causeway was gone.')));
+});
+
+test('buildEpubFromHtml refuses pages without chapter text', () => {
+  assert.throws(
+    () => ao3.buildEpubFromHtml(readFixture('login.html'), WORK_URL),
+    /Could not find any chapter text/
+  );
+});
+
+test('parseSeriesPage lists the works in series order', () => {
+  const series = plain(ao3.parseSeriesPage(readFixture('series.html'), '4321'));
+
+  assert.equal(series.title, 'Coastlines');
+  assert.deepEqual(series.authors, ['saltwater', 'tidepool']);
+  assert.equal(series.description, 'Stories from the edge of the map.');
+  assert.equal(series.url, 'https://archiveofourown.org/series/4321');
+  assert.equal(series.nextPageUrl, 'https://archiveofourown.org/series/4321?page=2');
+  assert.deepEqual(series.works.map(work => work.workId), ['111', '123456', '789']);
+});
+
+test('parseWorkBlurb reads a work blurb', () => {
+  const doc = new window.DOMParser().parseFromString(readFixture('series.html'), 'text/html');
+  const [first, second, anonymous] = Array.from(doc.querySelectorAll('li.work.blurb'), blurb => plain(ao3.parseWorkBlurb(blurb)));
+
+  assert.deepEqual(first, {
+    workId: '111',
+    title: 'First Light',
+    authorString: 'saltwater',
+    fandoms: ['Original Work'],
+    summary: 'Where it began.',
+    url: 'https://archiveofourown.org/works/111',
+    wordCount: '3,210',
+    chapters: '1/1'
+  });
+  assert.equal(second.authorString, 'saltwater, tidepool');
+  assert.equal(second.chapters, '2/3');
+  assert.equal(anonymous.authorString, 'Anonymous');
+  assert.equal(anonymous.summary, '');
+});
+
+test('parseListingPage skips series and external bookmarks and reads pagination', () => {
+  const listing = plain(ao3.parseListingPage(readFixture('bookmarks.html'), 1));
+
+  assert.equal(listing.heading, '1 - 3 of 45 Bookmarks by saltwater');
+  assert.deepEqual(listing.works.map(work => work.workId), ['123456']);
+  assert.equal(listing.page, 1);
+  assert.equal(listing.totalPages, 3);
+  assert.equal(listing.hasNext, true);
+  assert.equal(listing.hasPrevious, false);
+});
+
+test('parseListingPage reports private lists that redirect to the login form', () => {
+  assert.throws(
+    () => ao3.parseListingPage(readFixture('login.html'), 1),
+    /private on AO3/
+  );
+});
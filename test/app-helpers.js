@@ -0,0 +1,54 @@
+/* =================================================================
+   AO3 to Kindle - App Test Helpers
+   Load the browser scripts into a jsdom window and read saved AO3 pages
+   ================================================================= */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same order as index.html, limited to the managers the tests use
+const APP_SCRIPTS = [
+  'js/config.prod.js',
+  'js/utils.js',
+  'js/formats.js',
+  'js/progress.js',
+  'js/gmail.js',
+  'js/epub.js',
+  'js/ao3.js',
+  'js/destinations.js',
+  'js/devices.js'
+];
+
+/**
+ * Create a window with the app's managers on it (window.ao3Manager, window.epubBuilder, ...)
+ * Console output from the scripts is dropped to keep test output readable
+ */
+function loadApp() {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    url: 'http://localhost:8080/',
+    runScripts: 'outside-only'
+  });
+  const { window } = dom;
+
+  window.console = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+
+  for (const script of APP_SCRIPTS) {
+    window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+  }
+
+  return window;
+}
+
+/**
+ * Read a saved AO3 page from test/fixtures
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+module.exports = { loadApp, readFixture };
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app-helpers.js');
+
+const window = loadApp();
+const devices = window.deviceManager;
+
+test('a free address with the box unticked stays free', () => {
+  const device = devices.validateDevice({ name: 'Oasis', email: 'reader@free.kindle.com', format: 'epub', isFree: null });
+
+  assert.equal(device.isFree, true);
+  assert.equal(device.email, 'reader@free.kindle.com');
+  assert.equal(devices.getDeliveryEmail(device), 'reader@free.kindle.com');
+});
+
+test('a paid address with the box unticked stays paid', () => {
+  const device = devices.validateDevice({ name: 'Oasis', email: 'reader@kindle.com', format: 'epub', isFree: null });
+
+  assert.equal(device.isFree, false);
+  assert.equal(devices.getDeliveryEmail(device), 'reader@kindle.com');
+});
+
+test('an explicit flag rewrites the stored address to match', () => {
+  const free = devices.validateDevice({ name: 'Oasis', email: 'Reader@Kindle.com', format: 'epub', isFree: true });
+  assert.equal(free.email, 'reader@free.kindle.com');
+  assert.equal(free.isFree, true);
+
+  const paid = devices.validateDevice({ name: 'Oasis', email: 'reader@free.kindle.com', format: 'epub', isFree: false });
+  assert.equal(paid.email, 'reader@kindle.com');
+  assert.equal(paid.isFree, false);
+});
+
+test('switching a saved device between free and paid keeps its address in step', () => {
+  const device = devices.addDevice({ name: 'Paperwhite', email: 'reader@free.kindle.com', format: 'epub', isFree: null });
+  assert.equal(device.isFree, true);
+
+  const paid = devices.updateDevice(device.id, { isFree: false });
+  assert.equal(paid.email, 'reader@kindle.com');
+  assert.equal(devices.toDestination(paid).email, 'reader@kindle.com');
+
+  const free = devices.updateDevice(device.id, { isFree: true });
+  assert.equal(free.email, 'reader@free.kindle.com');
+  devices.removeDevice(device.id);
+});
+
+test('only Kindles can be free', () => {
+  const device = devices.validateDevice({ name: 'PocketBook', email: 'reader@pbsync.com', format: 'epub', isFree: true });
+
+  assert.equal(device.type, 'pocketbook');
+  assert.equal(device.isFree, false);
+  assert.equal(device.email, 'reader@pbsync.com');
+});
+
+test('status messages name each destination once, whatever it is', () => {
+  const oasis = { type: 'kindle', name: 'Oasis', email: 'reader@kindle.com' };
+  const pocketbook = { type: 'pocketbook', name: null, email: 'reader@pbsync.com' };
+  const download = window.destinationManager.getDownloadDestination();
+
+  assert.equal(devices.describeDestinations([pocketbook]), 'reader@pbsync.com');
+  assert.equal(devices.describeDestinations([download]), 'your downloads');
+  assert.equal(
+    devices.describeDestinations([oasis, pocketbook, oasis, download]),
+    'Oasis, reader@pbsync.com and your downloads'
+  );
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app-helpers.js');
+
+const window = loadApp();
+const gmail = window.gmailManager;
+
+/**
+ * The attachment part's headers from a MIME message
+ */
+async function attachmentHeaders(fileName) {
+  const message = gmail.createMimeMessage('me@kindle.com', 'Title', '<p>Body</p>', {
+    name: fileName,
+    mimeType: 'application/epub+zip',
+    data: 'UEs='
+  });
+  const text = await message.text();
+  return text.slice(text.indexOf('Content-Type: application/epub+zip'));
+}
+
+test('ASCII file names are plain quoted parameters', async () => {
+  const headers = await attachmentHeaders('The "Long" Way Home.epub');
+
+  assert.match(headers, /^Content-Type: application\/epub\+zip; name="The \\"Long\\" Way Home\.epub"\r\n/);
+  assert.match(headers, /Content-Disposition: attachment; filename="The \\"Long\\" Way Home\.epub"\r\n/);
+  assert.doesNotMatch(headers, /\*=|=\?UTF-8\?/);
+});
+
+test('non-ASCII file names use RFC 2231 with an ASCII fallback', async () => {
+  const headers = await attachmentHeaders("Café (Pokémon) 東京's.epub");
+
+  assert.match(headers, /; name="Cafe \(Pokemon\) __'s\.epub"; name\*=UTF-8''Caf%C3%A9%20%28Pok%C3%A9mon%29%20%E6%9D%B1%E4%BA%AC%27s\.epub\r\n/);
+  assert.match(headers, /; filename="Cafe \(Pokemon\) __'s\.epub"; filename\*=UTF-8''Caf%C3%A9%20%28Pok%C3%A9mon%29%20%E6%9D%B1%E4%BA%AC%27s\.epub\r\n/);
+  assert.doesNotMatch(headers, /=\?UTF-8\?/, 'encoded-words are not allowed in parameters');
+});
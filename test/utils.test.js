@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./app-helpers.js');
+
+const window = loadApp();
+const utils = window.utilsManager;
+
+const BYTES = Uint8Array.from({ length: 1000 }, (_, i) => (i * 37) % 256);
+
+test('base64ToBytes reverses bytesToBase64 for every padding length', () => {
+  for (const length of [0, 1, 2, 3, 999, 1000]) {
+    const bytes = BYTES.subarray(0, length);
+    const decoded = utils.base64ToBytes(utils.bytesToBase64(bytes));
+    assert.deepEqual(Array.from(decoded), Array.from(bytes));
+  }
+});
+
+test('base64ToBytes decodes wrapped base64 with any chunk size', () => {
+  const wrapped = utils.bytesToBase64(BYTES).replace(/.{1,76}/g, '$&\r\n');
+
+  for (const chunkSize of [1, 4, 7, 10, 4 * 0x4000]) {
+    assert.deepEqual(Array.from(utils.base64ToBytes(wrapped, chunkSize)), Array.from(BYTES));
+  }
+});
+
+test('base64ToBytes refuses malformed input with a clear error', () => {
+  for (const input of ['UEs', 'UEsDB', 'UE$=', 'U=sD', 'UEs===', 'UE=s']) {
+    assert.throws(() => utils.base64ToBytes(input), /Invalid base64/, input);
+  }
+});
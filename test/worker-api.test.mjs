@@ -0,0 +1,68 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { startWorker, proxyPath, htmlResponse, APP_ORIGIN } from "./worker-helpers.mjs";
+
+const WORK_PAGE = readFileSync(new URL("./fixtures/work-full.html", import.meta.url), "utf8");
+
+const worker = startWorker(() => htmlResponse(WORK_PAGE), {
+  bindings: { RATE_LIMIT_REQUESTS: "3", RATE_LIMIT_WINDOW_SECONDS: "60" },
+});
+
+after(() => worker.dispose());
+
+test("lets clients without an Origin read the work API, without CORS headers", async () => {
+  const response = await worker.request("/api/work/123456", { origin: null, ip: "198.51.100.50" });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("Access-Control-Allow-Origin"), null);
+  assert.equal(response.headers.get("Vary"), null);
+
+  const metadata = await response.json();
+  assert.equal(metadata.workId, "123456");
+  assert.equal(metadata.title, "The Long Way Home");
+  assert.deepEqual(metadata.authors, ["saltwater", "tidepool"]);
+});
+
+test("answers the app's origin with CORS headers and refuses other origins", async () => {
+  const app = await worker.request("/api/work/123456", { ip: "198.51.100.51" });
+  assert.equal(app.status, 200);
+  assert.equal(app.headers.get("Access-Control-Allow-Origin"), APP_ORIGIN);
+  await app.json();
+
+  const other = await worker.request("/api/work/123456", { origin: "https://evil.example", ip: "198.51.100.51" });
+  assert.equal(other.status, 403);
+  assert.equal((await other.json()).error, "Origin not allowed");
+});
+
+test("keeps the proxy and download jobs for the app's own pages", async () => {
+  const proxied = await worker.request(proxyPath("https://archiveofourown.org/works/123456"), {
+    origin: null,
+    ip: "198.51.100.52",
+  });
+  assert.equal(proxied.status, 403);
+  await proxied.arrayBuffer();
+
+  const job = await worker.request(`/jobs${proxyPath("https://archiveofourown.org/downloads/123456/Title.epub")}`, {
+    method: "POST",
+    origin: null,
+    ip: "198.51.100.52",
+  });
+  assert.equal(job.status, 403);
+  await job.arrayBuffer();
+});
+
+test("rate limits clients without an Origin like the app", async () => {
+  const ip = "198.51.100.53";
+  for (let i = 0; i < 3; i++) {
+    const response = await worker.request("/api/work/123456", { origin: null, ip });
+    assert.equal(response.status, 200);
+    await response.arrayBuffer();
+  }
+
+  const limited = await worker.request("/api/work/123456", { origin: null, ip });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("Retry-After")) > 0);
+  assert.equal(limited.headers.get("Access-Control-Allow-Origin"), null);
+  await limited.arrayBuffer();
+});
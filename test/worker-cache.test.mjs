@@ -0,0 +1,254 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startWorker, proxyPath } from "./worker-helpers.mjs";
+
+const EPUB = "PK".padEnd(200000, "epub bytes ");
+const SLOW_CHUNK_DELAY_MS = 400;
+
+// When the stubbed AO3 finished sending each slow download
+const finishedAt = {};
+
+/**
+ * A download that AO3 sends in two parts, the second after a pause
+ */
+function slowDownload(path, { withLength = true, headers = {} } = {}) {
+  const bytes = new TextEncoder().encode(EPUB);
+  const half = bytes.length / 2;
+  const body = new ReadableStream({
+    async start(controller) {
+      controller.enqueue(bytes.slice(0, half));
+      await new Promise((resolve) => setTimeout(resolve, SLOW_CHUNK_DELAY_MS));
+      controller.enqueue(bytes.slice(half));
+      controller.close();
+      finishedAt[path] = Date.now();
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "application/epub+zip",
+      ...(withLength ? { "Content-Length": String(bytes.length) } : {}),
+      ...headers,
+    },
+  });
+}
+
+/**
+ * An AO3 that can go down after the first download: set `state` to "down" for 503s,
+ * or "slow" to stall past a job's timeout
+ */
+function unreliableAO3() {
+  const ao3 = { state: "up" };
+
+  ao3.answer = async (request) => {
+    if (ao3.state === "down") {
+      return new Response("Down for maintenance", { status: 503, headers: { "Retry-After": "60" } });
+    }
+    if (ao3.state === "slow") {
+      await new Promise((resolve) => setTimeout(resolve, 3000));
+      return new Response("Gateway timeout", { status: 504 });
+    }
+    return slowDownload(new URL(request.url).pathname);
+  };
+
+  return ao3;
+}
+
+const PURGE_TOKEN = "test-purge-token";
+
+const downloadUrl = (workId) => `https://archiveofourown.org/downloads/${workId}/Title.epub?updated_at=1700000000`;
+const waitForCacheWrite = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+const r2 = startWorker((request) => slowDownload(new URL(request.url).pathname), {
+  bindings: { RATE_LIMIT_REQUESTS: "100", PURGE_TOKEN },
+  r2Buckets: ["CACHE_BUCKET"],
+});
+
+const kv = startWorker((request) => slowDownload(new URL(request.url).pathname, { withLength: false }), {
+  bindings: { RATE_LIMIT_REQUESTS: "100", PURGE_TOKEN },
+  kvNamespaces: ["CACHE_KV"],
+});
+
+// No cache binding, so copies go to the Cache API
+const cacheApi = startWorker((request) => slowDownload(new URL(request.url).pathname), {
+  bindings: { RATE_LIMIT_REQUESTS: "100", PURGE_TOKEN },
+});
+
+// Copies are due for revalidation after a second
+const revalidating = startWorker(
+  (request) =>
+    request.headers.get("If-None-Match") === '"v1"'
+      ? new Response(null, { status: 304 })
+      : slowDownload(new URL(request.url).pathname, { headers: { ETag: '"v1"' } }),
+  {
+    bindings: { RATE_LIMIT_REQUESTS: "100", CACHE_TTL_SECONDS: "1" },
+    r2Buckets: ["CACHE_BUCKET"],
+  }
+);
+
+// Copies go stale after a second; each gets its own AO3, and its own gate to back off
+const downAO3 = unreliableAO3();
+const down = startWorker(downAO3.answer, {
+  bindings: { RATE_LIMIT_REQUESTS: "100", CACHE_TTL_SECONDS: "1", AO3_MIN_INTERVAL_MS: "1" },
+  durableObjects: { AO3_GATE: "AO3Gate" },
+  r2Buckets: ["CACHE_BUCKET"],
+});
+
+// A download job allows AO3 a second per attempt, so a stalled AO3 times out quickly
+const slowAO3 = unreliableAO3();
+const slow = startWorker(slowAO3.answer, {
+  bindings: { RATE_LIMIT_REQUESTS: "100", CACHE_TTL_SECONDS: "1", AO3_MIN_INTERVAL_MS: "1", JOB_TIMEOUT_SECONDS: "1" },
+  durableObjects: { AO3_GATE: "AO3Gate" },
+  r2Buckets: ["CACHE_BUCKET"],
+  kvNamespaces: ["JOBS_KV"],
+  queueProducers: { JOBS_QUEUE: "ao3-download-jobs" },
+  queueConsumers: { "ao3-download-jobs": { maxBatchSize: 1, maxBatchTimeout: 0 } },
+});
+
+after(() =>
+  Promise.all([r2.dispose(), kv.dispose(), cacheApi.dispose(), revalidating.dispose(), down.dispose(), slow.dispose()])
+);
+
+/**
+ * Purge a work's cached downloads, with the given Authorization header (if any)
+ */
+const purge = (target, workId, authorization) =>
+  target.request(`/purge?work=${workId}`, {
+    method: "POST",
+    origin: null,
+    headers: authorization ? { Authorization: authorization } : {},
+  });
+
+test("streams a cache miss to the client while AO3 is still sending it", async () => {
+  const response = await r2.request(proxyPath(downloadUrl(1)));
+  const headersAt = Date.now();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("X-Cache"), "MISS");
+  assert.equal(response.headers.get("Content-Length"), String(EPUB.length));
+  assert.equal(await response.text(), EPUB);
+  assert.ok(headersAt < finishedAt["/downloads/1/Title.epub"], "headers should arrive before AO3 finishes the body");
+});
+
+test("answers the next request for a download from R2", async () => {
+  const first = await r2.request(proxyPath(downloadUrl(2)));
+  assert.equal(await first.text(), EPUB);
+  await waitForCacheWrite();
+
+  const upstreamBefore = r2.upstream.length;
+  const hit = await r2.request(proxyPath(downloadUrl(2)), { ip: "198.51.100.40" });
+
+  assert.equal(hit.headers.get("X-Cache"), "HIT");
+  assert.equal(hit.headers.get("Content-Length"), String(EPUB.length));
+  assert.equal(await hit.text(), EPUB);
+  assert.equal(r2.upstream.length, upstreamBefore, "a hit must not reach AO3");
+});
+
+test("caches a download sent without a length in KV", async () => {
+  const first = await kv.request(proxyPath(downloadUrl(3)));
+  assert.equal(first.headers.get("X-Cache"), "MISS");
+  assert.equal(await first.text(), EPUB);
+  await waitForCacheWrite();
+
+  const hit = await kv.request(proxyPath(downloadUrl(3)), { ip: "198.51.100.41" });
+  assert.equal(hit.headers.get("X-Cache"), "HIT");
+  assert.equal(await hit.text(), EPUB);
+  assert.equal(kv.upstream.length, 1);
+});
+
+test("serves a revalidated copy from the cache and keeps it", async () => {
+  const first = await revalidating.request(proxyPath(downloadUrl(4)));
+  assert.equal(await first.text(), EPUB);
+  await waitForCacheWrite();
+
+  for (const ip of ["198.51.100.42", "198.51.100.43"]) {
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    const response = await revalidating.request(proxyPath(downloadUrl(4)), { ip });
+    assert.equal(response.headers.get("X-Cache"), "REVALIDATED");
+    assert.equal(await response.text(), EPUB);
+    await waitForCacheWrite();
+  }
+
+  const conditional = revalidating.upstream.filter((entry) => entry.headers["if-none-match"] === '"v1"');
+  assert.equal(conditional.length, 2);
+});
+
+test("serves a stale copy when AO3 answers with a server error", async () => {
+  const first = await down.request(proxyPath(downloadUrl(5)));
+  assert.equal(await first.text(), EPUB);
+  await waitForCacheWrite();
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+
+  downAO3.state = "down";
+  const upstreamBefore = down.upstream.length;
+  const stale = await down.request(proxyPath(downloadUrl(5)), { ip: "198.51.100.44" });
+
+  assert.equal(stale.status, 200);
+  assert.equal(stale.headers.get("X-Cache"), "STALE");
+  assert.equal(await stale.text(), EPUB);
+  assert.equal(down.upstream.length, upstreamBefore + 1, "AO3 should have been asked first");
+});
+
+test("serves a stale copy when AO3 times out", async () => {
+  const first = await slow.request(proxyPath(downloadUrl(6)));
+  assert.equal(await first.text(), EPUB);
+  await waitForCacheWrite();
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+
+  slowAO3.state = "slow";
+  const upstreamBefore = slow.upstream.length;
+  const ip = "198.51.100.45";
+  const created = await slow.request(`/jobs${proxyPath(downloadUrl(6))}`, { method: "POST", ip });
+  assert.equal(created.status, 202);
+  const { statusUrl } = await created.json();
+
+  // The gate tries AO3 three times, a second each, backing off in between
+  const deadline = Date.now() + 20000;
+  let job;
+  do {
+    assert.ok(Date.now() < deadline, `job still ${job?.state}`);
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    job = await (await slow.request(statusUrl, { ip })).json();
+  } while (job.state === "queued" || job.state === "running");
+
+  assert.equal(job.state, "done");
+  assert.equal(slow.upstream.length, upstreamBefore + 3, "each of the gate's tries should have timed out");
+
+  const result = await slow.request(job.resultUrl, { ip });
+  assert.equal(await result.text(), EPUB);
+});
+
+test("refuses to purge without the token", async () => {
+  const first = await r2.request(proxyPath(downloadUrl(7)));
+  assert.equal(await first.text(), EPUB);
+  await waitForCacheWrite();
+
+  const [missing, wrong] = await Promise.all([purge(r2, 7), purge(r2, 7, "Bearer wrong-token")]);
+  assert.equal(missing.status, 401);
+  assert.equal(wrong.status, 401);
+  await Promise.all([missing.arrayBuffer(), wrong.arrayBuffer()]);
+
+  const hit = await r2.request(proxyPath(downloadUrl(7)), { ip: "198.51.100.46" });
+  assert.equal(hit.headers.get("X-Cache"), "HIT");
+  await hit.arrayBuffer();
+});
+
+test("purges a work's copies from R2, KV and the Cache API", async () => {
+  for (const [target, workId] of [[r2, 8], [kv, 9], [cacheApi, 10]]) {
+    const first = await target.request(proxyPath(downloadUrl(workId)));
+    assert.equal(await first.text(), EPUB);
+    await waitForCacheWrite();
+
+    const hit = await target.request(proxyPath(downloadUrl(workId)), { ip: "198.51.100.47" });
+    assert.equal(hit.headers.get("X-Cache"), "HIT");
+    await hit.arrayBuffer();
+
+    const purged = await purge(target, workId, `Bearer ${PURGE_TOKEN}`);
+    assert.equal(purged.status, 200);
+    assert.equal((await purged.json()).purged, String(workId));
+
+    const refetched = await target.request(proxyPath(downloadUrl(workId)), { ip: "198.51.100.48" });
+    assert.equal(refetched.headers.get("X-Cache"), "MISS");
+    assert.equal(await refetched.text(), EPUB);
+  }
+});
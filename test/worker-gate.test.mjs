@@ -0,0 +1,144 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startWorker, proxyPath, htmlResponse } from "./worker-helpers.mjs";
+
+const INTERVAL_MS = 300;
+
+// Timers in the worker and in the test can disagree by a few milliseconds
+const SLACK_MS = 25;
+
+const LONG_PAGE = `<html><body>${"<p>The ferry was late.</p>".repeat(40000)}</body></html>`;
+const rateLimited = new Set();
+
+/**
+ * A page AO3 sends in parts, a little at a time
+ */
+function trickle(parts = 20) {
+  const chunk = new TextEncoder().encode("<p>The ferry was late.</p>".repeat(2000));
+  let sent = 0;
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      controller.enqueue(chunk);
+      if (++sent === parts) {
+        controller.close();
+      }
+    },
+  });
+
+  return htmlResponse(body);
+}
+
+const worker = startWorker(
+  async (request) => {
+    const { pathname } = new URL(request.url);
+
+    if (pathname === "/works/300" && !rateLimited.has(pathname)) {
+      rateLimited.add(pathname);
+      return new Response("Retry later", { status: 429, headers: { "Retry-After": "1" } });
+    }
+
+    if (pathname === "/works/400") {
+      // Long enough that a caller can leave partway through
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      return trickle();
+    }
+
+    if (pathname === "/works/200") {
+      // Slow enough for the other callers to join while AO3 is still answering
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      return htmlResponse(LONG_PAGE);
+    }
+
+    return htmlResponse(`<html><body>${pathname}</body></html>`);
+  },
+  {
+    bindings: { AO3_MIN_INTERVAL_MS: String(INTERVAL_MS), RATE_LIMIT_REQUESTS: "100" },
+    durableObjects: { AO3_GATE: "AO3Gate" },
+  }
+);
+
+after(() => worker.dispose());
+
+const upstreamFor = (path) => worker.upstream.filter((entry) => new URL(entry.url).pathname === path);
+
+/**
+ * Ask the gate for a page directly, as each of the worker's requests does
+ */
+async function gateFetch(targetUrl, init) {
+  const namespace = await worker.mf.getDurableObjectNamespace("AO3_GATE");
+  const gate = namespace.get(namespace.idFromName("global"));
+  return gate.fetch(`https://ao3-gate/?url=${encodeURIComponent(targetUrl)}`, init);
+}
+
+test("spaces requests to AO3 by AO3_MIN_INTERVAL_MS across clients", async () => {
+  const paths = ["/works/101", "/works/102", "/works/103"];
+  const responses = await Promise.all(
+    paths.map((path, i) => worker.request(proxyPath(`https://archiveofourown.org${path}`), { ip: `198.51.100.${10 + i}` }))
+  );
+
+  for (const [i, response] of responses.entries()) {
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), new RegExp(paths[i]));
+  }
+
+  const times = paths.map((path) => upstreamFor(path)[0].at).sort((a, b) => a - b);
+  for (let i = 1; i < times.length; i++) {
+    assert.ok(times[i] - times[i - 1] >= INTERVAL_MS - SLACK_MS, `gap ${times[i] - times[i - 1]}ms`);
+  }
+});
+
+test("merges identical concurrent requests into one upstream fetch", async () => {
+  const target = proxyPath("https://archiveofourown.org/works/200");
+  const responses = await Promise.all(
+    [1, 2, 3].map((i) => worker.request(target, { ip: `198.51.100.${20 + i}` }))
+  );
+
+  // Read side by side, as separate clients would
+  const bodies = await Promise.all(responses.map((response) => response.text()));
+  for (const [i, response] of responses.entries()) {
+    assert.equal(response.status, 200);
+    assert.equal(bodies[i], LONG_PAGE);
+  }
+  assert.equal(upstreamFor("/works/200").length, 1);
+});
+
+test("backs off everyone's slots after a 429 and retries in turn", async () => {
+  const limited = worker.request(proxyPath("https://archiveofourown.org/works/300"), { ip: "198.51.100.31" });
+
+  // Arrives while the gate is waiting out AO3's Retry-After
+  while (upstreamFor("/works/300").length === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  const other = worker.request(proxyPath("https://archiveofourown.org/works/301"), { ip: "198.51.100.32" });
+
+  const [limitedResponse, otherResponse] = await Promise.all([limited, other]);
+  assert.equal(limitedResponse.status, 200);
+  assert.match(await limitedResponse.text(), /works\/300/);
+  assert.equal(otherResponse.status, 200);
+  await otherResponse.text();
+
+  const [first, retry] = upstreamFor("/works/300");
+  const [next] = upstreamFor("/works/301");
+  assert.ok(retry, "the rate limited request should be retried");
+  assert.ok(retry.at - first.at >= 1000 - SLACK_MS, `retried after ${retry.at - first.at}ms`);
+  assert.ok(next.at - first.at >= 1000 - SLACK_MS, `other request started ${next.at - first.at}ms after the 429`);
+  assert.ok(next.at - retry.at >= INTERVAL_MS - SLACK_MS, "the retry should take its own slot");
+});
+
+test("keeps streaming to the other callers when one leaves", async () => {
+  const leaver = new AbortController();
+  const [leaving, staying] = await Promise.all([
+    gateFetch("https://archiveofourown.org/works/400", { signal: leaver.signal }),
+    gateFetch("https://archiveofourown.org/works/400"),
+  ]);
+
+  // Leave after the first part, as a client that disconnects would
+  await leaving.body.getReader().read();
+  leaver.abort();
+
+  const page = await staying.text();
+  assert.equal(page.length, "<p>The ferry was late.</p>".length * 2000 * 20);
+  assert.equal(upstreamFor("/works/400").length, 1);
+});
@@ -0,0 +1,64 @@
+/* =================================================================
+   AO3 to Kindle - Worker Test Helpers
+   Run cloudflare/worker.js in Miniflare against a stubbed AO3
+   ================================================================= */
+
+import { fileURLToPath } from "node:url";
+import { Miniflare } from "miniflare";
+
+const WORKER_PATH = fileURLToPath(new URL("../cloudflare/worker.js", import.meta.url));
+
+export const APP_ORIGIN = "http://localhost:8080";
+
+/**
+ * Start the worker with AO3 replaced by a stub
+ * @param {Function} ao3 - Answers each upstream request: (request) => Response
+ * @param {Object} options - { bindings, durableObjects, kvNamespaces, r2Buckets, queueProducers, queueConsumers }
+ * @returns {Object} - { mf, upstream (requests AO3 received, with their arrival time), request(path, init), dispose() }
+ */
+export function startWorker(ao3, options = {}) {
+  const upstream = [];
+
+  const mf = new Miniflare({
+    modules: true,
+    scriptPath: WORKER_PATH,
+    compatibilityDate: "2024-09-23",
+    ...options,
+    outboundService: async (request) => {
+      upstream.push({ url: request.url, headers: Object.fromEntries(request.headers), at: Date.now() });
+      return ao3(request);
+    },
+  });
+
+  return {
+    mf,
+    upstream,
+
+    /**
+     * Call the worker as the app would, from an allowed origin and a given client IP
+     */
+    request(path, { origin = APP_ORIGIN, ip = "203.0.113.1", ...init } = {}) {
+      const headers = { "CF-Connecting-IP": ip, ...init.headers };
+      if (origin) {
+        headers.Origin = origin;
+      }
+      return mf.dispatchFetch(`http://localhost${path}`, { ...init, headers });
+    },
+
+    dispose: () => mf.dispose(),
+  };
+}
+
+/**
+ * Proxy path for an AO3 URL
+ */
+export function proxyPath(targetUrl) {
+  return `/?url=${encodeURIComponent(targetUrl)}`;
+}
+
+/**
+ * A minimal AO3 page
+ */
+export function htmlResponse(html = "<html><body>AO3</body></html>", init = {}) {
+  return new Response(html, { ...init, headers: { "Content-Type": "text/html; charset=utf-8", ...init.headers } });
+}
@@ -0,0 +1,149 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startWorker, proxyPath } from "./worker-helpers.mjs";
+
+const EPUB = "PK".padEnd(5000, "epub bytes ");
+
+/**
+ * AO3 stub: /downloads/404/... is missing, /downloads/503/... is down for longer than
+ * the gate waits, the rest are EPUBs
+ */
+function ao3(request) {
+  const { pathname } = new URL(request.url);
+
+  if (pathname.startsWith("/downloads/404/")) {
+    return new Response("Not found", { status: 404 });
+  }
+  if (pathname.startsWith("/downloads/503/")) {
+    return new Response("Down for maintenance", { status: 503, headers: { "Retry-After": "45" } });
+  }
+  return new Response(EPUB, { headers: { "Content-Type": "application/epub+zip" } });
+}
+
+const jobOptions = (bindings) => ({
+  // A low limit shows that checking on a job doesn't use it up
+  bindings: { RATE_LIMIT_REQUESTS: "2", RATE_LIMIT_WINDOW_SECONDS: "60", AO3_MIN_INTERVAL_MS: "1", ...bindings },
+  durableObjects: { AO3_GATE: "AO3Gate" },
+  kvNamespaces: ["JOBS_KV"],
+  queueProducers: { JOBS_QUEUE: "ao3-download-jobs" },
+  queueConsumers: { "ao3-download-jobs": { maxBatchSize: 1, maxBatchTimeout: 0 } },
+});
+
+const worker = startWorker(ao3, jobOptions({}));
+const shortLived = startWorker(ao3, jobOptions({ JOB_TTL_SECONDS: "2" }));
+// AO3 being down holds back everything behind the gate, so that test gets its own
+const busy = startWorker(ao3, jobOptions({}));
+
+after(() => Promise.all([worker.dispose(), shortLived.dispose(), busy.dispose()]));
+
+const downloadUrl = (workId) => `https://archiveofourown.org/downloads/${workId}/Title.epub`;
+
+/**
+ * Start a job from its own client, as the app would
+ */
+async function startJob(target, workId, ip) {
+  const response = await target.request(`/jobs${proxyPath(downloadUrl(workId))}`, { method: "POST", ip });
+  assert.equal(response.status, 202);
+  return response.json();
+}
+
+/**
+ * Check on a job until it reaches one of the given states
+ */
+async function pollJob(target, job, states, ip) {
+  const deadline = Date.now() + 10000;
+
+  for (;;) {
+    const response = await target.request(job.statusUrl, { ip });
+    assert.equal(response.status, 200, "status checks must not be rate limited");
+    const current = await response.json();
+
+    if (states.includes(current.state)) {
+      return { job: current, response };
+    }
+    assert.ok(Date.now() < deadline, `job still ${current.state}`);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+test("queues a download, runs it from the queue and serves the result", async () => {
+  const ip = "198.51.100.60";
+  const created = await startJob(worker, 1, ip);
+
+  assert.equal(created.state, "queued");
+  assert.equal(created.statusUrl, `/jobs/${created.id}`);
+  assert.equal(created.resultUrl, null);
+  assert.ok(created.pollAfter >= 2);
+
+  const early = await worker.request(`/jobs/${created.id}/result`, { ip });
+  assert.ok([200, 409].includes(early.status));
+  await early.arrayBuffer();
+
+  const { job } = await pollJob(worker, created, ["done"], ip);
+  assert.equal(job.size, EPUB.length);
+  assert.equal(job.resultUrl, `/jobs/${job.id}/result`);
+  assert.equal(job.pollAfter, null);
+
+  const result = await worker.request(job.resultUrl, { ip });
+  assert.equal(result.status, 200);
+  assert.equal(result.headers.get("Content-Type"), "application/epub+zip");
+  assert.equal(await result.text(), EPUB);
+});
+
+test("puts a job back in the queue while AO3 is down, and says when to check again", async () => {
+  const ip = "198.51.100.61";
+  const created = await startJob(busy, 503, ip);
+
+  const deadline = Date.now() + 10000;
+  let job;
+  let response;
+  do {
+    assert.ok(Date.now() < deadline, "the job should have been tried once");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    ({ job, response } = await pollJob(busy, created, ["queued"], ip));
+  } while (!job.error);
+
+  assert.equal(job.attempts, 1);
+  assert.equal(job.retryAfter, 45);
+  assert.ok(job.pollAfter > 40, "a job waiting to retry shouldn't be checked before then");
+  assert.equal(response.headers.get("Retry-After"), String(job.pollAfter));
+});
+
+test("marks a job failed when AO3 refuses the download", async () => {
+  const ip = "198.51.100.62";
+  const created = await startJob(worker, 404, ip);
+
+  const { job } = await pollJob(worker, created, ["done", "failed"], ip);
+  assert.equal(job.state, "failed");
+  assert.match(job.error, /not found/i);
+  assert.equal(job.resultUrl, null);
+
+  const result = await worker.request(`/jobs/${job.id}/result`, { ip });
+  assert.equal(result.status, 409);
+  assert.equal((await result.json()).state, "failed");
+});
+
+test("refuses jobs for anything but AO3 downloads", async () => {
+  const response = await worker.request(`/jobs${proxyPath("https://archiveofourown.org/works/1")}`, {
+    method: "POST",
+    ip: "198.51.100.63",
+  });
+  assert.equal(response.status, 400);
+  await response.arrayBuffer();
+});
+
+test("forgets a job and its result once it expires", async () => {
+  const ip = "198.51.100.64";
+  const created = await startJob(shortLived, 2, ip);
+  const { job } = await pollJob(shortLived, created, ["done"], ip);
+
+  await new Promise((resolve) => setTimeout(resolve, 2100));
+
+  const status = await shortLived.request(job.statusUrl, { ip });
+  assert.equal(status.status, 404);
+  assert.equal((await status.json()).type, "job_expired");
+
+  const result = await shortLived.request(job.resultUrl, { ip });
+  assert.equal(result.status, 404);
+  assert.equal((await result.json()).type, "job_expired");
+});